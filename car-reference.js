@@ -0,0 +1,180 @@
+// =============================
+// Car make / model reference list
+// =============================
+// The makes and models offered in the Add/Edit vehicle forms, and the
+// list used to split an old free-text name ("Volkswagen Golf GTI") into
+// make "Volkswagen", model "Golf" and variant "GTI".
+// Models not listed here are still accepted as typed; makes must be listed.
+
+const CAR_MAKES = [
+  { make: "Abarth", models: ["124 Spider", "500", "595", "695"] },
+  { make: "Alfa Romeo", models: ["Giulia", "Giulietta", "MiTo", "Stelvio", "Tonale"] },
+  { make: "Aston Martin", models: ["DB11", "DBS", "DBX", "Vantage"] },
+  { make: "Audi", models: ["A1", "A3", "A4", "A5", "A6", "A7", "A8", "e-tron", "Q2", "Q3", "Q4 e-tron", "Q5", "Q7", "Q8", "R8", "RS3", "RS4", "RS6", "S3", "TT"] },
+  { make: "Bentley", models: ["Bentayga", "Continental GT", "Flying Spur"] },
+  { make: "BMW", models: ["1 Series", "2 Series", "3 Series", "4 Series", "5 Series", "7 Series", "i3", "i4", "iX", "M2", "M3", "M4", "X1", "X2", "X3", "X4", "X5", "X6", "Z4"] },
+  { make: "BYD", models: ["Atto 3", "Dolphin", "Seal"] },
+  { make: "Citroen", models: ["Berlingo", "C1", "C3", "C3 Aircross", "C4", "C5 Aircross", "DS3", "Grand C4 Picasso", "Relay"] },
+  { make: "Cupra", models: ["Born", "Formentor", "Leon"] },
+  { make: "Dacia", models: ["Duster", "Jogger", "Logan", "Sandero", "Sandero Stepway", "Spring"] },
+  { make: "DS", models: ["DS 3", "DS 4", "DS 7"] },
+  { make: "Fiat", models: ["500", "500L", "500X", "Doblo", "Ducato", "Panda", "Punto", "Tipo"] },
+  { make: "Ford", models: ["B-Max", "C-Max", "EcoSport", "Fiesta", "Focus", "Galaxy", "Kuga", "Ka", "Mondeo", "Mustang", "Mustang Mach-E", "Puma", "Ranger", "S-Max", "Tourneo Connect", "Transit", "Transit Connect", "Transit Custom"] },
+  { make: "Honda", models: ["Civic", "CR-V", "e", "HR-V", "Jazz", "ZR-V"] },
+  { make: "Hyundai", models: ["i10", "i20", "i30", "Ioniq", "Ioniq 5", "Kona", "Santa Fe", "Tucson"] },
+  { make: "Jaguar", models: ["E-Pace", "F-Pace", "F-Type", "I-Pace", "XE", "XF", "XJ"] },
+  { make: "Jeep", models: ["Avenger", "Compass", "Renegade", "Wrangler"] },
+  { make: "Kia", models: ["Ceed", "EV6", "Niro", "Picanto", "ProCeed", "Rio", "Sorento", "Soul", "Sportage", "Stonic", "XCeed"] },
+  { make: "Land Rover", models: ["Defender", "Discovery", "Discovery Sport", "Freelander", "Range Rover", "Range Rover Evoque", "Range Rover Sport", "Range Rover Velar"] },
+  { make: "Lexus", models: ["CT", "ES", "IS", "NX", "RX", "UX"] },
+  { make: "Mazda", models: ["CX-3", "CX-30", "CX-5", "CX-60", "Mazda2", "Mazda3", "Mazda6", "MX-5"] },
+  { make: "Mercedes-Benz", models: ["A-Class", "B-Class", "C-Class", "CLA", "CLS", "E-Class", "EQA", "EQC", "G-Class", "GLA", "GLB", "GLC", "GLE", "S-Class", "SL", "Sprinter", "Vito"] },
+  { make: "MG", models: ["HS", "MG3", "MG4", "MG5", "TF", "ZS"] },
+  { make: "Mini", models: ["Clubman", "Convertible", "Cooper", "Countryman", "Hatch", "One", "Paceman"] },
+  { make: "Mitsubishi", models: ["ASX", "Eclipse Cross", "L200", "Mirage", "Outlander"] },
+  { make: "Nissan", models: ["Ariya", "Juke", "Leaf", "Micra", "Navara", "Note", "Qashqai", "X-Trail"] },
+  { make: "Peugeot", models: ["107", "108", "208", "2008", "308", "3008", "508", "5008", "Boxer", "Partner", "Rifter"] },
+  { make: "Polestar", models: ["2", "3", "4"] },
+  { make: "Porsche", models: ["718 Boxster", "718 Cayman", "911", "Cayenne", "Macan", "Panamera", "Taycan"] },
+  { make: "Renault", models: ["Arkana", "Captur", "Clio", "Kadjar", "Kangoo", "Master", "Megane", "Scenic", "Trafic", "Twingo", "Zoe"] },
+  { make: "SEAT", models: ["Arona", "Ateca", "Ibiza", "Leon", "Mii", "Tarraco"] },
+  { make: "Skoda", models: ["Citigo", "Enyaq", "Fabia", "Kamiq", "Karoq", "Kodiaq", "Octavia", "Scala", "Superb", "Yeti"] },
+  { make: "Smart", models: ["ForFour", "ForTwo", "#1"] },
+  { make: "SsangYong", models: ["Korando", "Musso", "Rexton", "Tivoli"] },
+  { make: "Subaru", models: ["Forester", "Impreza", "Outback", "XV"] },
+  { make: "Suzuki", models: ["Across", "Ignis", "Jimny", "S-Cross", "Swace", "Swift", "Vitara"] },
+  { make: "Tesla", models: ["Model 3", "Model S", "Model X", "Model Y"] },
+  { make: "Toyota", models: ["Auris", "Aygo", "Aygo X", "bZ4X", "C-HR", "Corolla", "Hilux", "Land Cruiser", "Prius", "Proace", "RAV4", "Yaris", "Yaris Cross"] },
+  { make: "Vauxhall", models: ["Adam", "Astra", "Combo", "Corsa", "Crossland", "Grandland", "Insignia", "Meriva", "Mokka", "Movano", "Vivaro", "Zafira"] },
+  { make: "Volkswagen", models: ["Amarok", "Arteon", "Caddy", "Crafter", "Golf", "ID.3", "ID.4", "Passat", "Polo", "Scirocco", "Sharan", "T-Cross", "T-Roc", "Tiguan", "Touareg", "Touran", "Transporter", "Up"] },
+  { make: "Volvo", models: ["C40", "EX30", "S60", "S90", "V40", "V60", "V90", "XC40", "XC60", "XC90"] }
+];
+
+const BODY_TYPES = ["Hatchback", "Saloon", "Estate", "SUV", "Coupe", "Convertible", "MPV", "Pickup", "Van"];
+
+// Other ways people write a make. keep: the words are also the start of the model.
+const MAKE_ALIASES = [
+  { match: "vw", make: "Volkswagen" },
+  { match: "mercedes", make: "Mercedes-Benz" },
+  { match: "merc", make: "Mercedes-Benz" },
+  { match: "citroën", make: "Citroen" },
+  { match: "škoda", make: "Skoda" },
+  { match: "range rover", make: "Land Rover", keep: true }
+];
+
+function comparable(value) {
+  return String(value || "")
+    .toLowerCase()
+    .replace(/[-\s]+/g, " ")
+    .trim();
+}
+
+// Length of the words in text matched by prefix, or 0
+function prefixLength(text, prefix) {
+  const words = String(text).trim().split(/\s+/);
+  const prefixWords = comparable(prefix).split(" ");
+
+  if (words.length < prefixWords.length) return 0;
+
+  const head = words.slice(0, prefixWords.length);
+  return comparable(head.join(" ")) === prefixWords.join(" ") ? prefixWords.length : 0;
+}
+
+function findMake(value) {
+  const wanted = comparable(value);
+  if (!wanted) return null;
+
+  const entry = CAR_MAKES.find(item => comparable(item.make) === wanted);
+  if (entry) return entry.make;
+
+  const alias = MAKE_ALIASES.find(item => comparable(item.match) === wanted && !item.keep);
+  return alias ? alias.make : null;
+}
+
+function modelsForMake(make) {
+  const entry = CAR_MAKES.find(item => item.make === make);
+  return entry ? entry.models : [];
+}
+
+// Listed spelling of a model if known, otherwise the text as typed
+function canonicalModel(make, value) {
+  const model = String(value || "").trim().replace(/\s+/g, " ");
+  if (!model) return null;
+
+  const listed = modelsForMake(make).find(item => comparable(item) === comparable(model));
+  return listed || model;
+}
+
+function carTitle({ make, model, variant }) {
+  return [make, model, variant]
+    .map(part => String(part || "").trim())
+    .filter(Boolean)
+    .join(" ");
+}
+
+/*
+  Splits a free-text name into { make, model, variant, known }.
+  known is false when the make is not on the list, in which case the
+  first word is used as the make so nothing is lost.
+*/
+function splitCarName(name) {
+  const clean = String(name || "").trim().replace(/\s+/g, " ");
+
+  if (!clean) {
+    return { make: null, model: null, variant: null, known: false };
+  }
+
+  const candidates = [
+    ...CAR_MAKES.map(item => ({ match: item.make, make: item.make })),
+    ...MAKE_ALIASES
+  ]
+    .map(item => ({ ...item, words: prefixLength(clean, item.match) }))
+    .filter(item => item.words > 0)
+    .sort((a, b) => b.words - a.words);
+
+  const found = candidates[0] || null;
+  const words = clean.split(" ");
+
+  if (!found) {
+    return {
+      make: words[0],
+      model: words[1] || null,
+      variant: words.slice(2).join(" ") || null,
+      known: false
+    };
+  }
+
+  const rest = words.slice(found.keep ? 0 : found.words).join(" ");
+
+  const model = modelsForMake(found.make)
+    .map(item => ({ model: item, words: prefixLength(rest, item) }))
+    .filter(item => item.words > 0)
+    .sort((a, b) => b.words - a.words)[0];
+
+  const restWords = rest ? rest.split(" ") : [];
+
+  if (model) {
+    return {
+      make: found.make,
+      model: model.model,
+      variant: restWords.slice(model.words).join(" ") || null,
+      known: true
+    };
+  }
+
+  return {
+    make: found.make,
+    model: restWords[0] || null,
+    variant: restWords.slice(1).join(" ") || null,
+    known: true
+  };
+}
+
+module.exports = {
+  CAR_MAKES,
+  BODY_TYPES,
+  findMake,
+  canonicalModel,
+  carTitle,
+  splitCarName
+};
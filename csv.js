@@ -0,0 +1,101 @@
+// =============================
+// CSV reading and writing
+// =============================
+// Enough of RFC 4180 for spreadsheet exports: quoted fields, "" inside
+// quotes, commas and line breaks inside quotes, CRLF or LF line endings
+// and an optional byte order mark. parseCsv returns an array of rows,
+// each an array of strings. Blank lines are dropped.
+
+function parseCsv(text) {
+  const input = String(text || "").replace(/^\uFEFF/, "");
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  const endField = () => {
+    row.push(field);
+    field = "";
+  };
+
+  const endRow = () => {
+    endField();
+
+    if (row.some(value => value.trim() !== "")) {
+      rows.push(row);
+    }
+
+    row = [];
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+
+      continue;
+    }
+
+    if (ch === '"' && field === "") {
+      quoted = true;
+    } else if (ch === ",") {
+      endField();
+    } else if (ch === "\n") {
+      endRow();
+    } else if (ch === "\r") {
+      if (input[i + 1] === "\n") i++;
+      endRow();
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field !== "" || row.length) {
+    endRow();
+  }
+
+  return rows;
+}
+
+// Text a spreadsheet would run as a formula ("=SUM(...)", "+44...", "@cmd")
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+
+  let field = Array.isArray(value) ? value.join(" ") : String(value);
+
+  if (typeof value === "string" && FORMULA_START.test(field) && !/^-?\d+(\.\d+)?$/.test(field)) {
+    field = "'" + field;
+  }
+
+  return /[",\r\n]/.test(field) || field !== field.trim()
+    ? `"${field.replace(/"/g, '""')}"`
+    : field;
+}
+
+/*
+  Rows (arrays of values) -> CSV text with CRLF line endings.
+  Arrays inside a row are joined with spaces, null and undefined are
+  empty, and text that would run as a spreadsheet formula gets a
+  leading apostrophe.
+*/
+function toCsv(rows) {
+  return rows
+    .map(row => row.map(csvField).join(","))
+    .join("\r\n") + "\r\n";
+}
+
+module.exports = {
+  parseCsv,
+  toCsv
+};
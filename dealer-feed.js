@@ -0,0 +1,328 @@
+// =============================
+// Dealer stock feeds
+// =============================
+// Reads a garage's stock from the XML or CSV export of its
+// dealer-management system and turns each vehicle into the fields
+// POST /my-cars takes, plus stockRef for matching on the next sync.
+//
+// XML: any root element holding repeated <Vehicle> (or <Car>, <Advert>,
+// <StockItem>) elements, one child element per field. Images may be
+// nested (<Images><Image>url</Image></Images>) or given as url/href attributes.
+// CSV: one vehicle per row, first row names the columns.
+// Field names are matched loosely, so StockNumber, stock_number and
+// "Stock Number" are the same column.
+//
+// A feed url is http(s)://... or file:name.xml. File feeds are read from
+// DEALER_FEED_DIR (default fixtures/feeds), for development and tests.
+
+const fs = require("fs");
+const path = require("path");
+const { XMLParser } = require("fast-xml-parser");
+
+const { parseCsv } = require("./csv");
+const { BODY_TYPES } = require("./car-reference");
+
+const FEED_FORMATS = ["auto", "xml", "csv"];
+const FEED_TIMEOUT_MS = 20000;
+const FEED_MAX_BYTES = 10 * 1024 * 1024;
+
+const VEHICLE_ELEMENTS = ["vehicle", "car", "advert", "stock_item"];
+
+const FEED_FIELDS = {
+  stockRef: ["stock_ref", "stock_id", "stock_number", "stock_no", "stockno", "vehicle_id", "reference", "id"],
+  registration: ["registration", "registration_number", "reg", "vrm"],
+  make: ["make", "manufacturer"],
+  model: ["model"],
+  variant: ["variant", "derivative", "trim", "version"],
+  bodyType: ["body_type", "bodytype", "body_style", "body"],
+  year: ["year", "model_year", "year_of_manufacture", "registration_year"],
+  price: ["price", "retail_price", "selling_price", "asking_price"],
+  mileage: ["mileage", "odometer", "odometer_reading"],
+  fuel: ["fuel", "fuel_type"],
+  transmission: ["transmission", "gearbox", "transmission_type"],
+  engine: ["engine", "engine_size", "engine_capacity"],
+  owners: ["owners", "previous_owners", "number_of_owners"],
+  colour: ["colour", "color", "exterior_colour"],
+  serviceHistory: ["service_history"],
+  description: ["description", "advert_text", "comments"],
+  extras: ["extras", "features", "options", "equipment"],
+  photos: ["photos", "images", "pictures", "image_urls", "photo_urls"]
+};
+
+// Dealer body styles that are not on the BODY_TYPES list
+const BODY_TYPE_ALIASES = {
+  hatch: "Hatchback",
+  sedan: "Saloon",
+  tourer: "Estate",
+  "4x4": "SUV",
+  crossover: "SUV",
+  coupé: "Coupe",
+  cabriolet: "Convertible",
+  roadster: "Convertible",
+  "people carrier": "MPV",
+  "pick up": "Pickup",
+  "pick-up": "Pickup",
+  "panel van": "Van"
+};
+
+// "StockNumber", "stock number" and "stock_number" -> "stock_number"
+function fieldKey(value) {
+  return String(value || "")
+    .replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+}
+
+function fieldFor(key) {
+  const clean = fieldKey(key);
+  return Object.keys(FEED_FIELDS).find(field => FEED_FIELDS[field].includes(clean)) || null;
+}
+
+function text(value) {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "object") return text(value["#text"]);
+  return String(value).trim();
+}
+
+function feedNumber(value) {
+  const number = Number(text(value).replace(/[£,\s]/g, ""));
+  return Number.isFinite(number) && number > 0 ? String(Math.round(number)) : "";
+}
+
+// Engine sizes in cc ("1984") become "2.0L", the way the dashboard shows them
+function feedEngine(value) {
+  const engine = text(value);
+  const cc = Number(engine);
+
+  return Number.isFinite(cc) && cc >= 400
+    ? `${(cc / 1000).toFixed(1)}L`
+    : engine;
+}
+
+function feedBodyType(value) {
+  const body = text(value).toLowerCase();
+  if (!body) return "";
+
+  return BODY_TYPES.find(type => type.toLowerCase() === body) ||
+    BODY_TYPE_ALIASES[body] ||
+    "";
+}
+
+// Image urls from "a.jpg b.jpg", a list of elements or url/href attributes
+function feedPhotos(value) {
+  if (value === null || value === undefined) return [];
+
+  if (Array.isArray(value)) {
+    return value.flatMap(feedPhotos);
+  }
+
+  if (typeof value === "object") {
+    const direct = value["@_url"] || value["@_href"] || value["@_src"] || value["#text"];
+    if (direct) return feedPhotos(String(direct));
+
+    return Object.entries(value)
+      .filter(([key]) => !key.startsWith("@_"))
+      .flatMap(([, child]) => feedPhotos(child));
+  }
+
+  return String(value)
+    .split(/[\s|;,]+/)
+    .filter(Boolean);
+}
+
+function feedList(value) {
+  if (Array.isArray(value)) return value.map(text).filter(Boolean).join(", ");
+  if (value && typeof value === "object") {
+    return Object.entries(value)
+      .filter(([key]) => !key.startsWith("@_"))
+      .map(([, child]) => feedList(child))
+      .filter(Boolean)
+      .join(", ");
+  }
+
+  return text(value);
+}
+
+// { field: raw value } -> the payload POST /my-cars takes
+function toVehicle(raw) {
+  const vehicle = {
+    stockRef: text(raw.stockRef),
+    registration: text(raw.registration),
+    make: text(raw.make),
+    model: text(raw.model),
+    variant: text(raw.variant),
+    bodyType: feedBodyType(raw.bodyType),
+    year: text(raw.year).slice(0, 4),
+    price: feedNumber(raw.price),
+    mileage: feedNumber(raw.mileage),
+    fuel: text(raw.fuel),
+    transmission: text(raw.transmission),
+    engine: feedEngine(raw.engine),
+    owners: feedNumber(raw.owners),
+    colour: text(raw.colour),
+    serviceHistory: text(raw.serviceHistory),
+    description: text(raw.description),
+    extras: feedList(raw.extras),
+    photos: feedPhotos(raw.photos)
+  };
+
+  for (const key of Object.keys(vehicle)) {
+    if (vehicle[key] === "") delete vehicle[key];
+  }
+
+  // A vehicle without images keeps the photos the matched car already has
+  if (!vehicle.photos.length) delete vehicle.photos;
+
+  return vehicle;
+}
+
+function findVehicles(node) {
+  if (!node || typeof node !== "object") return null;
+
+  for (const [key, value] of Object.entries(node)) {
+    if (VEHICLE_ELEMENTS.includes(fieldKey(key))) {
+      return Array.isArray(value) ? value : [value];
+    }
+  }
+
+  for (const value of Object.values(node)) {
+    const found = Array.isArray(value)
+      ? value.map(findVehicles).find(Boolean)
+      : findVehicles(value);
+
+    if (found) return found;
+  }
+
+  return null;
+}
+
+function parseXmlFeed(xml) {
+  const parser = new XMLParser({
+    ignoreAttributes: false,
+    parseTagValue: false,
+    parseAttributeValue: false,
+    trimValues: true
+  });
+
+  let doc;
+
+  try {
+    doc = parser.parse(xml);
+  } catch (e) {
+    throw new Error(`Feed is not valid XML: ${e.message}`);
+  }
+
+  const items = findVehicles(doc);
+
+  if (!items) {
+    throw new Error("No <Vehicle> elements found in the feed");
+  }
+
+  return items.map(item => {
+    const raw = {};
+
+    for (const [key, value] of Object.entries(item || {})) {
+      const field = fieldFor(key.replace(/^@_/, ""));
+      if (field && raw[field] === undefined) raw[field] = value;
+    }
+
+    return toVehicle(raw);
+  });
+}
+
+function parseCsvFeed(csv) {
+  const table = parseCsv(csv);
+
+  if (!table.length) {
+    throw new Error("The feed is empty");
+  }
+
+  const columns = table[0].map(fieldFor);
+
+  if (!columns.includes("stockRef")) {
+    throw new Error("The feed has no stock number column");
+  }
+
+  return table.slice(1).map(cells => {
+    const raw = {};
+
+    columns.forEach((field, index) => {
+      if (field && raw[field] === undefined) raw[field] = cells[index];
+    });
+
+    return toVehicle(raw);
+  });
+}
+
+/*
+  Feed text -> vehicles. format is "xml", "csv" or "auto" (XML if the
+  text starts with "<"). Throws when the feed cannot be read.
+*/
+function parseFeed(body, format = "auto") {
+  const content = String(body || "").replace(/^\uFEFF/, "").trim();
+  const choice = FEED_FORMATS.includes(format) ? format : "auto";
+  const isXml = choice === "xml" || (choice === "auto" && content.startsWith("<"));
+
+  return isXml ? parseXmlFeed(content) : parseCsvFeed(content);
+}
+
+function createFeedReader(options = {}) {
+  const env = options.env || process.env;
+  const fileDir = path.resolve(
+    options.fileDir || env.DEALER_FEED_DIR || path.join(__dirname, "fixtures", "feeds")
+  );
+  const fetchFeed = options.fetch || fetch;
+
+  async function load(url) {
+    const source = String(url || "").trim();
+
+    if (source.startsWith("file:")) {
+      const file = path.resolve(fileDir, source.slice("file:".length).replace(/^\/+/, ""));
+
+      if (!file.startsWith(fileDir + path.sep)) {
+        throw new Error("Feed files must be inside the feed directory");
+      }
+
+      try {
+        return await fs.promises.readFile(file, "utf8");
+      } catch (e) {
+        throw new Error(`Could not read feed file ${path.basename(file)}`);
+      }
+    }
+
+    if (!/^https?:\/\//i.test(source)) {
+      throw new Error("Feed url must start with http://, https:// or file:");
+    }
+
+    const res = await fetchFeed(source, {
+      headers: { Accept: "application/xml, text/csv, text/plain, */*" },
+      signal: AbortSignal.timeout(FEED_TIMEOUT_MS)
+    });
+
+    if (!res.ok) {
+      throw new Error(`Feed download failed with status ${res.status}`);
+    }
+
+    const body = await res.text();
+
+    if (Buffer.byteLength(body) > FEED_MAX_BYTES) {
+      throw new Error("The feed is larger than 10 MB");
+    }
+
+    return body;
+  }
+
+  return {
+    // Resolves with the vehicles in the feed; rejects if it cannot be downloaded or read
+    async read({ url, format }) {
+      return parseFeed(await load(url), format);
+    }
+  };
+}
+
+module.exports = {
+  FEED_FORMATS,
+  createFeedReader,
+  parseFeed
+};
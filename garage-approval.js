@@ -0,0 +1,276 @@
+// =============================
+// Garage application approval
+// =============================
+// Approving an application creates a garage, links the applicant's login
+// to it as owner and marks the application approved. Supabase has no
+// transactions across calls, so the steps are made safe to repeat:
+//
+//   1. claim     the application moves from an open status (pending,
+//                info_requested or on_hold) to approving. Only one
+//                approval can hold the claim; an approval that died part
+//                way can be retried once the claim is APPROVAL_STALE_MS old.
+//   2. garage    the garage is inserted with application_id, which is
+//                unique, so a retry finds the garage it made before.
+//   3. link      the garage_users owner row, unless it is already there.
+//   4. finish    the application moves from approving to approved.
+//
+// If step 2, 3 or 4 fails, the rows this attempt made are deleted in
+// reverse order and the application goes back to the status it had, so
+// approving again starts cleanly. Refusals and failures are thrown as Errors with
+// a code:
+//   not_found          no application with that id
+//   no_user            the application has no login to link
+//   already_approved   (error.garageId is the garage it made)
+//   already_rejected
+//   in_progress        another approval holds the claim
+//   approval_failed    a step failed; error.step names it, error.cause is
+//                      the database error and error.cleanedUp is false if
+//                      undoing it failed too
+//
+// The client is the supabase-js client, or anything answering the same
+// from(table) query chains, so tests can pass in a fake.
+
+const APPROVAL_STALE_MS = 10 * 60 * 1000;
+
+// Statuses an application can be approved from
+const APPROVABLE_STATUSES = ["pending", "info_requested", "on_hold"];
+
+function approvalError(code, message, details = {}) {
+  return Object.assign(new Error(message), { code }, details);
+}
+
+function createApplicationApprover({ client, garageFields, now = () => new Date() }) {
+  async function readApplication(applicationId) {
+    const { data, error } = await client
+      .from("garage_applications")
+      .select("*")
+      .eq("id", applicationId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async function garageFor(applicationId) {
+    const { data, error } = await client
+      .from("garages")
+      .select("*")
+      .eq("application_id", applicationId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async function claim(application) {
+    const staleBefore = new Date(now().getTime() - APPROVAL_STALE_MS).toISOString();
+
+    const { data, error } = await client
+      .from("garage_applications")
+      .update({
+        status: "approving",
+        approval_started_at: now().toISOString()
+      })
+      .eq("id", application.id)
+      .or([
+        ...APPROVABLE_STATUSES.map(status => `status.eq.${status}`),
+        "status.is.null",
+        `and(status.eq.approving,approval_started_at.lt."${staleBefore}")`
+      ].join(","))
+      .select("*")
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async function release(application) {
+    const { error } = await client
+      .from("garage_applications")
+      .update({
+        status: APPROVABLE_STATUSES.includes(application.status) ? application.status : "pending",
+        approval_started_at: null
+      })
+      .eq("id", application.id)
+      .eq("status", "approving");
+
+    if (error) throw error;
+  }
+
+  // Resolves with { garage, created }
+  async function createGarage(application) {
+    const existing = await garageFor(application.id);
+    if (existing) return { garage: existing, created: false };
+
+    const { data, error } = await client
+      .from("garages")
+      .insert({
+        ...garageFields(application),
+        application_id: application.id
+      })
+      .select("*")
+      .single();
+
+    // Another approval of this application made the garage first
+    if (error && error.code === "23505") {
+      const garage = await garageFor(application.id);
+      if (garage) return { garage, created: false };
+    }
+
+    if (error) throw error;
+    if (!data) throw new Error("Garage was not created");
+
+    return { garage: data, created: true };
+  }
+
+  async function deleteGarage(garage, application) {
+    const { error } = await client
+      .from("garages")
+      .delete()
+      .eq("id", garage.id)
+      .eq("application_id", application.id);
+
+    if (error) throw error;
+  }
+
+  // Resolves true if the owner row was inserted, false if it was already there
+  async function linkOwner(garage, application) {
+    const { data: existing, error: readError } = await client
+      .from("garage_users")
+      .select("user_id")
+      .eq("user_id", application.user_id)
+      .eq("garage_id", garage.id)
+      .maybeSingle();
+
+    if (readError) throw readError;
+    if (existing) return false;
+
+    const { error } = await client
+      .from("garage_users")
+      .insert({
+        user_id: application.user_id,
+        garage_id: garage.id,
+        email: application.email || null,
+        role: "owner",
+        status: "active",
+        subscription_status: "trial"
+      });
+
+    if (error) throw error;
+    return true;
+  }
+
+  async function unlinkOwner(garage, application) {
+    const { error } = await client
+      .from("garage_users")
+      .delete()
+      .eq("user_id", application.user_id)
+      .eq("garage_id", garage.id);
+
+    if (error) throw error;
+  }
+
+  async function finish(application, review) {
+    const { data, error } = await client
+      .from("garage_applications")
+      .update({
+        ...review,
+        status: "approved",
+        approval_started_at: null
+      })
+      .eq("id", application.id)
+      .eq("status", "approving")
+      .select("*")
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw new Error("Application was changed while it was being approved");
+
+    return data;
+  }
+
+  // Runs the undo steps newest first; resolves true if all of them worked
+  async function undo(steps) {
+    let cleanedUp = true;
+
+    for (const step of steps.reverse()) {
+      try {
+        await step();
+      } catch (e) {
+        console.error("Undo garage approval error:", e);
+        cleanedUp = false;
+      }
+    }
+
+    return cleanedUp;
+  }
+
+  /*
+    Approves the application. Resolves with { application, approved,
+    garage }: the application before and after, and the new garage.
+    review holds extra application columns to save with the approval,
+    e.g. who approved it.
+  */
+  async function approve(applicationId, review = {}) {
+    const application = await readApplication(applicationId);
+
+    if (!application) {
+      throw approvalError("not_found", "Application not found.");
+    }
+
+    if (application.status === "approved") {
+      const garage = await garageFor(application.id);
+
+      throw approvalError("already_approved", "This application has already been approved.", {
+        garageId: garage ? garage.id : null
+      });
+    }
+
+    if (application.status === "rejected") {
+      throw approvalError("already_rejected", "This application has already been rejected.");
+    }
+
+    if (!application.user_id) {
+      throw approvalError("no_user", "This application has no user_id, so it cannot be approved automatically.");
+    }
+
+    const claimed = await claim(application);
+
+    if (!claimed) {
+      throw approvalError("in_progress", "This application is already being approved. Try again in a few minutes if it does not finish.");
+    }
+
+    const undoSteps = [() => release(application)];
+    let step = "garage";
+
+    try {
+      const { garage, created } = await createGarage(application);
+      if (created) undoSteps.push(() => deleteGarage(garage, application));
+
+      step = "link";
+      const linked = await linkOwner(garage, application);
+      if (linked) undoSteps.push(() => unlinkOwner(garage, application));
+
+      step = "finish";
+      const approved = await finish(application, review);
+
+      return { application, approved, garage };
+    } catch (e) {
+      const cleanedUp = await undo(undoSteps);
+
+      throw approvalError("approval_failed", `Approval failed at the ${step} step: ${e.message || e}`, {
+        step,
+        cause: e,
+        cleanedUp
+      });
+    }
+  }
+
+  return { approve };
+}
+
+module.exports = {
+  APPROVABLE_STATUSES,
+  APPROVAL_STALE_MS,
+  createApplicationApprover
+};
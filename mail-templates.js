@@ -0,0 +1,188 @@
+// =============================
+// Email templates
+// =============================
+// Each template returns { subject, heading, paragraphs, button? }.
+// renderEmail builds the HTML and plain text versions from that,
+// so both always say the same thing.
+
+const BRAND_COLOUR = "#e67e22";
+
+// Garage roles as the invite email names and describes them
+const ROLE_NAMES = {
+  owner: "an owner",
+  manager: "a manager",
+  sales: "a member of the sales team"
+};
+
+const ROLE_DESCRIPTIONS = {
+  owner: "full access, including billing, the garage profile and the team",
+  manager: "adding, editing and removing cars, and handling enquiries",
+  sales: "marking cars reserved or sold, and handling enquiries"
+};
+
+function greeting(data) {
+  return `Hello ${data.contactName || data.garageName || "there"},`;
+}
+
+const TEMPLATES = {
+  application_received: (data) => ({
+    subject: "We have received your IOW Car Finder application",
+    heading: "Application received",
+    paragraphs: [
+      greeting(data),
+      `Thanks for applying to list ${data.garageName} on IOW Car Finder.`,
+      "We check every application by hand and will email you as soon as yours has been reviewed."
+    ]
+  }),
+
+  application_approved: (data) => ({
+    subject: "Your IOW Car Finder garage account is approved",
+    heading: "You are approved",
+    paragraphs: [
+      greeting(data),
+      `Good news: ${data.garageName} has been approved.`,
+      "Sign in with the email and password you applied with to add your stock and fill in your garage profile. Your garage page goes live once we have checked it is ready."
+    ],
+    button: { label: "Sign in to your dashboard", url: data.loginUrl }
+  }),
+
+  application_rejected: (data) => ({
+    subject: "Your IOW Car Finder application",
+    heading: "Application update",
+    paragraphs: [
+      greeting(data),
+      `Thank you for applying to list ${data.garageName} on IOW Car Finder. We are not able to approve the application at the moment.`,
+      data.reason ? `Reason: ${data.reason}` : null,
+      "If you think we have got this wrong, just reply to this email. Once things have changed you are welcome to apply again with the same email address and password."
+    ],
+    button: { label: "Apply again", url: data.applyUrl }
+  }),
+
+  application_info_requested: (data) => ({
+    subject: "We need a little more information about your IOW Car Finder application",
+    heading: "More information needed",
+    paragraphs: [
+      greeting(data),
+      `Thanks for applying to list ${data.garageName} on IOW Car Finder. Before we can review the application we need the following:`,
+      data.message,
+      "Reply to this email with the details, or send the application form again with the same email address and password and put them in the message box."
+    ],
+    button: { label: "Update your application", url: data.applyUrl }
+  }),
+
+  garage_invite: (data) => ({
+    subject: `You have been invited to join ${data.garageName} on IOW Car Finder`,
+    heading: "You have been invited",
+    paragraphs: [
+      "Hello,",
+      `${data.invitedBy || "The garage owner"} has invited you to help manage ${data.garageName} on IOW Car Finder as ${ROLE_NAMES[data.role] || "a member of the team"}.`,
+      ROLE_DESCRIPTIONS[data.role] ? `Your login will allow ${ROLE_DESCRIPTIONS[data.role]}.` : null,
+      `Use the button below to choose a password and accept. The link works once and expires in ${data.days} days. If you were not expecting this, you can ignore this email.`
+    ],
+    button: { label: "Accept invitation", url: data.acceptUrl }
+  }),
+
+  account_paused: (data) => ({
+    subject: "Your IOW Car Finder account has been paused",
+    heading: "Account paused",
+    paragraphs: [
+      greeting(data),
+      `Your free trial ended on ${data.trialEndText} and we have not received a subscription, so your account is now paused and your cars are hidden.`,
+      "You can still sign in and start a subscription from the Billing page. Your account reopens as soon as it is set up."
+    ],
+    button: { label: "Go to Billing", url: data.dashboardUrl }
+  }),
+
+  trial_ending: (data) => ({
+    subject: `Your IOW Car Finder free trial ${data.endsText}`,
+    heading: "Your free trial is ending",
+    paragraphs: [
+      greeting(data),
+      `Your free trial ${data.endsText} (${data.trialEndText}).`,
+      `To keep your cars listed, start your £${data.monthlyPrice}/month subscription from the Billing page of your dashboard.`,
+      `If you have not subscribed within ${data.graceDays} days of the trial ending, your account will be paused and your cars hidden.`
+    ],
+    button: { label: "Start subscription", url: data.dashboardUrl }
+  }),
+
+  reservation_ending: (data) => ({
+    subject: `Reservation ending: ${data.carName}`,
+    heading: "A reservation is ending soon",
+    paragraphs: [
+      greeting(data),
+      data.buyerName
+        ? `The reservation on ${data.carName} for ${data.buyerName} ends on ${data.endsText}.`
+        : `The reservation on ${data.carName} ends on ${data.endsText}.`,
+      "When it ends the car goes back to available on IOW Car Finder. If the sale is going ahead, mark it sold or extend the reservation from My Cars."
+    ],
+    button: { label: "Open My Cars", url: data.dashboardUrl }
+  })
+};
+
+const EMAIL_TEMPLATES = Object.keys(TEMPLATES);
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function renderHtml(content) {
+  const paragraphs = content.paragraphs
+    .map(text => `<p style="margin:0 0 14px;">${escapeHtml(text)}</p>`)
+    .join("\n");
+
+  const button = content.button && content.button.url
+    ? `<p style="margin:22px 0;"><a href="${escapeHtml(content.button.url)}" style="background:${BRAND_COLOUR};color:#ffffff;padding:12px 18px;border-radius:10px;text-decoration:none;font-weight:bold;display:inline-block;">${escapeHtml(content.button.label)}</a></p>`
+    : "";
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<body style="margin:0;padding:24px;background:#f4f6f8;font-family:Arial,Helvetica,sans-serif;color:#111827;line-height:1.5;">
+  <div style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:14px;padding:28px;">
+    <h1 style="margin:0 0 18px;font-size:22px;">${escapeHtml(content.heading)}</h1>
+    ${paragraphs}
+    ${button}
+    <p style="margin:24px 0 0;color:#6b7280;font-size:13px;">IOW Car Finder</p>
+  </div>
+</body>
+</html>`;
+}
+
+function renderText(content) {
+  const lines = [...content.paragraphs];
+
+  if (content.button && content.button.url) {
+    lines.push(`${content.button.label}: ${content.button.url}`);
+  }
+
+  lines.push("IOW Car Finder");
+
+  return lines.join("\n\n");
+}
+
+// Returns { subject, text, html }
+function renderEmail(template, data = {}) {
+  const build = TEMPLATES[template];
+
+  if (!build) {
+    throw new Error(`Unknown email template: ${template}`);
+  }
+
+  const content = build(data);
+  content.paragraphs = content.paragraphs.filter(Boolean);
+
+  return {
+    subject: content.subject,
+    text: renderText(content),
+    html: renderHtml(content)
+  };
+}
+
+module.exports = {
+  EMAIL_TEMPLATES,
+  renderEmail
+};
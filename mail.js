@@ -0,0 +1,121 @@
+// =============================
+// Transactional email
+// =============================
+// A mailer sends { to, subject, text, html } through one transport:
+//   smtp    real delivery through SMTP_HOST (nodemailer)
+//   outbox  writes each message to MAIL_OUTBOX_DIR as JSON, for development and tests
+// MAIL_TRANSPORT picks one. Without it, SMTP is used when SMTP_HOST is set.
+// Any object with an async send(message) can be passed in as the transport.
+
+const fs = require("fs");
+const path = require("path");
+const nodemailer = require("nodemailer");
+
+const DEFAULT_FROM = "IOW Car Finder <contact@iowcarfinder.co.uk>";
+
+function createOutboxTransport(dir) {
+  const outboxDir = path.resolve(dir);
+
+  return {
+    name: "outbox",
+
+    async send(message) {
+      await fs.promises.mkdir(outboxDir, { recursive: true });
+
+      const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+      await fs.promises.writeFile(
+        path.join(outboxDir, `${id}.json`),
+        JSON.stringify({
+          ...message,
+          createdAt: new Date().toISOString()
+        }, null, 2)
+      );
+
+      return { id };
+    }
+  };
+}
+
+function createSmtpTransport(options) {
+  const transporter = nodemailer.createTransport({
+    host: options.host,
+    port: options.port,
+    secure: options.secure,
+    auth: options.user
+      ? { user: options.user, pass: options.pass }
+      : undefined
+  });
+
+  return {
+    name: "smtp",
+
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId || null };
+    }
+  };
+}
+
+function transportFromEnv(env) {
+  const choice = String(env.MAIL_TRANSPORT || (env.SMTP_HOST ? "smtp" : "outbox"))
+    .trim()
+    .toLowerCase();
+
+  if (choice === "smtp") {
+    if (!env.SMTP_HOST) {
+      throw new Error("MAIL_TRANSPORT is smtp but SMTP_HOST is not set");
+    }
+
+    const port = Number(env.SMTP_PORT) || 587;
+
+    return createSmtpTransport({
+      host: env.SMTP_HOST,
+      port,
+      secure: env.SMTP_SECURE
+        ? String(env.SMTP_SECURE).toLowerCase() === "true"
+        : port === 465,
+      user: env.SMTP_USER,
+      pass: env.SMTP_PASS
+    });
+  }
+
+  if (choice === "outbox") {
+    return createOutboxTransport(
+      env.MAIL_OUTBOX_DIR || path.join(__dirname, "outbox")
+    );
+  }
+
+  throw new Error(`Unknown MAIL_TRANSPORT: ${choice}`);
+}
+
+function createMailer(options = {}) {
+  const env = options.env || process.env;
+  const transport = options.transport || transportFromEnv(env);
+  const from = options.from || env.MAIL_FROM || DEFAULT_FROM;
+  const replyTo = options.replyTo || env.MAIL_REPLY_TO || undefined;
+
+  return {
+    transport: transport.name || "custom",
+
+    // Resolves with { id } from the transport; rejects if it could not send
+    async send({ to, subject, text, html }) {
+      if (!to) throw new Error("Email has no recipient");
+
+      return transport.send({
+        from,
+        replyTo,
+        to,
+        subject,
+        text,
+        html
+      });
+    }
+  };
+}
+
+module.exports = {
+  createMailer,
+  createOutboxTransport,
+  createSmtpTransport
+};
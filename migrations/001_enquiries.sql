@@ -0,0 +1,22 @@
+-- Buyer enquiries sent from the car page to the listing garage.
+-- Run in the Supabase SQL editor.
+
+create table if not exists enquiries (
+  id uuid primary key default gen_random_uuid(),
+  car_id uuid references cars (id) on delete set null,
+  garage_id uuid not null references garages (id) on delete cascade,
+  name text not null,
+  email text not null,
+  phone text,
+  message text not null,
+  status text not null default 'new'
+    check (status in ('new', 'read', 'replied', 'closed')),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz
+);
+
+create index if not exists enquiries_garage_created_idx
+  on enquiries (garage_id, created_at desc);
+
+-- Only the server (service role) reads and writes enquiries.
+alter table enquiries enable row level security;
@@ -0,0 +1,30 @@
+-- Individual admin logins, replacing the shared ADMIN_KEY header.
+-- Admins sign in through Supabase Auth; this table grants the role.
+--
+-- To add an admin, create the user in Supabase Auth, then:
+--   insert into admin_users (user_id, role) values ('<auth user id>', 'admin');
+
+create table if not exists admin_users (
+  user_id uuid primary key references auth.users (id) on delete cascade,
+  role text not null default 'admin' check (role in ('admin')),
+  status text not null default 'active' check (status in ('active', 'disabled')),
+  created_at timestamptz not null default now()
+);
+
+-- Which admin did what, written by every mutating admin route.
+create table if not exists admin_actions (
+  id bigint generated always as identity primary key,
+  admin_user_id uuid not null references auth.users (id),
+  admin_email text,
+  action text not null,
+  target_type text not null,
+  target_id text,
+  details jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists admin_actions_created_idx
+  on admin_actions (created_at desc);
+
+alter table admin_users enable row level security;
+alter table admin_actions enable row level security;
@@ -0,0 +1,15 @@
+-- Stripe subscription billing for garages.
+-- Run in the Supabase SQL editor.
+
+alter table garages
+  add column if not exists stripe_customer_id text,
+  add column if not exists stripe_subscription_id text,
+  add column if not exists billing_synced_at timestamptz;
+
+create unique index if not exists garages_stripe_customer_idx
+  on garages (stripe_customer_id)
+  where stripe_customer_id is not null;
+
+-- billing_status now also holds 'past_due' and 'cancelled'
+-- (free_permanent, free_trial, paying, past_due, cancelled).
+-- garage_users.subscription_status: trial, active, past_due, cancelled.
@@ -0,0 +1,25 @@
+-- Daily trial end job: reminders, pausing and a record of each change.
+-- Run in the Supabase SQL editor.
+
+-- Why a garage is paused. 'trial_ended' is set by the job and cleared
+-- when the garage subscribes or an admin sets it active again.
+alter table garages
+  add column if not exists paused_reason text;
+
+create table if not exists billing_events (
+  id uuid primary key default gen_random_uuid(),
+  garage_id uuid not null references garages (id) on delete cascade,
+  event_type text not null,
+  -- Set for job actions that must only happen once, e.g. 'trial_reminder:7:2026-03-01'
+  event_key text unique,
+  from_status text,
+  to_status text,
+  details jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists billing_events_garage_created_idx
+  on billing_events (garage_id, created_at desc);
+
+-- Only the server (service role) reads and writes billing events.
+alter table billing_events enable row level security;
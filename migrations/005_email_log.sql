@@ -0,0 +1,25 @@
+-- Every transactional email the server tries to send.
+-- Run in the Supabase SQL editor.
+
+create table if not exists email_log (
+  id uuid primary key default gen_random_uuid(),
+  template text not null,
+  to_email text,
+  subject text,
+  status text not null check (status in ('sent', 'failed')),
+  transport text,
+  message_id text,
+  error text,
+  garage_id uuid references garages (id) on delete set null,
+  application_id uuid references garage_applications (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists email_log_created_idx
+  on email_log (created_at desc);
+
+create index if not exists email_log_garage_idx
+  on email_log (garage_id, created_at desc);
+
+-- Only the server (service role) reads and writes the email log.
+alter table email_log enable row level security;
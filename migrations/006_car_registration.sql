@@ -0,0 +1,11 @@
+-- Private registration number on each car, used to spot the same
+-- vehicle being listed twice. Never sent to public pages.
+-- Run in the Supabase SQL editor.
+
+alter table cars
+  add column if not exists registration text;
+
+-- Stored without spaces in capitals, e.g. 'AB12CDE'
+create index if not exists cars_registration_idx
+  on cars (registration)
+  where registration is not null;
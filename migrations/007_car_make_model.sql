@@ -0,0 +1,19 @@
+-- Separate make, model, variant and body type on each car.
+-- name stays as the display title, built from make + model + variant.
+-- Run in the Supabase SQL editor, then run
+--   node migrations/007_split_car_names.js
+-- once to fill these columns from the existing names.
+
+alter table cars
+  add column if not exists make text,
+  add column if not exists model text,
+  add column if not exists variant text,
+  add column if not exists body_type text;
+
+-- GET /cars filters on these
+create index if not exists cars_make_model_idx
+  on cars (lower(make), lower(model));
+
+create index if not exists cars_body_type_idx
+  on cars (body_type)
+  where body_type is not null;
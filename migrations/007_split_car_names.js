@@ -0,0 +1,76 @@
+// =============================
+// Backfill for 007_car_make_model.sql
+// =============================
+// Splits each car's free-text name into make, model and variant using
+// car-reference.js, and rewrites name as the title built from them
+// ("VW Golf gti" -> "Volkswagen Golf gti"). Cars that already have a make
+// are left alone, so it is safe to run more than once.
+//   node migrations/007_split_car_names.js            write the changes
+//   node migrations/007_split_car_names.js --dry-run  only print them
+// Names whose make is not on the reference list are reported and skipped;
+// fix those by hand in the dashboard.
+
+require("dotenv").config({ path: require("path").join(__dirname, "..", ".env") });
+
+const { createClient } = require("@supabase/supabase-js");
+const { splitCarName, carTitle } = require("../car-reference");
+
+const DRY_RUN = process.argv.includes("--dry-run");
+
+async function main() {
+  if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SECRET) {
+    throw new Error("SUPABASE_URL and SUPABASE_SECRET must be set");
+  }
+
+  const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SECRET);
+
+  const { data, error } = await supabase
+    .from("cars")
+    .select("id, name")
+    .is("make", null);
+
+  if (error) throw error;
+
+  const unknown = [];
+  let updated = 0;
+
+  for (const car of data || []) {
+    const split = splitCarName(car.name);
+
+    if (!split.known || !split.model) {
+      unknown.push(car);
+      continue;
+    }
+
+    const name = carTitle(split);
+
+    console.log(`${car.id}  "${car.name}" -> ${split.make} | ${split.model} | ${split.variant || "-"}`);
+
+    if (DRY_RUN) continue;
+
+    const { error: updateError } = await supabase
+      .from("cars")
+      .update({
+        name,
+        make: split.make,
+        model: split.model,
+        variant: split.variant
+      })
+      .eq("id", car.id);
+
+    if (updateError) throw updateError;
+    updated += 1;
+  }
+
+  console.log(`\n${(data || []).length} cars without a make, ${DRY_RUN ? "0 (dry run)" : updated} updated.`);
+
+  if (unknown.length) {
+    console.log(`\nCould not split ${unknown.length}:`);
+    unknown.forEach(car => console.log(`${car.id}  "${car.name || ""}"`));
+  }
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
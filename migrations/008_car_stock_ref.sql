@@ -0,0 +1,11 @@
+-- The garage's own stock reference for each car. CSV imports match on
+-- it, so importing the same file again updates cars instead of adding
+-- them twice.
+-- Run in the Supabase SQL editor.
+
+alter table cars
+  add column if not exists stock_ref text;
+
+create unique index if not exists cars_garage_stock_ref_idx
+  on cars (garage_id, lower(stock_ref))
+  where stock_ref is not null;
@@ -0,0 +1,33 @@
+-- Dealer stock feeds: where each garage's feed lives, and a record of
+-- every sync. The server syncs garages with feed_enabled on a schedule
+-- (FEED_SYNC_INTERVAL_MINUTES, default 60).
+-- Run in the Supabase SQL editor.
+
+alter table garages
+  add column if not exists feed_url text,
+  add column if not exists feed_format text not null default 'auto'
+    check (feed_format in ('auto', 'xml', 'csv')),
+  add column if not exists feed_enabled boolean not null default false;
+
+create table if not exists dealer_feed_runs (
+  id uuid primary key default gen_random_uuid(),
+  garage_id uuid not null references garages (id) on delete cascade,
+  started_at timestamptz not null default now(),
+  finished_at timestamptz,
+  status text not null check (status in ('ok', 'partial', 'failed')),
+  trigger text not null default 'schedule' check (trigger in ('schedule', 'admin')),
+  vehicles integer not null default 0,
+  created integer not null default 0,
+  updated integer not null default 0,
+  unchanged integer not null default 0,
+  sold integer not null default 0,
+  failed integer not null default 0,
+  message text,
+  errors jsonb not null default '[]'::jsonb
+);
+
+create index if not exists dealer_feed_runs_garage_idx
+  on dealer_feed_runs (garage_id, started_at desc);
+
+-- Only the server (service role) reads and writes feed runs.
+alter table dealer_feed_runs enable row level security;
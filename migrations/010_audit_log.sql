@@ -0,0 +1,29 @@
+-- Who changed what on cars, garages and garage applications.
+-- Written by every route that changes them, and by imports and the
+-- dealer feed sync. changes holds { field: { from, to } } for the
+-- fields that changed; a create has only "to" values, a delete only "from".
+-- garage_id is the garage the target belongs to, so a garage's history
+-- includes changes to its cars.
+-- Run in the Supabase SQL editor.
+
+create table if not exists audit_log (
+  id bigint generated always as identity primary key,
+  actor_type text not null check (actor_type in ('garage', 'admin', 'system')),
+  actor_id uuid,
+  actor_email text,
+  action text not null,
+  target_type text not null check (target_type in ('car', 'garage', 'application')),
+  target_id text,
+  garage_id uuid,
+  changes jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists audit_log_target_idx
+  on audit_log (target_type, target_id, created_at desc);
+
+create index if not exists audit_log_garage_idx
+  on audit_log (garage_id, created_at desc);
+
+-- Only the server (service role) reads and writes the audit log.
+alter table audit_log enable row level security;
@@ -0,0 +1,30 @@
+-- Every asking price a car has had, and the last change on the car
+-- itself so listings can show "Reduced by £X" and sort by recent
+-- reductions without reading the history.
+-- Run in the Supabase SQL editor.
+
+alter table cars
+  add column if not exists previous_price numeric,
+  add column if not exists price_changed_at timestamptz;
+
+create table if not exists car_price_history (
+  id bigint generated always as identity primary key,
+  car_id uuid not null references cars (id) on delete cascade,
+  garage_id uuid references garages (id) on delete set null,
+  price numeric not null,
+  previous_price numeric,
+  changed_at timestamptz not null default now()
+);
+
+create index if not exists car_price_history_car_idx
+  on car_price_history (car_id, changed_at);
+
+-- Start every existing car's history at its current price.
+insert into car_price_history (car_id, garage_id, price, changed_at)
+select c.id, c.garage_id, c.price, coalesce(c.created_at, now())
+from cars c
+where c.price is not null
+  and not exists (select 1 from car_price_history h where h.car_id = c.id);
+
+-- Only the server (service role) reads and writes price history.
+alter table car_price_history enable row level security;
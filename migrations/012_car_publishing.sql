@@ -0,0 +1,12 @@
+-- Draft and scheduled listings. status may now also be 'draft' (only the
+-- garage sees it) or 'scheduled' (goes live as 'available' at publish_at,
+-- flipped by the server's scheduled publishing job).
+-- Run in the Supabase SQL editor.
+
+alter table cars
+  add column if not exists publish_at timestamptz;
+
+-- The publishing job looks for scheduled cars that are due.
+create index if not exists cars_scheduled_publish_idx
+  on cars (publish_at)
+  where status = 'scheduled';
@@ -0,0 +1,62 @@
+-- Real timestamps for status changes, replacing the DD/MM/YYYY "soldDate"
+-- text, and a per-garage window for how long sold cars stay on the site.
+-- sold_visible_until is sold_at plus the garage's sold_display_days, kept
+-- on the car so public searches can filter on it.
+-- Run in the Supabase SQL editor.
+
+alter table garages
+  add column if not exists sold_display_days integer not null default 7
+    check (sold_display_days between 0 and 90);
+
+alter table cars
+  add column if not exists sold_at timestamptz,
+  add column if not exists reserved_at timestamptz,
+  add column if not exists status_changed_at timestamptz,
+  add column if not exists sold_visible_until timestamptz;
+
+-- Older rows may have no status, or only the sold flag set.
+update cars set status = 'available' where status is null;
+update cars set status = 'sold' where sold = true and status <> 'sold';
+
+alter table cars
+  alter column status set default 'available',
+  alter column status set not null;
+
+-- "soldDate" was the UK calendar day the car was sold.
+update cars
+set sold_at = to_date("soldDate", 'DD/MM/YYYY')::timestamp at time zone 'Europe/London'
+where status = 'sold'
+  and sold_at is null
+  and "soldDate" ~ '^\d{2}/\d{2}/\d{4}$';
+
+update cars
+set sold_at = coalesce("updatedAt"::timestamptz, created_at)
+where status = 'sold'
+  and sold_at is null;
+
+update cars
+set reserved_at = coalesce("updatedAt"::timestamptz, created_at)
+where status = 'reserved'
+  and reserved_at is null;
+
+update cars
+set status_changed_at = coalesce(sold_at, reserved_at, "updatedAt"::timestamptz, created_at)
+where status_changed_at is null;
+
+update cars c
+set sold_visible_until = c.sold_at + g.sold_display_days * interval '1 day'
+from garages g
+where g.id = c.garage_id
+  and c.status = 'sold';
+
+update cars
+set sold_visible_until = sold_at + interval '7 days'
+where status = 'sold'
+  and sold_visible_until is null;
+
+alter table cars
+  drop column if exists "soldDate";
+
+create index if not exists cars_sold_visible_until_idx
+  on cars (sold_visible_until)
+  where sold_visible_until is not null;
@@ -0,0 +1,23 @@
+-- Reservation details for reserved cars. reserved_until is when the car
+-- goes back to available; reservation_warned_at is set once the garage
+-- has been emailed that the reservation is about to end. The buyer's
+-- name and deposit are only shown to the garage and admins.
+-- Run in the Supabase SQL editor.
+
+alter table cars
+  add column if not exists reserved_until timestamptz,
+  add column if not exists reservation_name text,
+  add column if not exists reservation_deposit numeric,
+  add column if not exists reservation_warned_at timestamptz;
+
+-- Existing reservations get the default week from when they were made,
+-- so none sit reserved forever.
+update cars
+set reserved_until = greatest(coalesce(reserved_at, now()) + interval '7 days', now() + interval '1 day')
+where status = 'reserved'
+  and reserved_until is null;
+
+-- The reservation job looks for reserved cars by end time.
+create index if not exists cars_reserved_until_idx
+  on cars (reserved_until)
+  where status = 'reserved';
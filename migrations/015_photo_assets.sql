@@ -0,0 +1,17 @@
+-- Every photo uploaded to Cloudinary, with its public id, so photos can
+-- be deleted once no car or garage uses them. Photos uploaded before this
+-- table existed have no row; their public id is read from the url instead.
+-- Run in the Supabase SQL editor.
+
+create table if not exists photo_assets (
+  public_id text primary key,
+  url text not null,
+  garage_id uuid references garages (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists photo_assets_url_idx
+  on photo_assets (url);
+
+-- Only the server (service role) reads and writes photo assets.
+alter table photo_assets enable row level security;
@@ -0,0 +1,10 @@
+-- Car photos become a list of { url, caption, cover, order } so garages
+-- can reorder photos, caption them and pick the cover. Rows that still
+-- hold plain urls are read as they are, with the first photo as the cover.
+-- Run in the Supabase SQL editor.
+
+alter table cars
+  alter column photos type jsonb using to_jsonb(photos);
+
+alter table cars
+  alter column photos set default '[]'::jsonb;
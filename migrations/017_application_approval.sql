@@ -0,0 +1,17 @@
+-- Approving a garage application creates a garage and its owner login
+-- in several steps. The application is claimed first (status
+-- 'approving'), so a second approval of the same application is refused
+-- while the first is running. Each garage made from an application
+-- records it in application_id; the unique index means a retried approval
+-- finds the garage an earlier attempt made instead of creating another.
+-- Run in the Supabase SQL editor.
+
+alter table garage_applications
+  add column if not exists approval_started_at timestamptz;
+
+alter table garages
+  add column if not exists application_id uuid references garage_applications (id) on delete set null;
+
+create unique index if not exists garages_application_id_key
+  on garages (application_id)
+  where application_id is not null;
@@ -0,0 +1,41 @@
+-- Review workflow for garage applications. Besides pending, approved and
+-- rejected, an application can be waiting on the applicant
+-- (info_requested) or parked (on_hold). reviewed_by / reviewed_at are the
+-- last admin to change its status, rejection_reason is required when it
+-- is rejected and info_request is the last question sent to the applicant.
+-- An applicant who was rejected can apply again with the same login; the
+-- new application points back at the old one.
+-- Run in the Supabase SQL editor.
+
+alter table garage_applications
+  add column if not exists reviewed_by uuid,
+  add column if not exists reviewed_by_email text,
+  add column if not exists reviewed_at timestamptz,
+  add column if not exists rejection_reason text,
+  add column if not exists info_request text,
+  add column if not exists previous_application_id uuid references garage_applications (id) on delete set null;
+
+create index if not exists garage_applications_user_idx
+  on garage_applications (user_id, created_at desc);
+
+-- Timeline of each application: every status change and reviewer note,
+-- oldest first. actor_type 'applicant' is the applicant sending more
+-- information from the application form.
+create table if not exists garage_application_events (
+  id bigint generated always as identity primary key,
+  application_id uuid not null references garage_applications (id) on delete cascade,
+  kind text not null check (kind in ('status', 'note')),
+  from_status text,
+  to_status text,
+  note text,
+  actor_type text not null check (actor_type in ('admin', 'applicant', 'system')),
+  actor_id uuid,
+  actor_email text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists garage_application_events_application_idx
+  on garage_application_events (application_id, created_at);
+
+-- Only the server (service role) reads and writes the timeline.
+alter table garage_application_events enable row level security;
@@ -0,0 +1,40 @@
+-- Shared rate limit counters, used when RATE_LIMIT_STORE=supabase so
+-- every server process counts against the same limits. Keys are a route
+-- name and a hash of the client IP, never the IP itself.
+-- rate_limit_hit counts one hit and returns the window's count and end;
+-- it also clears windows that ended over a day ago, now and then.
+-- Run in the Supabase SQL editor.
+
+create table if not exists rate_limits (
+  key text primary key,
+  hit_count integer not null,
+  reset_at timestamptz not null
+);
+
+create index if not exists rate_limits_reset_at_idx
+  on rate_limits (reset_at);
+
+create or replace function rate_limit_hit(p_key text, p_window_ms integer)
+returns table (hit_count integer, reset_at timestamptz)
+language plpgsql
+as $$
+#variable_conflict use_column
+begin
+  if random() < 0.01 then
+    delete from rate_limits where rate_limits.reset_at < now() - interval '1 day';
+  end if;
+
+  return query
+  insert into rate_limits as r (key, hit_count, reset_at)
+  values (p_key, 1, now() + make_interval(secs => p_window_ms / 1000.0))
+  on conflict (key) do update
+    set hit_count = case when r.reset_at <= now() then 1 else r.hit_count + 1 end,
+        reset_at = case when r.reset_at <= now() then excluded.reset_at else r.reset_at end
+  returning r.hit_count, r.reset_at;
+end;
+$$;
+
+-- Only the server (service role) reads and writes the counters.
+alter table rate_limits enable row level security;
+
+revoke execute on function rate_limit_hit(text, integer) from public, anon, authenticated;
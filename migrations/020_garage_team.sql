@@ -0,0 +1,53 @@
+-- Several logins per garage. garage_users.role is owner, manager or
+-- sales (see GARAGE_PERMISSIONS in server.js for what each may do).
+-- Owners invite staff by email; an invite is a single-use link that
+-- lasts GARAGE_INVITE_DAYS. Only a hash of the link's token is stored.
+-- Revoked staff keep their garage_users row with status 'revoked', so
+-- the garage's history still says who they were.
+-- Run in the Supabase SQL editor.
+
+alter table garage_users
+  add column if not exists email text,
+  add column if not exists invited_by uuid,
+  add column if not exists created_at timestamptz not null default now(),
+  add column if not exists revoked_at timestamptz;
+
+update garage_users
+set email = u.email
+from auth.users u
+where u.id = garage_users.user_id
+  and garage_users.email is null;
+
+-- Dropped first so the file can be run again
+alter table garage_users
+  drop constraint if exists garage_users_role_check;
+
+alter table garage_users
+  add constraint garage_users_role_check
+  check (role in ('owner', 'manager', 'sales')) not valid;
+
+create index if not exists garage_users_garage_idx
+  on garage_users (garage_id, status);
+
+create table if not exists garage_invites (
+  id uuid primary key default gen_random_uuid(),
+  garage_id uuid not null references garages (id) on delete cascade,
+  email text not null,
+  role text not null check (role in ('owner', 'manager', 'sales')),
+  token_hash text not null unique,
+  status text not null default 'pending' check (status in ('pending', 'accepted', 'revoked')),
+  invited_by uuid,
+  invited_by_email text,
+  expires_at timestamptz not null,
+  accepted_by uuid,
+  accepted_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+-- One open invite per email per garage; inviting again replaces its link
+create unique index if not exists garage_invites_pending_email_key
+  on garage_invites (garage_id, lower(email))
+  where status = 'pending';
+
+-- Only the server (service role) reads and writes invites.
+alter table garage_invites enable row level security;
@@ -0,0 +1,25 @@
+-- Admin sessions in a garage's dashboard. An admin running a
+-- managed-service garage's stock opens garage-dashboard.html as the
+-- garage; the browser holds a random token that the server accepts for
+-- IMPERSONATION_MINUTES (see server.js), and only its hash is stored.
+-- ended_at is set when the admin ends the session early. Starting and
+-- ending a session are also in admin_actions and audit_log.
+-- Run in the Supabase SQL editor.
+
+create table if not exists garage_impersonations (
+  id uuid primary key default gen_random_uuid(),
+  garage_id uuid not null references garages (id) on delete cascade,
+  admin_user_id uuid not null,
+  admin_email text,
+  reason text,
+  token_hash text not null unique,
+  expires_at timestamptz not null,
+  ended_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists garage_impersonations_garage_idx
+  on garage_impersonations (garage_id, created_at desc);
+
+-- Only the server (service role) reads and writes admin sessions.
+alter table garage_impersonations enable row level security;
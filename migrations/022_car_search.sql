@@ -0,0 +1,108 @@
+-- Public car search runs in the database (see dbSearchCars in server.js).
+-- search_text is the text GET /cars?q= matches against, status_rank keeps
+-- sold cars after reserved ones after the rest in every sort, and
+-- reduced_at is when the price last dropped (null if it has not), for the
+-- "reduced" sort. car_search_facets returns the filter dropdown values
+-- for all public stock as one row, however much stock there is.
+-- Run in the Supabase SQL editor.
+
+create extension if not exists pg_trgm;
+
+alter table cars
+  add column if not exists search_text text generated always as (
+    lower(
+      coalesce(name, '') || ' ' ||
+      coalesce(body_type, '') || ' ' ||
+      coalesce(fuel, '') || ' ' ||
+      coalesce(transmission, '') || ' ' ||
+      coalesce(engine, '') || ' ' ||
+      coalesce(colour, '') || ' ' ||
+      coalesce(year::text, '')
+    )
+  ) stored,
+  add column if not exists status_rank smallint generated always as (
+    case status when 'sold' then 2 when 'reserved' then 1 else 0 end
+  ) stored,
+  add column if not exists reduced_at timestamptz generated always as (
+    case when previous_price > price then price_changed_at end
+  ) stored;
+
+create index if not exists cars_search_text_idx
+  on cars using gin (search_text gin_trgm_ops);
+
+create or replace function car_search_facets(p_make text default null)
+returns jsonb
+language sql
+stable
+as $$
+  with stock as (
+    select
+      c.garage_id,
+      trim(c.make) as make,
+      trim(c.model) as model,
+      trim(c.body_type) as body_type,
+      trim(c.fuel) as fuel,
+      trim(c.transmission) as transmission,
+      c.price,
+      c.year,
+      c.mileage,
+      case when c.status in ('sold', 'reserved') then c.status else 'available' end as status,
+      g.name as garage_name,
+      trim(g.town) as garage_town
+    from cars c
+    join garages g on g.id = c.garage_id
+    where g.account_status = 'active'
+      and g.public_status = 'live'
+      and c.status not in ('draft', 'scheduled')
+      and (c.sold_visible_until is null or c.sold_visible_until > now())
+  ),
+  counted as (
+    select 'makes' as facet, make as value, count(*) as n from stock group by make
+    union all
+    select 'models', model, count(*) from stock
+      where p_make is not null and lower(make) = lower(p_make) group by model
+    union all
+    select 'bodyTypes', body_type, count(*) from stock group by body_type
+    union all
+    select 'fuels', fuel, count(*) from stock group by fuel
+    union all
+    select 'transmissions', transmission, count(*) from stock group by transmission
+    union all
+    select 'towns', garage_town, count(*) from stock group by garage_town
+    union all
+    select 'statuses', status, count(*) from stock group by status
+  ),
+  lists as (
+    select facet, jsonb_agg(jsonb_build_object('value', value, 'count', n) order by lower(value), value) as items
+    from counted
+    where coalesce(value, '') <> ''
+    group by facet
+  ),
+  garage_counts as (
+    select
+      garage_id,
+      min(garage_name) as name,
+      count(*) as n,
+      count(*) filter (where status = 'available') as available
+    from stock
+    group by garage_id
+  )
+  select jsonb_build_object(
+    'makes', coalesce((select items from lists where facet = 'makes'), '[]'::jsonb),
+    'models', coalesce((select items from lists where facet = 'models'), '[]'::jsonb),
+    'bodyTypes', coalesce((select items from lists where facet = 'bodyTypes'), '[]'::jsonb),
+    'fuels', coalesce((select items from lists where facet = 'fuels'), '[]'::jsonb),
+    'transmissions', coalesce((select items from lists where facet = 'transmissions'), '[]'::jsonb),
+    'towns', coalesce((select items from lists where facet = 'towns'), '[]'::jsonb),
+    'statuses', coalesce((select items from lists where facet = 'statuses'), '[]'::jsonb),
+    'garages', coalesce((
+      select jsonb_agg(jsonb_build_object('id', garage_id, 'name', name, 'count', n, 'available', available) order by coalesce(name, ''))
+      from garage_counts
+    ), '[]'::jsonb),
+    'price', (select jsonb_build_object('min', min(price) filter (where price > 0), 'max', max(price) filter (where price > 0)) from stock),
+    'year', (select jsonb_build_object('min', min(year) filter (where year > 0), 'max', max(year) filter (where year > 0)) from stock),
+    'mileage', (select jsonb_build_object('min', min(mileage) filter (where mileage > 0), 'max', max(mileage) filter (where mileage > 0)) from stock)
+  );
+$$;
+
+revoke execute on function car_search_facets(text) from public, anon, authenticated;
@@ -0,0 +1,25 @@
+-- Where each car was added: 'dashboard' (by hand), 'csv' (stock import)
+-- or 'feed' (dealer feed sync). A feed sync only marks sold the cars it
+-- created (see dbMarkFeedCarsSold in server.js), never ones the garage
+-- added itself.
+-- Existing cars the feed created are found from their car_create row in
+-- audit_log, which only the feed sync writes as the system actor.
+-- Run in the Supabase SQL editor.
+
+alter table cars
+  add column if not exists source text not null default 'dashboard'
+    check (source in ('dashboard', 'csv', 'feed'));
+
+update cars
+set source = 'feed'
+where source = 'dashboard'
+  and id::text in (
+    select target_id
+    from audit_log
+    where action = 'car_create'
+      and target_type = 'car'
+      and actor_type = 'system'
+  );
+
+create index if not exists cars_garage_source_idx
+  on cars (garage_id, source);
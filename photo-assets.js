@@ -0,0 +1,260 @@
+// =============================
+// Photo assets
+// =============================
+// Keeps the photo store (see photo-store.js) and the database in step.
+// Uploads are recorded in photo_assets with their public id. When a car
+// is deleted or loses photos, or a garage replaces its logo or banner,
+// release(urls) deletes the old images unless another car or garage
+// still uses them; only the rows holding one of those urls are read.
+//
+// Admins can also list and remove orphans: assets in the folder that
+// nothing refers to. Assets younger than graceMs (default a day) are left
+// alone, as photos are uploaded before the car or profile using them is
+// saved. Finding orphans reads every car and garage, so it is only done
+// when an admin asks.
+//
+// The client is the supabase-js client, or anything answering the same
+// from(table) query chains, so tests can pass in a fake.
+
+const PHOTO_ORPHAN_GRACE_MS = 24 * 60 * 60 * 1000;
+const PHOTO_SCAN_PAGE_SIZE = 1000;
+
+// Urls looked up per query when checking which photos are still used
+const PHOTO_USE_CHUNK = 20;
+
+// cars.photos holds plain urls on older cars and { url, caption, cover } on newer ones
+function storedPhotoUrls(value) {
+  return (Array.isArray(value) ? value : [])
+    .map(item => String((item && typeof item === "object" ? item.url : item) ?? "").trim())
+    .filter(Boolean);
+}
+
+// A PostgREST filter value, quoted so commas, dots and brackets are kept
+function filterValue(value) {
+  return `"${String(value).replace(/\\/g, "\\\\").replace(/"/g, "\\\"")}"`;
+}
+
+function createPhotoAssets({ client, photoStore, graceMs = PHOTO_ORPHAN_GRACE_MS, now = () => new Date() }) {
+  // Stored photos among urls, as public id -> the urls given for it.
+  // Other websites' images are left out.
+  async function urlsByPublicId(urls) {
+    const { data, error } = await client
+      .from("photo_assets")
+      .select("public_id, url")
+      .in("url", urls);
+
+    if (error) throw error;
+
+    const recorded = new Map((data || []).map(row => [row.url, row.public_id]));
+    const byId = new Map();
+
+    for (const url of urls) {
+      const publicId = recorded.get(url) || photoStore.publicIdFromUrl(url);
+      if (!publicId) continue;
+
+      if (!byId.has(publicId)) byId.set(publicId, []);
+      byId.get(publicId).push(url);
+    }
+
+    return byId;
+  }
+
+  // The public ids in byId that a car photo, garage logo or garage banner still uses
+  async function idsStillUsed(byId) {
+    const idByUrl = new Map();
+
+    for (const [publicId, urls] of byId) {
+      for (const url of urls) idByUrl.set(url, publicId);
+    }
+
+    const urls = [...idByUrl.keys()];
+    const inUse = new Set();
+
+    const mark = url => {
+      if (idByUrl.has(url)) inUse.add(idByUrl.get(url));
+    };
+
+    for (let i = 0; i < urls.length; i += PHOTO_USE_CHUNK) {
+      const chunk = urls.slice(i, i + PHOTO_USE_CHUNK);
+
+      const carFilter = chunk
+        .flatMap(url => [
+          `photos.cs.${filterValue(JSON.stringify([{ url }]))}`,
+          `photos.cs.${filterValue(JSON.stringify([url]))}`
+        ])
+        .join(",");
+
+      const { data: cars, error: carsError } = await client
+        .from("cars")
+        .select("photos")
+        .or(carFilter);
+
+      if (carsError) throw carsError;
+
+      (cars || []).forEach(row => storedPhotoUrls(row.photos).forEach(mark));
+
+      const list = chunk.map(filterValue).join(",");
+
+      const { data: garages, error: garagesError } = await client
+        .from("garages")
+        .select("logo_url, banner_url")
+        .or(`logo_url.in.(${list}),banner_url.in.(${list})`);
+
+      if (garagesError) throw garagesError;
+
+      (garages || []).forEach(row => [row.logo_url, row.banner_url].forEach(mark));
+    }
+
+    return inUse;
+  }
+
+  // Public ids used by any car photo, garage logo or garage banner
+  async function allIdsInUse() {
+    const inUse = new Set();
+    const add = url => {
+      const publicId = photoStore.publicIdFromUrl(url);
+      if (publicId) inUse.add(publicId);
+    };
+
+    const sources = [
+      ["cars", "id, photos", row => storedPhotoUrls(row.photos).forEach(add)],
+      ["garages", "id, logo_url, banner_url", row => [row.logo_url, row.banner_url].forEach(add)]
+    ];
+
+    for (const [table, columns, collect] of sources) {
+      let from = 0;
+
+      while (true) {
+        const { data, error } = await client
+          .from(table)
+          .select(columns)
+          .order("id", { ascending: true })
+          .range(from, from + PHOTO_SCAN_PAGE_SIZE - 1);
+
+        if (error) throw error;
+
+        const batch = data || [];
+        batch.forEach(collect);
+
+        if (batch.length < PHOTO_SCAN_PAGE_SIZE) break;
+        from += PHOTO_SCAN_PAGE_SIZE;
+      }
+    }
+
+    return inUse;
+  }
+
+  async function destroy(publicId) {
+    await photoStore.destroy(publicId);
+
+    const { error } = await client
+      .from("photo_assets")
+      .delete()
+      .eq("public_id", publicId);
+
+    if (error) {
+      console.error("Forget photo asset error:", error);
+    }
+  }
+
+  // Assets in the photo folder no car or garage uses, oldest first
+  async function findOrphans() {
+    const [assets, inUse] = await Promise.all([
+      photoStore.list(),
+      allIdsInUse()
+    ]);
+
+    const cutoff = now().getTime() - graceMs;
+
+    return assets
+      .filter(asset => !inUse.has(asset.publicId))
+      .filter(asset => !asset.createdAt || Date.parse(asset.createdAt) < cutoff)
+      .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+  }
+
+  return {
+    // Uploads a file path or url and resolves with its delivery url
+    async upload(source, garageId, options = {}) {
+      const photo = await photoStore.upload(source, options);
+
+      const { error } = await client
+        .from("photo_assets")
+        .upsert({
+          public_id: photo.publicId,
+          url: photo.url,
+          garage_id: garageId || null
+        }, { onConflict: "public_id" });
+
+      if (error) {
+        console.error("Record photo asset error:", error);
+      }
+
+      return photo.url;
+    },
+
+    /*
+      Deletes the stored photos among urls that nothing uses any more.
+      Call it after the car or garage row has been saved. Failures are
+      logged, not thrown; the orphan listing picks up anything left behind.
+      Resolves with the number of assets deleted.
+    */
+    async release(urls) {
+      const candidates = [...new Set((urls || []).filter(Boolean).map(String))];
+      if (!candidates.length) return 0;
+
+      let removed = 0;
+
+      try {
+        const byId = await urlsByPublicId(candidates);
+        if (!byId.size) return 0;
+
+        const inUse = await idsStillUsed(byId);
+
+        for (const publicId of byId.keys()) {
+          if (inUse.has(publicId)) continue;
+
+          try {
+            await destroy(publicId);
+            removed++;
+          } catch (e) {
+            console.error("Release photo failed:", publicId, e.message || e);
+          }
+        }
+      } catch (e) {
+        console.error("Release photos error:", e.message || e);
+      }
+
+      return removed;
+    },
+
+    findOrphans,
+
+    /*
+      Deletes every current orphan. The list is worked out again here rather
+      than taken from the admin's page, so a photo used since is kept.
+      Resolves with { removed, failed, bytes }.
+    */
+    async removeOrphans() {
+      const orphans = await findOrphans();
+      const result = { removed: 0, failed: 0, bytes: 0 };
+
+      for (const orphan of orphans) {
+        try {
+          await destroy(orphan.publicId);
+          result.removed++;
+          result.bytes += orphan.bytes;
+        } catch (e) {
+          result.failed++;
+          console.error("Remove orphan photo failed:", orphan.publicId, e.message || e);
+        }
+      }
+
+      return result;
+    }
+  };
+}
+
+module.exports = {
+  PHOTO_ORPHAN_GRACE_MS,
+  createPhotoAssets
+};
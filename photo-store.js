@@ -0,0 +1,222 @@
+// =============================
+// Photo storage (Cloudinary)
+// =============================
+// Car photos, garage logos and banners are uploaded into one Cloudinary
+// folder (default "cars"). The store uploads, deletes and lists assets
+// there, and turns a stored photo url back into its public id.
+//
+// Uploads are normalised on the way in: turned upright from the EXIF
+// orientation, capped at UPLOAD_MAX_SIZE px and stored as WebP. Cloudinary
+// drops EXIF (including GPS) when it transforms an upload, so the stored
+// file carries no location. Pages show PHOTO_VARIANTS of that file, which
+// Cloudinary makes on first request and keeps, delivered as AVIF or WebP
+// depending on what the browser accepts.
+//
+// The client is anything shaped like the cloudinary v2 SDK:
+//   uploader.upload(source, options)   -> { public_id, secure_url, created_at, bytes }
+//   uploader.destroy(publicId)         -> { result: "ok" | "not found" }
+//   api.resources({ type, prefix, max_results, next_cursor })
+//                                      -> { resources: [...], next_cursor }
+// PHOTO_STORE=memory swaps Cloudinary for an in-memory client, for
+// development and tests. Any such client can also be passed in as client.
+
+const LIST_PAGE_SIZE = 500;
+const UPLOAD_MAX_SIZE = 2400;
+
+const UPLOAD_NORMALISE = {
+  transformation: [
+    { angle: "exif" },
+    { width: UPLOAD_MAX_SIZE, height: UPLOAD_MAX_SIZE, crop: "limit" }
+  ],
+  format: "webp"
+};
+
+// thumb and card are 16:10 crops for grids and thumbnail strips; full keeps the photo's shape
+const PHOTO_VARIANTS = {
+  thumb: { width: 320, transformation: "c_fill,g_auto,w_320,h_200" },
+  card: { width: 800, transformation: "c_fill,g_auto,w_800,h_500" },
+  full: { width: 1600, transformation: "c_limit,w_1600" }
+};
+
+// https://res.cloudinary.com/<cloud>/image/upload/[transformations/][v123/]<public id>.<ext>
+const DELIVERY_URL = /^https?:\/\/res\.cloudinary\.com\/([^/]+)\/image\/upload\/(.+)$/i;
+const TRANSFORMATION = /^[a-z]{1,3}_[^/]*(,[a-z]{1,3}_[^/]*)*$/;
+const VERSION = /^v\d+$/;
+
+function createMemoryClient({ cloudName = "memory" } = {}) {
+  const assets = new Map();
+  let uploads = 0;
+
+  return {
+    name: "memory",
+    assets,
+
+    uploader: {
+      async upload(source, options = {}) {
+        uploads++;
+
+        const name = options.public_id || `photo-${Date.now().toString(36)}-${uploads}`;
+        const publicId = options.folder ? `${options.folder}/${name}` : name;
+
+        if (!assets.has(publicId) || options.overwrite !== false) {
+          assets.set(publicId, {
+            public_id: publicId,
+            secure_url: `https://res.cloudinary.com/${cloudName}/image/upload/v1/${publicId}.${options.format || "jpg"}`,
+            created_at: new Date().toISOString(),
+            bytes: 0,
+            source: String(source)
+          });
+        }
+
+        return { ...assets.get(publicId) };
+      },
+
+      async destroy(publicId) {
+        return { result: assets.delete(publicId) ? "ok" : "not found" };
+      }
+    },
+
+    api: {
+      async resources({ prefix = "", max_results = LIST_PAGE_SIZE, next_cursor } = {}) {
+        const matching = [...assets.values()].filter(asset => asset.public_id.startsWith(prefix));
+        const start = Number(next_cursor) || 0;
+        const end = start + max_results;
+
+        return {
+          resources: matching.slice(start, end).map(asset => ({ ...asset })),
+          next_cursor: end < matching.length ? String(end) : undefined
+        };
+      }
+    }
+  };
+}
+
+function clientFromEnv(env) {
+  const choice = String(env.PHOTO_STORE || "cloudinary").trim().toLowerCase();
+
+  if (choice === "memory") {
+    return createMemoryClient({ cloudName: env.CLOUDINARY_CLOUD_NAME || "memory" });
+  }
+
+  if (choice === "cloudinary") {
+    const cloudinary = require("cloudinary").v2;
+
+    cloudinary.config({
+      cloud_name: env.CLOUDINARY_CLOUD_NAME,
+      api_key: env.CLOUDINARY_API_KEY,
+      api_secret: env.CLOUDINARY_API_SECRET
+    });
+
+    return cloudinary;
+  }
+
+  throw new Error(`Unknown PHOTO_STORE: ${choice}`);
+}
+
+function createPhotoStore(options = {}) {
+  const env = options.env || process.env;
+  const client = options.client || clientFromEnv(env);
+  const folder = options.folder || "cars";
+  const cloudName = options.cloudName !== undefined ? options.cloudName : env.CLOUDINARY_CLOUD_NAME;
+
+  // Public id for a delivery url of this cloud's folder, otherwise null
+  function publicIdFromUrl(url) {
+    const match = DELIVERY_URL.exec(String(url || "").trim().split(/[?#]/)[0]);
+    if (!match) return null;
+    if (cloudName && match[1] !== cloudName) return null;
+
+    const parts = match[2].split("/");
+
+    while (parts.length > 1 && TRANSFORMATION.test(parts[0])) parts.shift();
+    if (parts.length > 1 && VERSION.test(parts[0])) parts.shift();
+
+    const publicId = decodeURIComponent(parts.join("/")).replace(/\.[a-z0-9]+$/i, "");
+
+    return publicId.startsWith(`${folder}/`) ? publicId : null;
+  }
+
+  /*
+    Stored photo url -> { url, thumb, card, full, srcset }. srcset lists
+    thumb and card, which share a shape, for <img> tags in grids. Images
+    from other websites are used as they are, with an empty srcset.
+  */
+  function variants(url) {
+    const original = String(url || "").trim();
+    const match = DELIVERY_URL.exec(original);
+
+    if (!match || (cloudName && match[1] !== cloudName)) {
+      return { url: original, thumb: original, card: original, full: original, srcset: "" };
+    }
+
+    const sized = {};
+
+    for (const [name, variant] of Object.entries(PHOTO_VARIANTS)) {
+      sized[name] = original.replace("/image/upload/", `/image/upload/${variant.transformation}/f_auto,q_auto/`);
+    }
+
+    return {
+      url: original,
+      ...sized,
+      srcset: `${sized.thumb} ${PHOTO_VARIANTS.thumb.width}w, ${sized.card} ${PHOTO_VARIANTS.card.width}w`
+    };
+  }
+
+  return {
+    folder,
+    publicIdFromUrl,
+    variants,
+
+    // Resolves with { url, publicId }. options are passed on, e.g. public_id and overwrite.
+    async upload(source, uploadOptions = {}) {
+      const result = await client.uploader.upload(source, { ...uploadOptions, ...UPLOAD_NORMALISE, folder });
+      return { url: result.secure_url, publicId: result.public_id };
+    },
+
+    // Resolves true when the asset was deleted, false when it was already gone
+    async destroy(publicId) {
+      const result = await client.uploader.destroy(publicId, { invalidate: true });
+
+      if (result && result.result === "not found") return false;
+
+      if (!result || result.result !== "ok") {
+        throw new Error(`Could not delete ${publicId}: ${result ? result.result : "no response"}`);
+      }
+
+      return true;
+    },
+
+    // Every asset in the folder: [{ publicId, url, createdAt, bytes }]
+    async list() {
+      const assets = [];
+      let cursor;
+
+      do {
+        const page = await client.api.resources({
+          type: "upload",
+          prefix: `${folder}/`,
+          max_results: LIST_PAGE_SIZE,
+          next_cursor: cursor
+        });
+
+        for (const resource of page.resources || []) {
+          assets.push({
+            publicId: resource.public_id,
+            url: resource.secure_url,
+            createdAt: resource.created_at || null,
+            bytes: Number(resource.bytes) || 0
+          });
+        }
+
+        cursor = page.next_cursor;
+      } while (cursor);
+
+      return assets;
+    }
+  };
+}
+
+module.exports = {
+  PHOTO_VARIANTS,
+  createPhotoStore,
+  createMemoryClient
+};
@@ -0,0 +1,104 @@
+(function () {
+  // Needs https://cdn.jsdelivr.net/npm/@supabase/supabase-js@2 loaded first
+  const supabaseUrl = "https://mptyddctygpxmpvlqpgt.supabase.co";
+  const supabaseKey = "sb_publishable_PGPGeL1Ly2KfV8fgb6E15Q_zQpeHxCE";
+
+  const client = window.supabase.createClient(supabaseUrl, supabaseKey);
+
+  function goToLogin() {
+    const next = window.location.pathname + window.location.search;
+    window.location.href = "/admin-login?next=" + encodeURIComponent(next);
+  }
+
+  async function getToken() {
+    const { data } = await client.auth.getSession();
+    return data && data.session ? data.session.access_token : null;
+  }
+
+  async function authHeaders(extra) {
+    const token = await getToken();
+
+    return Object.assign({}, extra || {}, {
+      Authorization: "Bearer " + (token || "")
+    });
+  }
+
+  // Resolves with the admin, or sends the browser to the admin login page
+  async function requireAdmin() {
+    const token = await getToken();
+
+    if (!token) {
+      goToLogin();
+      return null;
+    }
+
+    try {
+      const res = await fetch("/admin-me", {
+        headers: {
+          Authorization: "Bearer " + token
+        }
+      });
+
+      const data = await res.json().catch(() => null);
+
+      if (!res.ok || !data || !data.success) {
+        await client.auth.signOut();
+        goToLogin();
+        return null;
+      }
+
+      return data.admin;
+    } catch {
+      goToLogin();
+      return null;
+    }
+  }
+
+  // Fetches an admin export and saves it under the name the server gives
+  async function download(url) {
+    const res = await fetch(url, {
+      headers: await authHeaders()
+    });
+
+    if (!res.ok) {
+      const data = await res.json().catch(() => null);
+      throw new Error(data && data.message ? data.message : "Download failed.");
+    }
+
+    const disposition = res.headers.get("Content-Disposition") || "";
+    const match = /filename="([^"]+)"/.exec(disposition);
+    const link = document.createElement("a");
+
+    link.href = URL.createObjectURL(await res.blob());
+    link.download = match ? match[1] : "export";
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(link.href);
+  }
+
+  async function logout() {
+    await client.auth.signOut();
+    window.location.href = "/admin-login";
+  }
+
+  // Fills any [data-admin-email] element and wires [data-admin-logout] buttons
+  function showAdmin(admin) {
+    document.querySelectorAll("[data-admin-email]").forEach(el => {
+      el.textContent = admin && admin.email ? admin.email : "";
+    });
+
+    document.querySelectorAll("[data-admin-logout]").forEach(btn => {
+      btn.addEventListener("click", logout);
+    });
+  }
+
+  window.iowAdmin = {
+    client,
+    requireAdmin,
+    authHeaders,
+    download,
+    logout,
+    showAdmin
+  };
+})();
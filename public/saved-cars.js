@@ -0,0 +1,106 @@
+(function () {
+  const CARS_KEY = "iow_saved_cars";
+  const SEARCHES_KEY = "iow_saved_searches";
+  const MAX_CARS = 50;
+  const MAX_SEARCHES = 10;
+
+  function readList(key) {
+    try {
+      const parsed = JSON.parse(localStorage.getItem(key) || "[]");
+      return Array.isArray(parsed) ? parsed : [];
+    } catch {
+      return [];
+    }
+  }
+
+  function writeList(key, list) {
+    try {
+      localStorage.setItem(key, JSON.stringify(list));
+    } catch { }
+  }
+
+  function getCarIds() {
+    return readList(CARS_KEY)
+      .map(id => String(id || "").trim())
+      .filter(Boolean);
+  }
+
+  function isCarSaved(id) {
+    return getCarIds().includes(String(id || ""));
+  }
+
+  // Returns true when the car is saved after the toggle
+  function toggleCar(id) {
+    const cleanId = String(id || "").trim();
+    if (!cleanId) return false;
+
+    const ids = getCarIds();
+
+    if (ids.includes(cleanId)) {
+      writeList(CARS_KEY, ids.filter(savedId => savedId !== cleanId));
+      return false;
+    }
+
+    // Newest first, oldest dropped once the list is full
+    writeList(CARS_KEY, [cleanId, ...ids].slice(0, MAX_CARS));
+    return true;
+  }
+
+  function removeCar(id) {
+    writeList(CARS_KEY, getCarIds().filter(savedId => savedId !== String(id || "")));
+  }
+
+  async function fetchSavedCars() {
+    const ids = getCarIds();
+    if (!ids.length) return [];
+
+    const res = await fetch(
+      "/saved-cars?ids=" + encodeURIComponent(ids.join(",")),
+      { cache: "no-store" }
+    );
+
+    const data = await res.json().catch(() => null);
+
+    if (!res.ok || !data || !Array.isArray(data.saved)) {
+      throw new Error((data && data.message) || "Could not load saved cars.");
+    }
+
+    return data.saved;
+  }
+
+  function getSearches() {
+    return readList(SEARCHES_KEY).filter(search =>
+      search && typeof search.query === "string"
+    );
+  }
+
+  function saveSearch(label, query) {
+    const cleanQuery = String(query || "");
+    const searches = getSearches().filter(search => search.query !== cleanQuery);
+
+    const search = {
+      id: Date.now().toString(36),
+      label: String(label || "").trim() || "All cars",
+      query: cleanQuery,
+      savedAt: new Date().toISOString()
+    };
+
+    writeList(SEARCHES_KEY, [search, ...searches].slice(0, MAX_SEARCHES));
+    return search;
+  }
+
+  function removeSearch(id) {
+    writeList(SEARCHES_KEY, getSearches().filter(search => search.id !== id));
+  }
+
+  window.iowSaved = {
+    getCarIds,
+    isCarSaved,
+    toggleCar,
+    removeCar,
+    fetchSavedCars,
+    getSearches,
+    saveSearch,
+    removeSearch
+  };
+})();
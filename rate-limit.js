@@ -0,0 +1,126 @@
+// =============================
+// Rate limiting
+// =============================
+// Fixed-window counters: every hit on a key (e.g. a route and client IP)
+// counts towards the window it falls in, and the count starts again
+// when that window ends. check() says whether the hit is within the
+// limit and, if not, how many seconds until the window ends.
+//
+// A store has async hit(key, windowMs) -> { count, resetAt } (resetAt in ms):
+//   memory    counters in this process (default)
+//   supabase  counters in the rate_limits table, through the
+//             rate_limit_hit database function, so every server process
+//             shares them (see migrations/019_rate_limits.sql)
+// RATE_LIMIT_STORE picks one. Any such store can be passed in as store.
+// The memory store holds at most maxKeys windows; once every one is live,
+// the oldest is dropped to make room, so that client starts counting again.
+
+const MEMORY_MAX_KEYS = 50000;
+
+function createMemoryStore({ now = Date.now, maxKeys = MEMORY_MAX_KEYS } = {}) {
+  const windows = new Map();
+
+  function sweep(time) {
+    for (const [key, window] of windows) {
+      if (window.resetAt <= time) windows.delete(key);
+    }
+  }
+
+  return {
+    name: "memory",
+    windows,
+
+    async hit(key, windowMs) {
+      const time = now();
+      let window = windows.get(key);
+
+      if (!window || window.resetAt <= time) {
+        if (windows.size >= maxKeys) sweep(time);
+
+        // Still full of live windows: drop the oldest, the first in the Map
+        if (windows.size >= maxKeys) windows.delete(windows.keys().next().value);
+
+        // Deleted first so a restarted window moves to the end
+        window = { count: 0, resetAt: time + windowMs };
+        windows.delete(key);
+        windows.set(key, window);
+      }
+
+      window.count++;
+
+      return { count: window.count, resetAt: window.resetAt };
+    }
+  };
+}
+
+function createSupabaseStore({ client }) {
+  return {
+    name: "supabase",
+
+    async hit(key, windowMs) {
+      const { data, error } = await client.rpc("rate_limit_hit", {
+        p_key: key,
+        p_window_ms: windowMs
+      });
+
+      if (error) throw error;
+
+      const row = Array.isArray(data) ? data[0] : data;
+
+      if (!row) {
+        throw new Error("rate_limit_hit returned nothing");
+      }
+
+      return {
+        count: Number(row.hit_count),
+        resetAt: new Date(row.reset_at).getTime()
+      };
+    }
+  };
+}
+
+function storeFromEnv(env, client) {
+  const choice = String(env.RATE_LIMIT_STORE || "memory").trim().toLowerCase();
+
+  if (choice === "memory") {
+    return createMemoryStore();
+  }
+
+  if (choice === "supabase") {
+    if (!client) throw new Error("RATE_LIMIT_STORE=supabase needs a Supabase client");
+    return createSupabaseStore({ client });
+  }
+
+  throw new Error(`Unknown RATE_LIMIT_STORE: ${choice}`);
+}
+
+function createRateLimiter(options = {}) {
+  const env = options.env || process.env;
+  const store = options.store || storeFromEnv(env, options.client);
+  const now = options.now || Date.now;
+
+  return {
+    store: store.name,
+
+    /*
+      Counts a hit on key against limit hits per windowMs. Resolves with
+      { allowed, count, retryAfter }, retryAfter being whole seconds until
+      the window ends. Rejects if the store cannot be reached.
+    */
+    async check(key, { limit, windowMs }) {
+      const { count, resetAt } = await store.hit(key, windowMs);
+
+      return {
+        allowed: count <= limit,
+        count,
+        retryAfter: Math.max(1, Math.ceil((resetAt - now()) / 1000))
+      };
+    }
+  };
+}
+
+module.exports = {
+  createMemoryStore,
+  createRateLimiter,
+  createSupabaseStore
+};
@@ -1,13 +1,25 @@
 require("dotenv").config();
 
 const http = require("http");
+const crypto = require("crypto");
 const fs = require("fs");
 const path = require("path");
 const { URL } = require("url");
 
 const { createClient } = require("@supabase/supabase-js");
-const cloudinary = require("cloudinary").v2;
 const multer = require("multer");
+const Stripe = require("stripe");
+
+const { createMailer } = require("./mail");
+const { EMAIL_TEMPLATES, renderEmail } = require("./mail-templates");
+const { createVehicleLookup, normaliseRegistration } = require("./vehicle-lookup");
+const { CAR_MAKES, BODY_TYPES, findMake, canonicalModel, carTitle, splitCarName } = require("./car-reference");
+const { parseCsv, toCsv } = require("./csv");
+const { FEED_FORMATS, createFeedReader } = require("./dealer-feed");
+const { createPhotoStore } = require("./photo-store");
+const { createPhotoAssets } = require("./photo-assets");
+const { APPROVABLE_STATUSES, createApplicationApprover } = require("./garage-approval");
+const { createRateLimiter } = require("./rate-limit");
 
 // =============================
 // Upload temp directory
@@ -20,21 +32,19 @@ if (!fs.existsSync(UPLOAD_DIR)) {
 // =============================
 // ENV
 // =============================
-const ADMIN_KEY = process.env.ADMIN_KEY;
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_SECRET = process.env.SUPABASE_SECRET;
 const PORT = process.env.PORT || 3000;
 
-// ... your ENV checks stay the same ...
+// Stripe billing. Without STRIPE_SECRET_KEY the billing routes answer 503.
+// STRIPE_API_HOST / STRIPE_API_PORT / STRIPE_API_PROTOCOL point the client
+// at a local stub (e.g. stripe-mock) so billing can be tried offline.
+const STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY;
+const STRIPE_PRICE_ID = process.env.STRIPE_PRICE_ID;
+const STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET;
+const SITE_URL = String(process.env.SITE_URL || "").replace(/\/+$/, "");
 
-// =============================
-// Cloudinary Config
-// =============================
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
+// ... your ENV checks stay the same ...
 
 // Multer (disk temp)
 const allowedImageTypes = new Set([
@@ -71,43 +81,68 @@ const supabase = createClient(SUPABASE_URL, SUPABASE_SECRET, {
   auth: { persistSession: false },
 });
 
-// =============================
-// SOLD HELPERS (UK date DD/MM/YYYY)
-// =============================
-const SOLD_HIDE_DAYS = 7;
+// Mail (see mail.js for MAIL_TRANSPORT / SMTP_* settings)
+const mailer = createMailer();
 
-function parseUKDate(str) {
-  if (!str) return null;
-  const parts = String(str).trim().split("/");
-  if (parts.length !== 3) return null;
+// Registration lookups (see vehicle-lookup.js for VEHICLE_LOOKUP_PROVIDER / DVLA_* settings)
+const vehicleLookup = createVehicleLookup();
 
-  const day = Number(parts[0]);
-  const month = Number(parts[1]);
-  const year = Number(parts[2]);
+// Dealer stock feeds (see dealer-feed.js for DEALER_FEED_DIR)
+const feedReader = createFeedReader();
 
-  if (!Number.isInteger(day) || !Number.isInteger(month) || !Number.isInteger(year)) return null;
-  if (day < 1 || day > 31 || month < 1 || month > 12 || year < 2000 || year > 2100) return null;
+// Photo uploads (see photo-store.js for PHOTO_STORE / CLOUDINARY_* settings)
+const photoStore = createPhotoStore();
 
-  const d = new Date(year, month - 1, day);
-  if (d.getFullYear() !== year || d.getMonth() !== month - 1 || d.getDate() !== day) return null;
-  return d;
-}
+// Photo records and clean-up (see photo-assets.js)
+const photoAssets = createPhotoAssets({ client: supabase, photoStore });
 
-function soldTooOld(car) {
-  if (!car || !car.soldDate) return false;
-  const soldDate = parseUKDate(car.soldDate);
-  if (!soldDate) return false;
+// Garage application approval (see garage-approval.js for the steps and their undo)
+const applicationApprover = createApplicationApprover({
+  client: supabase,
+  garageFields: newGarageFields
+});
+
+// Rate limits on public POST routes (see rate-limit.js for RATE_LIMIT_STORE)
+const rateLimiter = createRateLimiter({ client: supabase });
+
+// Stripe client
+const stripe = STRIPE_SECRET_KEY
+  ? new Stripe(STRIPE_SECRET_KEY, {
+    host: process.env.STRIPE_API_HOST || undefined,
+    port: process.env.STRIPE_API_PORT || undefined,
+    protocol: process.env.STRIPE_API_PROTOCOL || undefined
+  })
+  : null;
+
+// =============================
+// SOLD DISPLAY WINDOW
+// =============================
+// A sold car stays on the public site for its garage's sold_display_days
+// after sold_at. The cutoff is kept on the car as sold_visible_until so
+// searches can filter on it in the database; it is set when the car is
+// sold and moved when the garage changes its window.
+const SOLD_DISPLAY_DAYS_DEFAULT = 7;
+const SOLD_DISPLAY_DAYS_MAX = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Profile input -> { days } or { error }
+function cleanSoldDisplayDays(value) {
+  const days = Number(value);
+
+  if (!Number.isInteger(days) || days < 0 || days > SOLD_DISPLAY_DAYS_MAX) {
+    return { error: `Sold cars can be shown for 0 to ${SOLD_DISPLAY_DAYS_MAX} days` };
+  }
 
-  const hideAfterMs = SOLD_HIDE_DAYS * 24 * 60 * 60 * 1000;
-  return Date.now() - soldDate.getTime() > hideAfterMs;
+  return { days };
 }
 
-function todayUK() {
-  const d = new Date();
-  const dd = String(d.getDate()).padStart(2, "0");
-  const mm = String(d.getMonth() + 1).padStart(2, "0");
-  const yyyy = String(d.getFullYear());
-  return `${dd}/${mm}/${yyyy}`;
+function soldVisibleUntil(soldAt, days) {
+  return new Date(new Date(soldAt).getTime() + days * DAY_MS).toISOString();
+}
+
+function soldTooOld(car) {
+  if (!car || !car.soldVisibleUntil) return false;
+  return new Date(car.soldVisibleUntil).getTime() <= Date.now();
 }
 
 // =============================
@@ -165,13 +200,7 @@ function readGaragesFile() {
   return safeReadJsonArray("garages.json");
 }
 
-function isAdmin(req) {
-  // Node lowercases headers
-  const key = String(req.headers["x-garage-key"] || "").trim();
-  return key === ADMIN_KEY;
-}
-
-async function getGarageFromAuth(req) {
+async function getUserFromAuth(req) {
   const authHeader = String(
     req.headers.authorization || ""
   ).trim();
@@ -197,7 +226,45 @@ async function getGarageFromAuth(req) {
     return null;
   }
 
-  const userId = userData.user.id;
+  return userData.user;
+}
+
+// auth.admin.createUser's error when the email already has a login
+function isExistingUserError(error) {
+  return error.code === "email_exists" || /already (been )?registered/i.test(error.message || "");
+}
+
+// The user id if password is email's login password, otherwise null.
+// Signs in on a client of its own so the shared one keeps the service key.
+async function passwordUserId(email, password) {
+  const client = createClient(SUPABASE_URL, SUPABASE_SECRET, {
+    auth: { persistSession: false, autoRefreshToken: false }
+  });
+
+  const { data, error } = await client.auth.signInWithPassword({ email, password });
+
+  if (error || !data || !data.user) {
+    return null;
+  }
+
+  return data.user.id;
+}
+
+async function getGarageFromAuth(req) {
+  const token = String(req.headers.authorization || "").replace(/^Bearer\s+/, "").trim();
+
+  // An admin opening the dashboard as the garage
+  if (token.startsWith(IMPERSONATION_TOKEN_PREFIX)) {
+    return getImpersonationAuth(token);
+  }
+
+  const user = await getUserFromAuth(req);
+
+  if (!user) {
+    return null;
+  }
+
+  const userId = user.id;
 
   const { data, error } = await supabase
     .from("garage_users")
@@ -225,14 +292,65 @@ async function getGarageFromAuth(req) {
 
   return {
     userId,
+    email: user.email || null,
     garageId: data.garage_id,
-    role: data.role,
+    role: GARAGE_ROLES.includes(data.role) ? data.role : "sales",
     status: data.status,
     accountStatus:
       garage.account_status || "active"
   };
 }
 
+// Admins are Supabase Auth users with an active row in admin_users
+const ADMIN_ROLES = ["admin"];
+
+async function getAdminFromAuth(req) {
+  const user = await getUserFromAuth(req);
+
+  if (!user) {
+    return null;
+  }
+
+  const { data, error } = await supabase
+    .from("admin_users")
+    .select("role, status")
+    .eq("user_id", user.id)
+    .eq("status", "active")
+    .maybeSingle();
+
+  if (error || !data || !ADMIN_ROLES.includes(data.role)) {
+    return null;
+  }
+
+  return {
+    userId: user.id,
+    email: user.email || null,
+    role: data.role
+  };
+}
+
+/*
+  Records which admin did what.
+  Called after the action succeeds; a failed write is logged
+  rather than failing an action that has already happened.
+*/
+async function dbRecordAdminAction(admin, action, targetType, targetId, details = null) {
+  const { error } = await supabase
+    .from("admin_actions")
+    .insert({
+      admin_user_id: admin.userId,
+      admin_email: admin.email,
+      action,
+      target_type: targetType,
+      target_id: targetId ? String(targetId) : null,
+      details
+    });
+
+  if (error) {
+    console.error("Record admin action error:", error);
+  }
+}
+
 function rejectPausedGarage(auth, res) {
   if (auth.accountStatus === "active") {
     return false;
@@ -246,6 +364,55 @@ function rejectPausedGarage(auth, res) {
   return true;
 }
 
+// Every garage login can see the stock, profile and enquiries and change
+// a car's status. The rest needs one of these roles.
+const GARAGE_ROLES = ["owner", "manager", "sales"];
+
+const GARAGE_PERMISSIONS = {
+  cars: { roles: ["owner", "manager"], label: "add, edit, import or delete cars" },
+  profile: { roles: ["owner"], label: "edit the garage profile" },
+  billing: { roles: ["owner"], label: "see or change billing" },
+  team: { roles: ["owner"], label: "manage the team" }
+};
+
+function garageCan(auth, permission) {
+  if (auth.impersonation && !IMPERSONATION_PERMISSIONS.includes(permission)) {
+    return false;
+  }
+
+  return GARAGE_PERMISSIONS[permission].roles.includes(auth.role);
+}
+
+// { cars: true, profile: false, ... } for the dashboard to show what the login can use
+function garagePermissions(auth) {
+  return Object.fromEntries(
+    Object.keys(GARAGE_PERMISSIONS).map(permission => [permission, garageCan(auth, permission)])
+  );
+}
+
+function rejectGarageRole(auth, res, permission) {
+  if (garageCan(auth, permission)) {
+    return false;
+  }
+
+  sendJson(res, 403, {
+    success: false,
+    message: auth.impersonation
+      ? `Admin sessions cannot ${GARAGE_PERMISSIONS[permission].label}.`
+      : `Your ${auth.role} login cannot ${GARAGE_PERMISSIONS[permission].label}.`
+  });
+
+  return true;
+}
+
+function isPublicGarage(garage) {
+  return Boolean(
+    garage &&
+    garage.account_status === "active" &&
+    garage.public_status === "live"
+  );
+}
+
 function readBody(req) {
   return new Promise((resolve, reject) => {
     let body = "";
@@ -255,17 +422,410 @@ function readBody(req) {
   });
 }
 
+// Exact request bytes, for webhook signature checks
+function readRawBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+function siteUrl(req) {
+  if (SITE_URL) return SITE_URL;
+
+  const proto = String(req.headers["x-forwarded-proto"] || "http").split(",")[0].trim();
+  return `${proto}://${req.headers.host || "localhost"}`;
+}
+
 function safeUnlink(filePath) {
   try {
     if (filePath && fs.existsSync(filePath)) fs.unlinkSync(filePath);
   } catch { }
 }
 
+// =============================
+// ABUSE PROTECTION
+// =============================
+// Public POST routes are limited per client: RATE_LIMITS hits per window,
+// after which they answer 429 with Retry-After. Behind a proxy or load
+// balancer set TRUST_PROXY=true so the client IP is read from
+// X-Forwarded-For. Clients are keyed by a hash of their IP (and, for
+// analytics, user agent), so the shared store never holds an IP.
+//
+// The application form also has a honeypot field people never see and
+// a signed token from GET /garage-apply-token saying when the form was
+// loaded. Bots fill the honeypot, and post too soon or without a token.
+const TRUST_PROXY = String(process.env.TRUST_PROXY || "").toLowerCase() === "true";
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+const RATE_LIMITS = {
+  "/garage-apply": { limit: 5, windowMs: HOUR_MS },
+  "/enquiries": { limit: 10, windowMs: HOUR_MS },
+  "/analytics-event": { limit: 120, windowMs: MINUTE_MS },
+  "/team-invite-accept": { limit: 10, windowMs: HOUR_MS }
+};
+
+// A visitor's repeat event for the same car or garage within this is not counted again
+const ANALYTICS_DEDUPE_MS = 30 * MINUTE_MS;
+
+const APPLY_HONEYPOT_FIELD = "fax";
+const APPLY_FORM_MIN_MS = 3000;
+const APPLY_FORM_MAX_MS = DAY_MS;
+
+// Without FORM_TOKEN_SECRET, forms loaded before a restart have to be reloaded
+const FORM_TOKEN_SECRET = process.env.FORM_TOKEN_SECRET || crypto.randomBytes(32).toString("hex");
+
+function clientIp(req) {
+  if (TRUST_PROXY && req.headers["x-forwarded-for"]) {
+    return String(req.headers["x-forwarded-for"]).split(",")[0].trim();
+  }
+
+  return req.socket.remoteAddress || "unknown";
+}
+
+// Hash of the client IP and any extra parts, e.g. the user agent
+function clientKey(req, ...parts) {
+  return crypto
+    .createHash("sha256")
+    .update([clientIp(req), ...parts].join("\n"))
+    .digest("hex")
+    .slice(0, 32);
+}
+
+/*
+  Counts the request against pathname's RATE_LIMITS entry and answers
+  429 if it is over. Returns true when the request was refused. If the
+  store cannot be reached the request is let through.
+*/
+async function rejectRateLimited(req, res, pathname) {
+  const rule = RATE_LIMITS[pathname];
+  if (!rule) return false;
+
+  let result;
+
+  try {
+    result = await rateLimiter.check(`${pathname}:${clientKey(req)}`, rule);
+  } catch (e) {
+    console.error("Rate limit check error:", e);
+    return false;
+  }
+
+  if (result.allowed) return false;
+
+  res.setHeader("Retry-After", String(result.retryAfter));
+
+  sendJson(res, 429, {
+    success: false,
+    message: `Too many requests. Please try again in ${Math.ceil(result.retryAfter / 60)} minute(s).`,
+    retryAfter: result.retryAfter
+  });
+
+  return true;
+}
+
+// True the first time this visitor sends eventType for target within ANALYTICS_DEDUPE_MS
+async function isFirstAnalyticsEvent(req, eventType, target) {
+  const key = `analytics:${clientKey(req, req.headers["user-agent"] || "", eventType, target)}`;
+
+  try {
+    const { count } = await rateLimiter.check(key, { limit: 1, windowMs: ANALYTICS_DEDUPE_MS });
+    return count === 1;
+  } catch (e) {
+    console.error("Analytics dedupe error:", e);
+    return true;
+  }
+}
+
+function formTokenSignature(issuedAt) {
+  return crypto
+    .createHmac("sha256", FORM_TOKEN_SECRET)
+    .update(`garage-apply:${issuedAt}`)
+    .digest("hex");
+}
+
+// "<issued at ms>.<signature>"
+function formToken(issuedAt = Date.now()) {
+  return `${issuedAt}.${formTokenSignature(issuedAt)}`;
+}
+
+// How long ago a form token was issued, or null if it is not one of ours
+function formTokenAge(token) {
+  const [issuedAt, signature] = String(token || "").split(".");
+  const expected = formTokenSignature(issuedAt);
+
+  if (!/^\d+$/.test(issuedAt || "") || !signature || signature.length !== expected.length) {
+    return null;
+  }
+
+  if (!crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+
+  return Date.now() - Number(issuedAt);
+}
+
+// =============================
+// AUDIT LOG
+// =============================
+// Every change to a car, garage or garage application is written to
+// audit_log with who made it and the fields that changed. Like admin
+// actions, a failed write is logged rather than failing the change.
+const AUDIT_ACTOR_TYPES = ["garage", "admin", "system"];
+
+// Bookkeeping columns that change on every save or follow from another field
+const AUDIT_SKIP_FIELDS = [
+  "updatedAt", "updated_at", "created_at", "previous_price", "price_changed_at",
+  "status_changed_at", "sold_visible_until", "reservation_warned_at"
+];
+
+// actor for dbRecordAudit: auth from getGarageFromAuth / getAdminFromAuth, or none for "system".
+// An admin working in a garage's dashboard is recorded as that admin.
+function auditActor(type, who = null) {
+  const actorType = who && who.impersonation ? "admin" : type;
+
+  return {
+    type: AUDIT_ACTOR_TYPES.includes(actorType) ? actorType : "system",
+    userId: who ? who.userId || null : null,
+    email: who ? who.email || null : null
+  };
+}
+
+// { field: { from, to } } for every field that differs between two rows
+function auditChanges(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const field of fields) {
+    if (AUDIT_SKIP_FIELDS.includes(field)) continue;
+
+    const from = before ? before[field] ?? null : null;
+    const to = after ? after[field] ?? null : null;
+
+    if (JSON.stringify(from) === JSON.stringify(to)) continue;
+
+    changes[field] = {};
+    if (before) changes[field].from = from;
+    if (after) changes[field].to = to;
+  }
+
+  return changes;
+}
+
+/*
+  before / after are the raw rows either side of the change (null for a
+  create or delete). An update that changed nothing is not recorded.
+*/
+async function dbRecordAudit(actor, action, targetType, targetId, { garageId = null, before = null, after = null } = {}) {
+  const changes = auditChanges(before, after);
+
+  if (before && after && !Object.keys(changes).length) return;
+
+  const { error } = await supabase
+    .from("audit_log")
+    .insert({
+      actor_type: actor.type,
+      actor_id: actor.userId,
+      actor_email: actor.email,
+      action,
+      target_type: targetType,
+      target_id: targetId ? String(targetId) : null,
+      garage_id: garageId || null,
+      changes
+    });
+
+  if (error) {
+    console.error("Record audit error:", error);
+  }
+}
+
+function mapDbAudit(row) {
+  return {
+    id: row.id,
+    actorType: row.actor_type,
+    actorEmail: row.actor_email ?? null,
+    action: row.action,
+    targetType: row.target_type,
+    targetId: row.target_id ?? null,
+    garageId: row.garage_id ?? null,
+    changes: row.changes || {},
+    createdAt: row.created_at
+  };
+}
+
+// Newest first. carId: that car's history; garageId: the garage and all its cars
+async function dbListAudit({ carId = null, garageId = null, limit = 100 }) {
+  let query = supabase
+    .from("audit_log")
+    .select("*")
+    .order("created_at", { ascending: false })
+    .limit(limit);
+
+  query = carId
+    ? query.eq("target_type", "car").eq("target_id", carId)
+    : query.eq("garage_id", garageId);
+
+  const { data, error } = await query;
+
+  if (error) throw error;
+  return (data || []).map(mapDbAudit);
+}
+
+async function dbGetCarRow(id) {
+  const { data, error } = await supabase
+    .from("cars")
+    .select("*")
+    .eq("id", id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || null;
+}
+
+async function dbGetGarageRow(id) {
+  const { data, error } = await supabase
+    .from("garages")
+    .select("*")
+    .eq("id", id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || null;
+}
+
+// =============================
+// CAR PHOTOS
+// =============================
+// cars.photos is a list of { url, caption, cover, order }, in order.
+// Rows saved before photos had captions hold plain urls; carPhotoList
+// reads both, so old rows work without being rewritten. The cover photo
+// is the one shown on cards and in search results; when no photo is
+// flagged it is the first.
+const CAR_MAX_PHOTOS = 20;
+const PHOTO_CAPTION_MAX = 80;
+
+// Stored or submitted photos -> [{ url, caption, cover }] in order, with exactly one cover
+function carPhotoList(value) {
+  const list = (Array.isArray(value) ? value : [])
+    .map((item, index) => {
+      const photo = item && typeof item === "object" ? item : { url: item };
+      const order = photo.order === null || photo.order === undefined || photo.order === ""
+        ? NaN
+        : Number(photo.order);
+
+      return {
+        url: String(photo.url ?? "").trim(),
+        caption: String(photo.caption ?? "").trim() || null,
+        cover: photo.cover === true,
+        order: Number.isFinite(order) ? order : index,
+        index
+      };
+    })
+    .filter(photo => photo.url)
+    .sort((a, b) => a.order - b.order || a.index - b.index);
+
+  const coverIndex = Math.max(list.findIndex(photo => photo.cover), 0);
+
+  return list.map(({ url, caption }, index) => ({ url, caption, cover: index === coverIndex }));
+}
+
+function carPhotoUrls(value) {
+  return carPhotoList(value).map(photo => photo.url);
+}
+
+/*
+  Checks photos sent by an editor, import or feed. Each one is a url or
+  { url, caption, cover, order }. Returns { photos } ready to store, or
+  { error }. A plain url keeps the caption it has in current, and
+  current's cover stays the cover while it is still listed and no other
+  photo is picked.
+*/
+function cleanCarPhotos(value, current = []) {
+  if (value === undefined || value === null) return { photos: [] };
+  if (!Array.isArray(value)) return { error: "Photos must be a list" };
+
+  const items = value.filter(Boolean);
+  const seen = new Set();
+
+  if (items.length > CAR_MAX_PHOTOS) {
+    return { error: `No more than ${CAR_MAX_PHOTOS} photos per car` };
+  }
+
+  for (const [index, item] of items.entries()) {
+    const photo = typeof item === "object" ? item : { url: item };
+    const url = String(photo.url ?? "").trim();
+    const label = `Photo ${index + 1}`;
+
+    if (!/^(https?:\/\/|\/)\S+$/i.test(url)) return { error: `${label} is not a web address` };
+    if (seen.has(url)) return { error: `${label} is already on this car` };
+    seen.add(url);
+
+    if (photo.caption !== undefined && photo.caption !== null && typeof photo.caption !== "string") {
+      return { error: `${label} caption must be text` };
+    }
+
+    if (String(photo.caption ?? "").trim().length > PHOTO_CAPTION_MAX) {
+      return { error: `${label} caption must be ${PHOTO_CAPTION_MAX} characters or fewer` };
+    }
+
+    if (photo.cover !== undefined && typeof photo.cover !== "boolean") {
+      return { error: `${label} cover must be true or false` };
+    }
+
+    if (photo.order !== undefined && photo.order !== null && !Number.isFinite(Number(photo.order))) {
+      return { error: `${label} order must be a number` };
+    }
+  }
+
+  if (items.filter(item => typeof item === "object" && item.cover === true).length > 1) {
+    return { error: "Only one photo can be the cover" };
+  }
+
+  const previous = carPhotoList(current);
+  const captions = new Map(previous.map(photo => [photo.url, photo.caption]));
+
+  const photos = items.map(item => typeof item === "object"
+    ? { ...item }
+    : { url: item, caption: captions.get(String(item).trim()) ?? null });
+
+  if (!photos.some(photo => photo.cover === true)) {
+    const oldCover = previous.find(photo => photo.cover);
+    const kept = oldCover && photos.find(photo => String(photo.url).trim() === oldCover.url);
+
+    if (kept) kept.cover = true;
+  }
+
+  return {
+    photos: carPhotoList(photos).map((photo, order) => ({ ...photo, order }))
+  };
+}
+
+// cleanCarPhotos for the db functions. A bad list throws an error with code "invalid_photos".
+function storedCarPhotos(value, current = []) {
+  const checked = cleanCarPhotos(value, current);
+
+  if (checked.error) {
+    throw Object.assign(new Error(checked.error), { code: "invalid_photos" });
+  }
+
+  return checked.photos;
+}
+
 // =============================
 // SUPABASE MAPPING (DB -> frontend)
 // =============================
 function mapDbCar(row) {
-  const photos = Array.isArray(row.photos) ? row.photos.filter(Boolean) : [];
+  const photoList = carPhotoList(row.photos);
+  const photos = photoList.map(photo => photo.url);
+  const cover = photoList.find(photo => photo.cover) || null;
+
+  // Only a drop counts as a reduction; a rise leaves it at 0
+  const previousPrice = row.previous_price ?? null;
+  const priceReduction = previousPrice !== null && Number(previousPrice) > Number(row.price)
+    ? Number(previousPrice) - Number(row.price)
+    : 0;
 
   // If you used a join, Supabase may return the garage row under "garages"
   const joinedGarage = row.garages || row.garage || null;
@@ -273,8 +833,15 @@ function mapDbCar(row) {
   return {
     id: row.id,
     name: row.name ?? null,
+    make: row.make ?? null,
+    model: row.model ?? null,
+    variant: row.variant ?? null,
+    bodyType: row.body_type ?? null,
     year: row.year ?? null,
     price: row.price ?? null,
+    previousPrice,
+    priceChangedAt: row.price_changed_at ?? null,
+    priceReduction,
 
     // supports both column styles
     garageId: row.garage_id ?? null,
@@ -283,7 +850,15 @@ function mapDbCar(row) {
     garageName: joinedGarage?.name ?? row.garageName ?? null,
 
     photos,
-    photo: photos.length ? photos[0] : null,
+    photo: cover ? cover.url : null,
+
+    // Each photo with its caption and sized copies, in the same order:
+    // { url, caption, cover, thumb, card, full, srcset }
+    photoVariants: photoList.map(photo => ({
+      ...photoStore.variants(photo.url),
+      caption: photo.caption,
+      cover: photo.cover
+    })),
 
     mileage: row.mileage ?? null,
     fuel: row.fuel ?? null,
@@ -301,7 +876,12 @@ function mapDbCar(row) {
 
     status: row.status ?? "available",
     sold: row.sold ?? false,
-    soldDate: row.soldDate ?? row.sold_date ?? null,
+    soldAt: row.sold_at ?? null,
+    soldVisibleUntil: row.sold_visible_until ?? null,
+    reservedAt: row.reserved_at ?? null,
+    reservedUntil: row.reserved_until ?? null,
+    statusChangedAt: row.status_changed_at ?? null,
+    publishAt: row.publish_at ?? null,
   };
 }
 
@@ -309,8 +889,9 @@ function mapDbCar(row) {
 // SUPABASE DB FUNCTIONS (CARS)
 // =============================
 
-async function dbListCars() {
-  const { data, error } = await supabase
+// Every car, or only garageId's when given, newest first
+async function dbListCars(garageId = null) {
+  let query = supabase
     .from("cars")
     .select(`
       *,
@@ -321,39 +902,28 @@ async function dbListCars() {
     `)
     .order("updatedAt", { ascending: false });
 
+  if (garageId) {
+    query = query.eq("garage_id", garageId);
+  }
+
+  const { data, error } = await query;
+
   if (error) throw error;
 
   return (data || []).map(row => {
     const mapped = mapDbCar(row);
     mapped.garageName = row.garages?.name || null;
+
+    // Only the garage and admin stock lists use dbListCars, so the registration
+    // and the reservation's buyer details can go out here
+    mapped.registration = row.registration || null;
+    mapped.stockRef = row.stock_ref || null;
+    mapped.reservationName = row.reservation_name || null;
+    mapped.reservationDeposit = row.reservation_deposit ?? null;
     return mapped;
   });
 }
 
-async function dbGetCarByName(name) {
-  const { data, error } = await supabase
-    .from("cars")
-    .select(`
-      *,
-      garages (
-        id,
-        name
-      )
-    `)
-    .ilike("name", name)
-    .limit(1);
-
-  if (error) throw error;
-
-  const row = (data || [])[0];
-  if (!row) return null;
-
-  const mapped = mapDbCar(row);
-  mapped.garageName = row.garages?.name || null;
-
-  return mapped;
-}
-
 async function dbInsertCar(payload) {
   const name = String(payload.name || "").trim();
 
@@ -362,9 +932,16 @@ async function dbInsertCar(payload) {
 
   const row = {
     name,
+    make: payload.make ?? null,
+    model: payload.model ?? null,
+    variant: payload.variant ?? null,
+    body_type: payload.bodyType ?? null,
     year: Number(payload.year),
     price: Number(payload.price),
     garage_id,
+    registration: normaliseRegistration(payload.registration),
+    stock_ref: cleanStockRef(payload.stockRef),
+    source: CAR_SOURCES.includes(payload.source) ? payload.source : "dashboard",
     mileage: payload.mileage
       ? Number(String(payload.mileage).replace(/[,\s.]/g, ""))
       : null,
@@ -377,29 +954,41 @@ async function dbInsertCar(payload) {
     description: (payload.description && String(payload.description).trim())
       ? String(payload.description).trim()
       : null,
-    photos: (Array.isArray(payload.photos) ? payload.photos : [])
-      .map(x => String(x).trim())
-      .filter(Boolean),
+    photos: storedCarPhotos(payload.photos),
     extras: (payload.extras && String(payload.extras).trim())
       ? String(payload.extras).trim()
       : null,
 
-    status: "available",
+    status: UNPUBLISHED_STATUSES.includes(payload.listingStatus) ? payload.listingStatus : "available",
+    publish_at: payload.listingStatus === "scheduled" ? payload.publishAt : null,
     sold: false,
-    soldDate: null,
     updatedAt: new Date().toISOString(),
   };
 
-  const { error } = await supabase
-    .from("cars")
-    .insert(row);
+  row.status_changed_at = row.updatedAt;
+
+  const { data, error } = await supabase
+    .from("cars")
+    .insert(row)
+    .select("*")
+    .maybeSingle();
 
   if (error) throw error;
+
+  if (data) {
+    await dbRecordPriceChange(data.id, data.garage_id, data.price, null);
+  }
+
+  return data || null;
 }
 
 async function dbUpdateCar(payload, garageId = null) {
   const row = {
     name: payload.name,
+    make: payload.make ?? null,
+    model: payload.model ?? null,
+    variant: payload.variant ?? null,
+    body_type: payload.bodyType ?? null,
     year: Number(payload.year),
     price: Number(payload.price),
 
@@ -414,11 +1003,37 @@ async function dbUpdateCar(payload, garageId = null) {
     colour: payload.colour ?? null,
     serviceHistory: payload.serviceHistory ?? null,
     description: payload.description ?? null,
-    photos: payload.photos ?? [],
     extras: payload.extras ?? null,
     updatedAt: new Date().toISOString()
   };
 
+  if (payload.registration !== undefined) {
+    row.registration = normaliseRegistration(payload.registration);
+  }
+
+  if (payload.stockRef !== undefined) {
+    row.stock_ref = cleanStockRef(payload.stockRef);
+  }
+
+  // Set by carPublishing when the edit form asks to publish, draft or schedule
+  if (payload.listingStatus !== undefined) {
+    row.status = payload.listingStatus;
+    row.publish_at = payload.listingStatus === "scheduled" ? payload.publishAt : null;
+  }
+
+  const current = await dbGetCarRow(payload.id);
+  const priceChanged = current && Number(current.price) !== row.price;
+
+  // An edit that leaves photos out keeps the ones the car has
+  if (payload.photos !== undefined) {
+    row.photos = storedCarPhotos(payload.photos, current ? current.photos : []);
+  }
+
+  if (priceChanged) {
+    row.previous_price = current.price;
+    row.price_changed_at = row.updatedAt;
+  }
+
   let query = supabase
     .from("cars")
     .update(row)
@@ -429,40 +1044,297 @@ async function dbUpdateCar(payload, garageId = null) {
   }
 
   const { data, error } = await query
-    .select("id")
+    .select("*")
     .maybeSingle();
 
   if (error) throw error;
 
+  if (data && priceChanged) {
+    await dbRecordPriceChange(data.id, data.garage_id, data.price, current.price);
+  }
+
+  // Only a save that gave a photo list can have dropped any
+  if (data && current && row.photos !== undefined) {
+    await photoAssets.release(droppedPhotos(carPhotoUrls(current.photos), carPhotoUrls(data.photos)));
+  }
+
   return data || null;
 }
 
+/*
+  Adds a row to car_price_history. previousPrice is null for the price
+  a car was first listed at. A failed write is logged, not thrown, as
+  the car itself has already been saved.
+*/
+async function dbRecordPriceChange(carId, garageId, price, previousPrice) {
+  const { error } = await supabase
+    .from("car_price_history")
+    .insert({
+      car_id: carId,
+      garage_id: garageId || null,
+      price,
+      previous_price: previousPrice ?? null
+    });
+
+  if (error) {
+    console.error("Record price change error:", error);
+  }
+}
+
+// Oldest first: [{ price, previousPrice, changedAt }]
+async function dbListPriceHistory(carId, limit = 20) {
+  const { data, error } = await supabase
+    .from("car_price_history")
+    .select("price, previous_price, changed_at")
+    .eq("car_id", carId)
+    .order("changed_at", { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+
+  return (data || [])
+    .reverse()
+    .map(row => ({
+      price: row.price,
+      previousPrice: row.previous_price ?? null,
+      changedAt: row.changed_at
+    }));
+}
+
 async function dbDeleteCarByName(name) {
-  const { error, count } = await supabase
+  const { data, error, count } = await supabase
     .from("cars")
     .delete({ count: "exact" })
-    .eq("name", name);
+    .eq("name", name)
+    .select("photos");
 
   if (error) throw error;
+
+  await photoAssets.release((data || []).flatMap(row => carPhotoUrls(row.photos)));
+
   return count || 0;
 }
 
 async function dbMarkSoldByName(name) {
-  const soldDate = todayUK();
-
-  const { error, data } = await supabase
+  const { data: car, error: findError } = await supabase
     .from("cars")
-    .update({
-      sold: true,
-      soldDate,
-      updatedAt: new Date().toISOString(),
-    })
+    .select("id, garage_id")
     .eq("name", name)
-    .select("soldDate")
     .single();
 
+  if (findError) throw findError;
+
+  const update = await carStatusFields("sold", car.garage_id);
+
+  const { error } = await supabase
+    .from("cars")
+    .update(update)
+    .eq("id", car.id);
+
+  if (error) throw error;
+  return update.sold_at;
+}
+
+async function dbGetSoldDisplayDays(garageId) {
+  if (!garageId) return SOLD_DISPLAY_DAYS_DEFAULT;
+
+  const { data, error } = await supabase
+    .from("garages")
+    .select("sold_display_days")
+    .eq("id", garageId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data?.sold_display_days ?? SOLD_DISPLAY_DAYS_DEFAULT;
+}
+
+/*
+  The columns to write when a car moves to status. The time for the new
+  status is set and the others cleared; publish_at is cleared too, as a
+  status change publishes a draft or scheduled car. reservation comes
+  from cleanReservation and is only kept while the car is reserved.
+*/
+async function carStatusFields(status, garageId, reservation = null) {
+  const now = new Date().toISOString();
+  const sold = status === "sold";
+  const reserved = status === "reserved";
+
+  return {
+    status,
+    sold,
+    sold_at: sold ? now : null,
+    sold_visible_until: sold ? soldVisibleUntil(now, await dbGetSoldDisplayDays(garageId)) : null,
+    reserved_at: reserved ? now : null,
+    reserved_until: reserved && reservation ? reservation.until : null,
+    reservation_name: reserved && reservation ? reservation.buyerName : null,
+    reservation_deposit: reserved && reservation ? reservation.deposit : null,
+    reservation_warned_at: null,
+    status_changed_at: now,
+    publish_at: null,
+    updatedAt: now
+  };
+}
+
+/*
+  Moves sold_visible_until for the garage's sold cars after it changes
+  sold_display_days. Cars sold before the longest possible window are
+  hidden whatever the setting, so they are left alone.
+*/
+async function dbApplySoldDisplayDays(garageId, days) {
+  const { data, error } = await supabase
+    .from("cars")
+    .select("id, sold_at")
+    .eq("garage_id", garageId)
+    .eq("status", "sold")
+    .gte("sold_at", new Date(Date.now() - SOLD_DISPLAY_DAYS_MAX * DAY_MS).toISOString());
+
+  if (error) throw error;
+
+  for (const row of data || []) {
+    const { error: updateError } = await supabase
+      .from("cars")
+      .update({ sold_visible_until: soldVisibleUntil(row.sold_at, days) })
+      .eq("id", row.id);
+
+    if (updateError) throw updateError;
+  }
+
+  return (data || []).length;
+}
+
+// Unsold cars already listed under this registration, other than carId
+async function dbFindListedRegistration(registration, carId = null) {
+  let query = supabase
+    .from("cars")
+    .select("id, garage_id, status, sold")
+    .eq("registration", registration);
+
+  if (carId) {
+    query = query.neq("id", carId);
+  }
+
+  const { data, error } = await query;
+
   if (error) throw error;
-  return data?.soldDate || soldDate;
+
+  return (data || [])
+    .map(mapDbCar)
+    .filter(car => carStatus(car) !== "sold");
+}
+
+/*
+  Checks the registration a garage typed in.
+  Returns { status, message } when the car cannot be saved, otherwise null.
+*/
+async function checkCarRegistration(payload, garageId, carId = null) {
+  const raw = String(payload.registration || "").trim();
+  if (!raw) return null;
+
+  const registration = normaliseRegistration(raw);
+
+  if (!registration) {
+    return {
+      status: 400,
+      message: "That does not look like a UK registration."
+    };
+  }
+
+  const listed = await dbFindListedRegistration(registration, carId);
+  if (!listed.length) return null;
+
+  return {
+    status: 409,
+    message: listed.some(car => String(car.garageId) === String(garageId))
+      ? "This vehicle is already in your stock."
+      : "This vehicle is already listed by another garage. Contact us if it is now yours."
+  };
+}
+
+/*
+  Make, model, variant and body type from an Add/Edit form.
+  Returns { make, model, variant, bodyType, name } with name as the
+  derived advert title, or { error } when they cannot be saved.
+  Older clients that only send name have it split against the reference list.
+*/
+function carIdentity(payload) {
+  const clean = (value) => String(value ?? "").trim().replace(/\s+/g, " ");
+
+  let make = clean(payload.make);
+  let model = clean(payload.model);
+  let variant = clean(payload.variant);
+
+  if (!make && !model && clean(payload.name)) {
+    const split = splitCarName(payload.name);
+
+    make = split.make || "";
+    model = split.model || "";
+    variant = split.variant || "";
+  }
+
+  if (!make) return { error: "Missing make" };
+
+  const listedMake = findMake(make);
+  if (!listedMake) return { error: "Choose a make from the list" };
+
+  if (!model) return { error: "Missing model" };
+
+  const rawBodyType = clean(payload.bodyType ?? payload.body_type);
+  const bodyType = rawBodyType
+    ? BODY_TYPES.find(type => type.toLowerCase() === rawBodyType.toLowerCase())
+    : null;
+
+  if (rawBodyType && !bodyType) return { error: "Invalid body type" };
+
+  const identity = {
+    make: listedMake,
+    model: canonicalModel(listedMake, model),
+    variant: variant || null,
+    bodyType
+  };
+
+  identity.name = carTitle(identity);
+
+  return identity;
+}
+
+/*
+  The checks POST /my-cars makes before adding a car, shared with POST /cars
+  and the CSV import. Returns { error } or { car } with the identity,
+  year, price and photos cleaned up. Listing status is left out; only
+  carPublishing sets it.
+*/
+function validateCarListing(input) {
+  const { listingStatus, publishAt, ...data } = input;
+  const identity = carIdentity(data);
+  const year = Number(data.year);
+  const price = Number(String(data.price).replace(/[£,\s.]/g, ""));
+  const photos = Array.isArray(data.photos) ? data.photos.filter(Boolean) : [];
+  const checkedPhotos = cleanCarPhotos(photos);
+
+  if (identity.error) return { error: identity.error };
+  if (!Number.isInteger(year)) return { error: "Year must be integer" };
+  if (!Number.isFinite(price) || price <= 0) return { error: "Price must be > 0" };
+  if (!photos.length) return { error: "At least 1 photo required" };
+  if (checkedPhotos.error) return { error: checkedPhotos.error };
+
+  return {
+    car: {
+      ...data,
+      ...identity,
+      year,
+      price,
+      photos
+    }
+  };
+}
+
+// Where a car was added: by hand, by CSV import, or by the dealer feed sync
+const CAR_SOURCES = ["dashboard", "csv", "feed"];
+
+// A garage's own reference for a car, used to match rows on re-import
+function cleanStockRef(value) {
+  const ref = String(value ?? "").trim();
+  return ref ? ref.slice(0, 60) : null;
 }
 
 async function dbGetCarById(id) {
@@ -487,535 +1359,5304 @@ async function dbGetCarById(id) {
   return mapped;
 }
 
-
 // =============================
-// SUPABASE DB FUNCTIONS (GARAGES)
+// CAR SEARCH (GET /cars)
 // =============================
+const CAR_SORTS = ["recent", "reduced", "price-asc", "price-desc", "year-desc", "mileage-asc"];
+const CAR_STATUSES = ["available", "reserved", "sold"];
 
-async function dbListGarages() {
-  const { data, error } = await supabase
-    .from("garages")
-    .select(`
-  id,
-  name,
-  address,
-  town,
-  postcode,
-  phone,
-  email,
-  website,
-  logo_url,
-  banner_url,
-  opening_hours,
-  description
-`)
-    .eq("account_status", "active")
-    .eq("public_status", "live")
-    .order("name", { ascending: true });
+// Listings only the garage sees: drafts, and cars waiting for publish_at
+const UNPUBLISHED_STATUSES = ["draft", "scheduled"];
+const CARS_PAGE_SIZE = 24;
+const CARS_MAX_PAGE_SIZE = 100;
+const SAVED_CARS_MAX = 50;
 
-  if (error) throw error;
-  return data || [];
-}
+function carStatus(car) {
+  const status = String(car.status || "").toLowerCase();
 
-async function dbGetGarageById(id) {
-  const cleanId = String(id || "").trim();
-  if (!cleanId) return null;
+  if (status === "sold" || car.sold === true) return "sold";
+  if (status === "reserved") return "reserved";
+  if (UNPUBLISHED_STATUSES.includes(status)) return status;
 
-  const { data, error } = await supabase
-    .from("garages")
-    .select(`
-      id,
-      name,
-      address,
-      town,
-      postcode,
-      phone,
-      email,
-website,
-logo_url,
-banner_url,
-opening_hours,
-account_status,
-public_status
-`)
-    .eq("id", cleanId)
-    .single();
+  return "available";
+}
 
-  if (error) throw error;
-  return data || null;
+function isPublishedCar(car) {
+  return !UNPUBLISHED_STATUSES.includes(carStatus(car));
 }
 
-async function dbUpdateGarage(id, payload) {
-  const cleanId = String(id || "").trim();
+/*
+  How an Add/Edit form wants the car listed: publish "now" (the default),
+  "draft", or "schedule" with a future publishAt.
+  Returns { listingStatus, publishAt } or { error }.
+*/
+function carPublishing(payload) {
+  const publish = String(payload.publish || "now").trim().toLowerCase();
 
-  if (!cleanId) {
-    throw new Error("Missing garage id");
-  }
+  if (publish === "now") return { listingStatus: "available", publishAt: null };
+  if (publish === "draft") return { listingStatus: "draft", publishAt: null };
+  if (publish !== "schedule") return { error: "Invalid publish option" };
 
-  const row = {
-    name: payload.name ? String(payload.name).trim() : null,
-    phone: payload.phone ? String(payload.phone).trim() : null,
-    email: payload.email ? String(payload.email).trim() : null,
-    website: payload.website ? String(payload.website).trim() : null,
-    logo_url: payload.logo_url ? String(payload.logo_url).trim() : null,
-    banner_url: payload.banner_url ? String(payload.banner_url).trim() : null,
-    address: payload.address ? String(payload.address).trim() : null,
-    town: payload.town ? String(payload.town).trim() : null,
-    postcode: payload.postcode ? String(payload.postcode).trim() : null,
-    opening_hours: payload.opening_hours ? String(payload.opening_hours).trim() : null,
-    description: payload.description ? String(payload.description).trim() : null,
-  };
+  const publishAt = new Date(payload.publishAt || "");
 
-  const { error } = await supabase
-    .from("garages")
-    .update(row)
-    .eq("id", cleanId);
+  if (Number.isNaN(publishAt.getTime())) return { error: "Choose when to publish" };
+  if (publishAt.getTime() <= Date.now()) return { error: "Publish time must be in the future" };
 
-  if (error) throw error;
+  return { listingStatus: "scheduled", publishAt: publishAt.toISOString() };
 }
 
-async function dbAdminUpdateGarage(id, payload) {
-  const cleanId = String(id || "").trim();
-
-  if (!cleanId) {
-    throw new Error("Missing garage id");
-  }
+function escapeLike(value) {
+  return String(value).replace(/[\\%_]/g, ch => "\\" + ch);
+}
 
-  const row = {
-    name: payload.name ? String(payload.name).trim() : null,
-    phone: payload.phone ? String(payload.phone).trim() : null,
-    email: payload.email ? String(payload.email).trim() : null,
-    website: payload.website ? String(payload.website).trim() : null,
-    address: payload.address ? String(payload.address).trim() : null,
-    town: payload.town ? String(payload.town).trim() : null,
-    postcode: payload.postcode ? String(payload.postcode).trim() : null,
-    opening_hours: payload.opening_hours
-      ? String(payload.opening_hours).trim()
-      : null,
-    description: payload.description
-      ? String(payload.description).trim()
-      : null
+function parseCarSearch(params) {
+  const text = (key) => String(params.get(key) || "").trim();
+
+  const filters = {
+    q: text("q").toLowerCase(),
+    make: text("make"),
+    model: text("model"),
+    bodyType: text("bodyType"),
+    fuel: text("fuel"),
+    transmission: text("transmission"),
+    garageId: text("garage") || text("garageId"),
+    town: text("town"),
+    status: text("status").toLowerCase(),
+    sort: text("sort").toLowerCase() || "recent"
   };
 
-  const accountStatus = String(
-    payload.account_status || ""
-  ).trim().toLowerCase();
+  const ranges = [
+    "minPrice", "maxPrice",
+    "minYear", "maxYear",
+    "minMileage", "maxMileage"
+  ];
 
-  if (["active", "paused"].includes(accountStatus)) {
-    row.account_status = accountStatus;
-  }
+  for (const key of ranges) {
+    const raw = text(key).replace(/[£,\s]/g, "");
+    filters[key] = null;
 
-  const publicStatus = String(
-    payload.public_status || ""
-  ).trim().toLowerCase();
+    if (!raw) continue;
 
-  if (["live", "hidden"].includes(publicStatus)) {
-    row.public_status = publicStatus;
-  }
+    const value = Number(raw);
 
-  const billingStatus = String(
-    payload.billing_status || ""
-  ).trim().toLowerCase();
+    if (!Number.isFinite(value) || value < 0) {
+      return { error: `Invalid ${key}` };
+    }
 
-  if (
-    ["free_permanent", "free_trial", "paying"].includes(
-      billingStatus
-    )
-  ) {
-    row.billing_status = billingStatus;
+    filters[key] = value;
   }
 
-  const serviceType = String(
-    payload.service_type || ""
-  ).trim().toLowerCase();
-
-  if (["self_service", "managed"].includes(serviceType)) {
-    row.service_type = serviceType;
+  if (filters.status && !CAR_STATUSES.includes(filters.status)) {
+    return { error: "Invalid status" };
   }
 
-  if (payload.founding_garage !== undefined) {
-    row.founding_garage =
-      payload.founding_garage === true ||
-      String(payload.founding_garage).toLowerCase() === "true";
+  if (!CAR_SORTS.includes(filters.sort)) {
+    return { error: "Invalid sort" };
   }
 
-  if (payload.trial_start !== undefined) {
-    row.trial_start = payload.trial_start || null;
-  }
+  const page = text("page") ? Number(text("page")) : 1;
+  const pageSize = text("pageSize") ? Number(text("pageSize")) : CARS_PAGE_SIZE;
 
-  if (payload.trial_end !== undefined) {
-    row.trial_end = payload.trial_end || null;
+  if (!Number.isInteger(page) || page < 1) {
+    return { error: "Invalid page" };
   }
 
-  if (payload.package_name !== undefined) {
-    row.package_name =
-      String(payload.package_name || "").trim() || "Standard";
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > CARS_MAX_PAGE_SIZE) {
+    return { error: `pageSize must be between 1 and ${CARS_MAX_PAGE_SIZE}` };
   }
 
-  if (payload.monthly_price !== undefined) {
-    const monthlyPrice = Number(payload.monthly_price);
+  filters.page = page;
+  filters.pageSize = pageSize;
 
-    if (!Number.isFinite(monthlyPrice) || monthlyPrice < 0) {
-      throw new Error("Invalid monthly price");
-    }
+  return { filters };
+}
 
-    row.monthly_price = monthlyPrice;
-  }
+// Each sort, after status_rank keeps sold cars last and reserved ones just
+// above them. id last so pages do not overlap when values tie.
+const CAR_SORT_ORDERS = {
+  recent: [["updatedAt", false]],
+  // Reduced cars first, latest reduction first, then the rest as "recent"
+  reduced: [["reduced_at", false], ["updatedAt", false]],
+  "price-asc": [["price", true]],
+  "price-desc": [["price", false]],
+  "year-desc": [["year", false]],
+  "mileage-asc": [["mileage", true]]
+};
+
+// A value for a PostgREST or() list, where commas, dots and brackets would split it
+function pgrstQuote(value) {
+  return `"${String(value).replace(/\\/g, "\\\\").replace(/"/g, "\\\"")}"`;
+}
 
-  if (payload.next_review_date !== undefined) {
-    row.next_review_date = payload.next_review_date || null;
+/*
+  Public stock search, all of it in the database: filters, free text,
+  status, sorting and the page, with the total counted there too.
+  Drafts, scheduled cars, cars of hidden garages and sold cars past their
+  display window are never included. Facets describe all public stock,
+  so dropdowns keep every option while filtering; car_search_facets
+  (migrations/022_car_search.sql) works them out.
+*/
+async function dbSearchCars(filters) {
+  const terms = filters.q.split(/[\s,]+/).map(term => term.replace(/\*/g, "")).filter(Boolean);
+
+  // A term also matches every car of a garage whose name or town has it
+  let termGarages = [];
+
+  if (terms.length) {
+    const { data, error } = await supabase
+      .from("garages")
+      .select("id, name, town")
+      .eq("account_status", "active")
+      .eq("public_status", "live")
+      .or(terms.flatMap(term => {
+        const pattern = pgrstQuote(`*${escapeLike(term)}*`);
+        return [`name.ilike.${pattern}`, `town.ilike.${pattern}`];
+      }).join(","));
+
+    if (error) throw error;
+    termGarages = data || [];
   }
 
-  if (payload.internal_notes !== undefined) {
-    row.internal_notes =
-      String(payload.internal_notes || "").trim() || null;
+  const conditions = [
+    `or(sold_visible_until.is.null,sold_visible_until.gt.${new Date().toISOString()})`
+  ];
+
+  for (const term of terms) {
+    const garageIds = termGarages
+      .filter(garage => `${garage.name || ""} ${garage.town || ""}`.toLowerCase().includes(term))
+      .map(garage => garage.id);
+
+    const matches = [`search_text.ilike.${pgrstQuote(`*${escapeLike(term)}*`)}`];
+    if (garageIds.length) matches.push(`garage_id.in.(${garageIds.join(",")})`);
+
+    conditions.push(`or(${matches.join(",")})`);
   }
 
-  const { error } = await supabase
-    .from("garages")
-    .update(row)
-    .eq("id", cleanId);
+  const searchQuery = (columns, options) => {
+    let query = supabase
+      .from("cars")
+      .select(columns, options)
+      .eq("garages.account_status", "active")
+      .eq("garages.public_status", "live")
+      .not("status", "in", `(${UNPUBLISHED_STATUSES.join(",")})`)
+      .or(`and(${conditions.join(",")})`);
+
+    if (filters.status === "available") query = query.not("status", "in", "(sold,reserved)");
+    if (filters.status === "reserved" || filters.status === "sold") query = query.eq("status", filters.status);
+    if (filters.garageId) query = query.eq("garage_id", filters.garageId);
+    if (filters.town) query = query.ilike("garages.town", escapeLike(filters.town));
+    if (filters.make) query = query.ilike("make", escapeLike(filters.make));
+    if (filters.model) query = query.ilike("model", escapeLike(filters.model));
+    if (filters.bodyType) query = query.ilike("body_type", escapeLike(filters.bodyType));
+    if (filters.fuel) query = query.ilike("fuel", escapeLike(filters.fuel));
+    if (filters.transmission) query = query.ilike("transmission", escapeLike(filters.transmission));
+    if (filters.minPrice !== null) query = query.gte("price", filters.minPrice);
+    if (filters.maxPrice !== null) query = query.lte("price", filters.maxPrice);
+    if (filters.minYear !== null) query = query.gte("year", filters.minYear);
+    if (filters.maxYear !== null) query = query.lte("year", filters.maxYear);
+    if (filters.minMileage !== null) query = query.gte("mileage", filters.minMileage);
+    if (filters.maxMileage !== null) query = query.lte("mileage", filters.maxMileage);
+
+    return query;
+  };
+
+  let query = searchQuery(`
+    *,
+    garages!inner (
+      id,
+      name,
+      town,
+      account_status,
+      public_status
+    )
+  `, { count: "exact" })
+    .order("status_rank", { ascending: true });
+
+  for (const [column, ascending] of CAR_SORT_ORDERS[filters.sort] || CAR_SORT_ORDERS.recent) {
+    query = query.order(column, { ascending, nullsFirst: false });
+  }
+
+  const start = (filters.page - 1) * filters.pageSize;
+
+  let { data, count, error } = await query
+    .order("id", { ascending: true })
+    .range(start, start + filters.pageSize - 1);
+
+  // PostgREST refuses a page past the end, so count on its own
+  if (error && error.code === "PGRST103") {
+    ({ count, error } = await searchQuery("id, garages!inner (id)", { count: "exact", head: true }));
+    data = [];
+  }
 
   if (error) throw error;
+
+  const { data: facets, error: facetError } = await supabase
+    .rpc("car_search_facets", { p_make: filters.make || null });
+
+  if (facetError) throw facetError;
+
+  return {
+    cars: (data || []).map(row => ({
+      ...mapDbCar(row),
+      garageName: row.garages?.name || null,
+      garageTown: row.garages?.town || null
+    })),
+    total: count || 0,
+    facets
+  };
 }
 
-async function dbGetGaragesByIds(ids) {
+
+async function dbGetCarsByIds(ids) {
   const clean = [...new Set((ids || []).filter(Boolean))];
   if (!clean.length) return [];
 
   const { data, error } = await supabase
-    .from("garages")
-    .select("id, name, account_status, public_status")
+    .from("cars")
+    .select(`
+      *,
+      garages (
+        id,
+        name,
+        account_status,
+        public_status
+      )
+    `)
     .in("id", clean);
 
   if (error) throw error;
-  return data || [];
-}
 
+  return (data || []).map(row => ({
+    car: {
+      ...mapDbCar(row),
+      garageName: row.garages?.name || null
+    },
+    garage: row.garages || null
+  }));
+}
 
 // =============================
-// SERVER
+// STOCK IMPORT (CSV)
 // =============================
+// One car per row, first row is the header. stock_ref is the garage's own
+// reference: a row whose stock_ref matches a car already in the garage
+// updates that car, otherwise a new car is added.
+// Photo URLs are fetched into Cloudinary when the import is run, not on the dry run.
+const IMPORT_MAX_ROWS = 500;
+const IMPORT_MAX_BYTES = 2 * 1024 * 1024;
+const IMPORT_MAX_PHOTOS = 12;
+
+// Header names accepted for each field, after lower-casing and turning spaces into _
+const IMPORT_COLUMNS = {
+  stockRef: ["stock_ref", "stock_reference", "stock_no", "stock_number", "reference", "ref"],
+  registration: ["registration", "reg", "vrm"],
+  make: ["make"],
+  model: ["model"],
+  variant: ["variant", "trim"],
+  bodyType: ["body_type", "body"],
+  name: ["name", "title"],
+  year: ["year"],
+  price: ["price"],
+  mileage: ["mileage"],
+  fuel: ["fuel", "fuel_type"],
+  transmission: ["transmission", "gearbox"],
+  engine: ["engine"],
+  owners: ["owners"],
+  colour: ["colour", "color"],
+  serviceHistory: ["service_history"],
+  description: ["description"],
+  extras: ["extras", "features"],
+  photos: ["photos", "photo_urls", "images", "image_urls"]
+};
+
+function importHeaderKey(value) {
+  return String(value || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+}
 
-const server = http.createServer(async (req, res) => {
-  const base = `http://${req.headers.host || "localhost"}`;
-  const urlObj = new URL(req.url, base);
-  const pathname = urlObj.pathname;
+// Column index for each field the header names, e.g. { stockRef: 0, make: 1 }
+function importColumnMap(header) {
+  const keys = header.map(importHeaderKey);
+  const map = {};
 
-  // =============================
-  // ROUTE: POST /upload (Cloudinary multiple)
-  // Field name: "photos" (up to 12)
-  // Returns: { success: true, urls: [...] }
-  // =============================
-  if (req.method === "POST" && pathname === "/upload") {
-    const auth = await getGarageFromAuth(req);
+  for (const [field, names] of Object.entries(IMPORT_COLUMNS)) {
+    const index = keys.findIndex(key => names.includes(key));
+    if (index !== -1) map[field] = index;
+  }
 
-    if (!auth) {
-      return sendJson(res, 401, {
-        success: false,
-        message: "Unauthorized"
-      });
-    }
+  return map;
+}
 
-    if (rejectPausedGarage(auth, res)) {
-      return;
-    }
+function importRowToPayload(cells, columns) {
+  const cell = (field) => columns[field] === undefined
+    ? ""
+    : String(cells[columns[field]] ?? "").trim();
 
-    return upload.array("photos", 12)(req, res, async (err) => {
-      if (err) {
-        console.error("multer error:", err);
+  const payload = {};
 
-        return sendJson(res, 400, {
-          success: false,
-          message: "Upload parse failed"
-        });
-      }
+  for (const field of Object.keys(IMPORT_COLUMNS)) {
+    const value = cell(field);
+    if (value) payload[field] = value;
+  }
 
-      const files = Array.isArray(req.files)
-        ? req.files
-        : [];
+  // Spreadsheets often write prices as 9995.00; POST /my-cars would read that as 999500
+  if (payload.price) {
+    payload.price = payload.price.replace(/\.\d{1,2}$/, "");
+  }
 
-      if (!files.length) {
-        return sendJson(res, 400, {
-          success: false,
-          message:
-            "No files uploaded. Field name must be 'photos'."
-        });
-      }
+  const photos = cell("photos")
+    .split(/[\s|;,]+/)
+    .filter(Boolean);
 
-      try {
-        const urls = await Promise.all(
-          files.map(file =>
-            cloudinary.uploader
-              .upload(file.path, {
-                folder: "cars"
-              })
-              .then(result => result.secure_url)
-          )
-        );
+  // No photos column, or an empty cell, leaves a matched car's photos alone
+  if (photos.length) payload.photos = photos;
 
-        files.forEach(file => {
-          fs.unlink(file.path, () => { });
-        });
+  return payload;
+}
 
-        return sendJson(res, 200, {
-          success: true,
-          urls
-        });
+// The garage's cars that have a stock_ref, keyed by the lower-cased reference
+async function dbListStockCars(garageId) {
+  const { data, error } = await supabase
+    .from("cars")
+    .select("*")
+    .eq("garage_id", garageId)
+    .not("stock_ref", "is", null);
 
-      } catch (error) {
-        console.error(
-          "Cloudinary upload failed:",
-          error
-        );
+  if (error) throw error;
 
-        files.forEach(file => {
-          fs.unlink(file.path, () => { });
-        });
+  return new Map((data || []).map(row => [row.stock_ref.toLowerCase(), row]));
+}
 
-        return sendJson(res, 500, {
-          success: false,
-          message: "Cloudinary upload failed"
-        });
-      }
-    });
-  }
+// Cloudinary public id for a photo copied from url, see importPhoto
+function importPhotoId(garageId, url) {
+  const hash = crypto.createHash("sha1").update(url).digest("hex").slice(0, 20);
+  return `import-${garageId}-${hash}`;
+}
 
-  // =============================
-  // Admin: POST /admin-upload
-  // Field name: "photos" (up to 12)
-  // Returns: { success: true, urls: [...] }
-  // =============================
-  if (req.method === "POST" && pathname === "/admin-upload") {
-    if (!isAdmin(req)) {
-      return sendJson(res, 403, {
-        success: false,
-        message: "Forbidden"
-      });
+function isImportedPhoto(storedUrl, garageId, sourceUrl) {
+  return String(storedUrl || "").includes(`/${importPhotoId(garageId, sourceUrl)}.`);
+}
+
+// True when saving car over the existing row would change anything
+function stockCarChanged(garageId, existing, car) {
+  const text = (value) => String(value ?? "").trim();
+  const digits = (value) => text(value).replace(/\D/g, "");
+  const photos = carPhotoUrls(existing.photos);
+
+  // car.photos is undefined when the row keeps the car's photos
+  const samePhotos = car.photos === undefined || (photos.length === car.photos.length &&
+    car.photos.every((url, i) => photos[i] === url || isImportedPhoto(photos[i], garageId, url)));
+
+  const textFields = [
+    "name", "variant", "fuel", "transmission", "engine",
+    "colour", "serviceHistory", "description", "extras"
+  ];
+
+  return !samePhotos ||
+    textFields.some(key => text(existing[key]) !== text(car[key])) ||
+    ["year", "price", "mileage", "owners"].some(key => digits(existing[key]) !== digits(car[key])) ||
+    text(existing.body_type) !== text(car.bodyType) ||
+    text(existing.registration) !== text(normaliseRegistration(car.registration));
+}
+
+/*
+  Checks import rows without saving anything. Each payload has the
+  POST /my-cars fields plus stockRef, and row: its position in the file.
+  Returns rows of { row, stockRef, name, action, errors, car } where
+  action is "create", "update" or "unchanged".
+*/
+async function planStockRows(garageId, payloads) {
+  const existing = await dbListStockCars(garageId);
+  const seenRefs = new Set();
+  const seenRegistrations = new Set();
+  const rows = [];
+
+  for (const payload of payloads) {
+    const stockRef = cleanStockRef(payload.stockRef);
+    const current = stockRef ? existing.get(stockRef.toLowerCase()) || null : null;
+    const photos = Array.isArray(payload.photos) ? payload.photos : [];
+    const errors = [];
+
+    // A row that gives no photos keeps the ones the matched car has
+    const keepsPhotos = Boolean(current) && !photos.length;
+
+    if (!stockRef) {
+      errors.push("Missing stock_ref");
+    } else if (seenRefs.has(stockRef.toLowerCase())) {
+      errors.push("The same stock_ref is used on an earlier row");
     }
 
-    return upload.array("photos", 12)(req, res, async (err) => {
-      if (err) {
-        console.error("admin multer error:", err);
-        return sendJson(res, 400, {
-          success: false,
-          message: "Upload parse failed"
-        });
-      }
+    if (stockRef) seenRefs.add(stockRef.toLowerCase());
 
-      const files = Array.isArray(req.files) ? req.files : [];
+    if (photos.length > IMPORT_MAX_PHOTOS) {
+      errors.push(`No more than ${IMPORT_MAX_PHOTOS} photos per car`);
+    }
 
-      if (!files.length) {
-        return sendJson(res, 400, {
-          success: false,
-          message: "No files uploaded. Field name must be 'photos'."
-        });
+    photos.forEach((url, index) => {
+      if (!/^https?:\/\/\S+$/i.test(url)) {
+        errors.push(`Photo ${index + 1} is not a web address`);
       }
+    });
 
-      try {
-        const urls = await Promise.all(
-          files.map((f) =>
-            cloudinary.uploader
-              .upload(f.path, { folder: "cars" })
-              .then((r) => r.secure_url)
-          )
-        );
-
-        files.forEach((f) => fs.unlink(f.path, () => { }));
+    const checked = validateCarListing(keepsPhotos
+      ? { ...payload, photos: carPhotoUrls(current.photos) }
+      : payload);
 
-        return sendJson(res, 200, {
-          success: true,
-          urls
-        });
+    if (checked.error && !errors.includes(checked.error)) errors.push(checked.error);
 
-      } catch (e) {
-        console.error("Admin Cloudinary upload failed:", e);
+    const car = checked.car && keepsPhotos ? { ...checked.car, photos: undefined } : checked.car;
+    const registration = normaliseRegistration(payload.registration);
 
-        files.forEach((f) => fs.unlink(f.path, () => { }));
+    if (registration && seenRegistrations.has(registration)) {
+      errors.push("The same registration is used on an earlier row");
+    } else if (payload.registration) {
+      const problem = await checkCarRegistration(payload, garageId, current ? current.id : null);
+      if (problem) errors.push(problem.message);
+    }
 
-        return sendJson(res, 500, {
-          success: false,
-          message: "Cloudinary upload failed"
-        });
-      }
+    if (registration) seenRegistrations.add(registration);
+
+    const action = !current
+      ? "create"
+      : errors.length || stockCarChanged(garageId, current, car)
+        ? "update"
+        : "unchanged";
+
+    rows.push({
+      row: payload.row,
+      stockRef,
+      name: checked.car ? checked.car.name : payload.name || [payload.make, payload.model].filter(Boolean).join(" ") || null,
+      action,
+      errors,
+      car: errors.length
+        ? null
+        : {
+          ...car,
+          id: current ? current.id : null,
+          stockRef,
+          registration: payload.registration || "",
+          existingPhotos: current ? carPhotoUrls(current.photos) : [],
+          before: current
+        }
     });
   }
 
-  // -----------------------------
-  // STATIC FILES
-  // -----------------------------
-  if (req.method === "GET" && pathname === "/favicon.ico") {
-    return serveFile(res, path.join(__dirname, "favicon.ico"));
-  }
+  return rows;
+}
 
-  if (req.method === "GET") {
-    if (pathname.startsWith("/images/")) {
-      const imagesRoot = path.resolve(__dirname, "images");
+/*
+  Checks every row of a CSV import without saving anything.
+  Returns { error } when the file cannot be read at all, otherwise { rows }
+  as planStockRows. row is the spreadsheet row number (the header is row 1).
+*/
+async function planStockImport(garageId, csvText) {
+  const table = parseCsv(csvText);
 
-      const imagePath = path.resolve(
-        imagesRoot,
-        "." + pathname.slice("/images".length)
-      );
+  if (table.length < 2) {
+    return { error: "The file needs a header row and at least one car." };
+  }
 
-      const isInsideImages =
-        imagePath === imagesRoot ||
-        imagePath.startsWith(imagesRoot + path.sep);
+  const columns = importColumnMap(table[0]);
 
-      if (!isInsideImages) {
-        return send(
-          res,
-          404,
-          { "Content-Type": "text/plain; charset=utf-8" },
-          "Not found"
-        );
-      }
+  if (columns.stockRef === undefined) {
+    return { error: "The file needs a stock_ref column so cars can be matched when you import again." };
+  }
 
-      return serveFile(res, imagePath);
-    }
+  if (table.length - 1 > IMPORT_MAX_ROWS) {
+    return { error: `Import up to ${IMPORT_MAX_ROWS} cars at a time.` };
+  }
 
-    const allowedStaticExtensions = new Set([
-      ".html",
-      ".css",
-      ".png",
-      ".jpg",
-      ".jpeg",
-      ".webp",
-      ".svg",
-      ".ico"
-    ]);
+  const payloads = table.slice(1).map((cells, i) => ({
+    ...importRowToPayload(cells, columns),
+    row: i + 2
+  }));
 
-    const extension = path.extname(pathname).toLowerCase();
-    const projectRoot = path.resolve(__dirname);
-    const possible = path.resolve(projectRoot, "." + pathname);
+  return { rows: await planStockRows(garageId, payloads) };
+}
 
-    const isInsideProject =
-      possible === projectRoot ||
-      possible.startsWith(projectRoot + path.sep);
+/*
+  Copies a photo from another website into Cloudinary.
+  The public id comes from the garage and source URL, so a photo the car
+  already has from an earlier import is reused instead of fetched again.
+*/
+async function importPhoto(garageId, url, existingPhotos = []) {
+  const stored = existingPhotos.find(photo => isImportedPhoto(photo, garageId, url));
+  if (stored) return stored;
+
+  return photoAssets.upload(url, garageId, {
+    public_id: importPhotoId(garageId, url),
+    overwrite: false
+  });
+}
 
-    const isHiddenFile = path
-      .basename(possible)
-      .startsWith(".");
+/*
+  Saves the valid rows of a plan. Rows with errors are left out.
+  Each row gains status: "created", "updated", "unchanged", "failed" or "invalid".
+*/
+async function runStockImport(garageId, rows, actor, source = "csv") {
+  for (const row of rows) {
+    if (!row.car) {
+      row.status = "invalid";
+      continue;
+    }
 
-    if (
-      pathname !== "/" &&
-      isInsideProject &&
-      !isHiddenFile &&
-      allowedStaticExtensions.has(extension) &&
-      fs.existsSync(possible) &&
-      fs.statSync(possible).isFile()
-    ) {
-      return serveFile(res, possible);
+    if (row.action === "unchanged") {
+      row.status = "unchanged";
+      continue;
     }
-  }
 
-  // -----------------------------
-  // API: GET /cars
-  // -----------------------------
-  if (req.method === "GET" && pathname === "/cars") {
     try {
-      const carsRaw = (await dbListCars()).filter((c) => !soldTooOld(c));
+      // Left undefined when the row keeps the matched car's photos
+      const photos = row.car.photos ? [] : undefined;
+
+      for (const url of row.car.photos || []) {
+        try {
+          photos.push(await importPhoto(garageId, url, row.car.existingPhotos));
+        } catch (e) {
+          console.error("Import photo failed:", url, e.message || e);
+          throw new Error(`Could not fetch photo ${photos.length + 1}`);
+        }
+      }
 
-      const garageIds = carsRaw.map(c => c.garageId).filter(Boolean);
-      const garages = await dbGetGaragesByIds(garageIds);
+      const car = {
+        ...row.car,
+        photos,
+        garageId,
+        garage_id: garageId,
+        source
+      };
 
-      const visibleGarages = garages.filter(
-        garage =>
-          garage.account_status === "active" &&
-          garage.public_status === "live"
-      );
+      if (row.car.id) {
+        const updated = await dbUpdateCar(car, garageId);
+        if (!updated) throw new Error("The car was removed while importing");
 
-      const visibleGarageIds = new Set(
-        visibleGarages.map(garage => String(garage.id))
-      );
+        row.status = "updated";
 
-      const garageMap = new Map(
-        visibleGarages.map(garage => [
-          String(garage.id),
-          garage.name
-        ])
-      );
+        await dbRecordAudit(actor, "car_update", "car", updated.id, {
+          garageId,
+          before: row.car.before,
+          after: updated
+        });
+      } else {
+        const created = await dbInsertCar(car);
+        row.status = "created";
 
-      const cars = carsRaw
-        .filter(car =>
-          visibleGarageIds.has(String(car.garageId))
-        )
-        .map(car => ({
-          ...car,
-          garageName:
-            garageMap.get(String(car.garageId)) || null
-        }));
+        await dbRecordAudit(actor, "car_create", "car", created && created.id, {
+          garageId,
+          after: created
+        });
+      }
 
-      return sendJson(res, 200, cars);
     } catch (e) {
-      console.error("GET /cars error:", e);
-      return sendJson(res, 500, { success: false, message: "Database error" });
+      row.status = "failed";
+      row.errors.push(e.message || "Could not save this car");
     }
   }
 
-  // API: GET /car-data?id=
-  if (req.method === "GET" && pathname === "/car-data") {
-    const id = String(urlObj.searchParams.get("id") || "").trim();
-    if (!id) return sendJson(res, 400, { success: false, message: "Missing id" });
+  return rows;
+}
 
-    try {
-      const car = await dbGetCarById(id);
-      if (!car || soldTooOld(car)) {
-        return sendJson(res, 404, { success: false, message: "Car not found" });
-      }
+function summariseStockImport(rows) {
+  const count = (test) => rows.filter(test).length;
 
-      // If you have garageName already on car, you may not even need this:
-      const garage = car.garageId
-        ? await dbGetGarageById(car.garageId)
-        : null;
+  return {
+    total: rows.length,
+    valid: count(row => row.car),
+    invalid: count(row => !row.car),
+    create: count(row => row.car && row.action === "create"),
+    update: count(row => row.car && row.action === "update"),
+    unchanged: count(row => row.car && row.action === "unchanged"),
+    created: count(row => row.status === "created"),
+    updated: count(row => row.status === "updated"),
+    failed: count(row => row.status === "failed")
+  };
+}
 
-      if (
-        !garage ||
-        garage.account_status !== "active" ||
-        garage.public_status !== "live"
+/*
+  Shared by POST /my-cars-import and POST /admin-cars-import.
+  Body: { csv, dryRun } — anything but dryRun: false is a dry run.
+  actor (see auditActor) is recorded against every car the import changes.
+  Returns the HTTP status and JSON body to send.
+*/
+async function handleStockImport(garageId, data, actor) {
+  const csv = String(data.csv || "");
+
+  if (!csv.trim()) {
+    return [400, { success: false, message: "Choose a CSV file to import." }];
+  }
+
+  if (Buffer.byteLength(csv) > IMPORT_MAX_BYTES) {
+    return [413, { success: false, message: "The file is too big. Split it into smaller files." }];
+  }
+
+  const dryRun = data.dryRun !== false;
+  const plan = await planStockImport(garageId, csv);
+
+  if (plan.error) {
+    return [400, { success: false, message: plan.error }];
+  }
+
+  if (!dryRun) {
+    await runStockImport(garageId, plan.rows, actor);
+  }
+
+  return [200, {
+    success: true,
+    dryRun,
+    summary: summariseStockImport(plan.rows),
+    rows: plan.rows.map(({ car, ...row }) => row)
+  }];
+}
+
+// =============================
+// EXPORTS (CSV / JSON)
+// =============================
+// ?format=csv (the default) downloads a spreadsheet, ?format=json the same
+// rows as JSON. Stock columns come from the mapDbCar shape and use the
+// CSV import's header names, so an export can be edited and imported again.
+const EXPORT_FORMATS = ["csv", "json"];
+
+// [header, value(row)]
+const STOCK_EXPORT_COLUMNS = [
+  ["stock_ref", car => car.stockRef],
+  ["registration", car => car.registration],
+  ["make", car => car.make],
+  ["model", car => car.model],
+  ["variant", car => car.variant],
+  ["body_type", car => car.bodyType],
+  ["name", car => car.name],
+  ["year", car => car.year],
+  ["price", car => car.price],
+  ["mileage", car => car.mileage],
+  ["fuel", car => car.fuel],
+  ["transmission", car => car.transmission],
+  ["engine", car => car.engine],
+  ["owners", car => car.owners],
+  ["colour", car => car.colour],
+  ["service_history", car => car.serviceHistory],
+  ["status", car => carStatus(car)],
+  ["sold_at", car => car.soldAt],
+  ["description", car => car.description],
+  ["extras", car => car.extras],
+  ["photos", car => car.photos],
+  ["created_at", car => car.createdAt],
+  ["updated_at", car => car.updatedAt],
+  ["id", car => car.id]
+];
+
+const GARAGE_EXPORT_COLUMNS = [
+  ["id", garage => garage.id],
+  ["name", garage => garage.name],
+  ["town", garage => garage.town],
+  ["postcode", garage => garage.postcode],
+  ["phone", garage => garage.phone],
+  ["email", garage => garage.email],
+  ["website", garage => garage.website],
+  ["account_status", garage => garage.account_status],
+  ["public_status", garage => garage.public_status],
+  ["billing_status", garage => garage.billing_status],
+  ["service_type", garage => garage.service_type],
+  ["founding_garage", garage => garage.founding_garage],
+  ["package_name", garage => garage.package_name],
+  ["monthly_price", garage => garage.monthly_price],
+  ["trial_start", garage => garage.trial_start],
+  ["trial_end", garage => garage.trial_end],
+  ["next_review_date", garage => garage.next_review_date],
+  ["cars_total", garage => garage.counts.total],
+  ["cars_available", garage => garage.counts.available],
+  ["cars_reserved", garage => garage.counts.reserved],
+  ["cars_sold", garage => garage.counts.sold],
+  ["cars_unpublished", garage => garage.counts.unpublished]
+];
+
+const ANALYTICS_EXPORT_COLUMNS = [
+  ["car_id", vehicle => vehicle.carId],
+  ["name", vehicle => vehicle.name],
+  ["status", vehicle => vehicle.status],
+  ["views", vehicle => vehicle.views],
+  ["contact_actions", vehicle => vehicle.contactActions],
+  ["call_clicks", vehicle => vehicle.callClicks],
+  ["email_clicks", vehicle => vehicle.emailClicks],
+  ["directions_clicks", vehicle => vehicle.directionsClicks],
+  ["website_clicks", vehicle => vehicle.websiteClicks],
+  ["share_clicks", vehicle => vehicle.shareClicks]
+];
+
+// "csv", "json", or null when ?format= is something else
+function exportFormat(urlObj) {
+  const format = String(urlObj.searchParams.get("format") || "csv").trim().toLowerCase();
+  return EXPORT_FORMATS.includes(format) ? format : null;
+}
+
+// "Harbour Motors" -> "harbour-motors"
+function exportSlug(value) {
+  return String(value || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 40) || "export";
+}
+
+function exportObject(item, columns) {
+  return Object.fromEntries(columns.map(([header, value]) => [header, value(item) ?? null]));
+}
+
+/*
+  Sends rows as a download named `${name}-YYYY-MM-DD.csv|json`.
+  CSV has one header row then one line per item. JSON is { exportedAt, ...,
+  rows } with extra top-level fields from meta.
+*/
+function sendExport(res, format, name, items, columns, meta = {}) {
+  const date = new Date().toISOString().slice(0, 10);
+  const filename = `${name}-${date}.${format}`;
+
+  const body = format === "json"
+    ? JSON.stringify({
+      exportedAt: new Date().toISOString(),
+      ...meta,
+      rows: items.map(item => exportObject(item, columns))
+    }, null, 2)
+    : toCsv([
+      columns.map(([header]) => header),
+      ...items.map(item => columns.map(([, value]) => value(item)))
+    ]);
+
+  send(res, 200, {
+    "Content-Type": format === "json"
+      ? "application/json; charset=utf-8"
+      : "text/csv; charset=utf-8",
+    "Content-Disposition": `attachment; filename="${filename}"`,
+    "Cache-Control": "no-store"
+  }, body);
+}
+
+// =============================
+// SUPABASE DB FUNCTIONS (GARAGES)
+// =============================
+
+async function dbListGarages() {
+  const { data, error } = await supabase
+    .from("garages")
+    .select(`
+  id,
+  name,
+  address,
+  town,
+  postcode,
+  phone,
+  email,
+  website,
+  logo_url,
+  banner_url,
+  opening_hours,
+  description
+`)
+    .eq("account_status", "active")
+    .eq("public_status", "live")
+    .order("name", { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+async function dbGetGarageById(id) {
+  const cleanId = String(id || "").trim();
+  if (!cleanId) return null;
+
+  const { data, error } = await supabase
+    .from("garages")
+    .select(`
+      id,
+      name,
+      address,
+      town,
+      postcode,
+      phone,
+      email,
+website,
+logo_url,
+banner_url,
+opening_hours,
+sold_display_days,
+account_status,
+paused_reason,
+public_status
+`)
+    .eq("id", cleanId)
+    .single();
+
+  if (error) throw error;
+  return data || null;
+}
+
+async function dbUpdateGarage(id, payload) {
+  const cleanId = String(id || "").trim();
+
+  if (!cleanId) {
+    throw new Error("Missing garage id");
+  }
+
+  const row = {
+    name: payload.name ? String(payload.name).trim() : null,
+    phone: payload.phone ? String(payload.phone).trim() : null,
+    email: payload.email ? String(payload.email).trim() : null,
+    website: payload.website ? String(payload.website).trim() : null,
+    logo_url: payload.logo_url ? String(payload.logo_url).trim() : null,
+    banner_url: payload.banner_url ? String(payload.banner_url).trim() : null,
+    address: payload.address ? String(payload.address).trim() : null,
+    town: payload.town ? String(payload.town).trim() : null,
+    postcode: payload.postcode ? String(payload.postcode).trim() : null,
+    opening_hours: payload.opening_hours ? String(payload.opening_hours).trim() : null,
+    description: payload.description ? String(payload.description).trim() : null,
+  };
+
+  // Checked by the route with cleanSoldDisplayDays
+  if (payload.sold_display_days !== undefined) {
+    row.sold_display_days = payload.sold_display_days;
+  }
+
+  const { data, error } = await supabase
+    .from("garages")
+    .update(row)
+    .eq("id", cleanId)
+    .select("*")
+    .maybeSingle();
+
+  if (error) throw error;
+
+  return data || null;
+}
+
+async function dbAdminUpdateGarage(id, payload) {
+  const cleanId = String(id || "").trim();
+
+  if (!cleanId) {
+    throw new Error("Missing garage id");
+  }
+
+  const row = {
+    name: payload.name ? String(payload.name).trim() : null,
+    phone: payload.phone ? String(payload.phone).trim() : null,
+    email: payload.email ? String(payload.email).trim() : null,
+    website: payload.website ? String(payload.website).trim() : null,
+    address: payload.address ? String(payload.address).trim() : null,
+    town: payload.town ? String(payload.town).trim() : null,
+    postcode: payload.postcode ? String(payload.postcode).trim() : null,
+    opening_hours: payload.opening_hours
+      ? String(payload.opening_hours).trim()
+      : null,
+    description: payload.description
+      ? String(payload.description).trim()
+      : null
+  };
+
+  const accountStatus = String(
+    payload.account_status || ""
+  ).trim().toLowerCase();
+
+  if (["active", "paused"].includes(accountStatus)) {
+    row.account_status = accountStatus;
+  }
+
+  if (accountStatus === "active") {
+    row.paused_reason = null;
+  }
+
+  const publicStatus = String(
+    payload.public_status || ""
+  ).trim().toLowerCase();
+
+  if (["live", "hidden"].includes(publicStatus)) {
+    row.public_status = publicStatus;
+  }
+
+  const billingStatus = String(
+    payload.billing_status || ""
+  ).trim().toLowerCase();
+
+  if (BILLING_STATUSES.includes(billingStatus)) {
+    row.billing_status = billingStatus;
+  }
+
+  const serviceType = String(
+    payload.service_type || ""
+  ).trim().toLowerCase();
+
+  if (["self_service", "managed"].includes(serviceType)) {
+    row.service_type = serviceType;
+  }
+
+  if (payload.founding_garage !== undefined) {
+    row.founding_garage =
+      payload.founding_garage === true ||
+      String(payload.founding_garage).toLowerCase() === "true";
+  }
+
+  if (payload.trial_start !== undefined) {
+    row.trial_start = payload.trial_start || null;
+  }
+
+  if (payload.trial_end !== undefined) {
+    row.trial_end = payload.trial_end || null;
+  }
+
+  if (payload.package_name !== undefined) {
+    row.package_name =
+      String(payload.package_name || "").trim() || "Standard";
+  }
+
+  if (payload.monthly_price !== undefined) {
+    const monthlyPrice = Number(payload.monthly_price);
+
+    if (!Number.isFinite(monthlyPrice) || monthlyPrice < 0) {
+      throw new Error("Invalid monthly price");
+    }
+
+    row.monthly_price = monthlyPrice;
+  }
+
+  if (payload.next_review_date !== undefined) {
+    row.next_review_date = payload.next_review_date || null;
+  }
+
+  if (payload.internal_notes !== undefined) {
+    row.internal_notes =
+      String(payload.internal_notes || "").trim() || null;
+  }
+
+  if (payload.feed_url !== undefined) {
+    const feed = cleanFeedUrl(payload.feed_url);
+    if (feed.error) throw new Error(feed.error);
+
+    row.feed_url = feed.url;
+  }
+
+  if (payload.feed_format !== undefined) {
+    const feedFormat = String(payload.feed_format || "auto").trim().toLowerCase();
+
+    if (!FEED_FORMATS.includes(feedFormat)) {
+      throw new Error("Invalid feed format");
+    }
+
+    row.feed_format = feedFormat;
+  }
+
+  if (payload.feed_enabled !== undefined) {
+    row.feed_enabled =
+      payload.feed_enabled === true ||
+      String(payload.feed_enabled).toLowerCase() === "true";
+  }
+
+  const { data, error } = await supabase
+    .from("garages")
+    .update(row)
+    .eq("id", cleanId)
+    .select("*")
+    .maybeSingle();
+
+  if (error) throw error;
+
+  return data || null;
+}
+
+// Every garage with its admin fields and car counts, for the admin garages page
+async function dbListAdminGarages() {
+  const { data: garages, error: garageError } = await supabase
+    .from("garages")
+    .select(`
+  id,
+  name,
+  address,
+  town,
+  postcode,
+  phone,
+  email,
+  website,
+  opening_hours,
+  description,
+  account_status,
+  public_status,
+  billing_status,
+  service_type,
+  founding_garage,
+  trial_start,
+  trial_end,
+  paused_reason,
+  package_name,
+  monthly_price,
+  next_review_date,
+  internal_notes,
+  feed_url,
+  feed_format,
+  feed_enabled
+`)
+    .order("name", { ascending: true });
+
+  if (garageError) throw garageError;
+
+  const { data: cars, error: carError } = await supabase
+    .from("cars")
+    .select("id, garage_id, status, sold");
+
+  if (carError) throw carError;
+
+  const counts = new Map();
+
+  (cars || []).forEach((car) => {
+    const garageId = car.garage_id;
+    if (!garageId) return;
+
+    if (!counts.has(garageId)) {
+      counts.set(garageId, {
+        total: 0,
+        available: 0,
+        reserved: 0,
+        sold: 0,
+        unpublished: 0
+      });
+    }
+
+    const item = counts.get(garageId);
+    const status = String(car.status || "available").toLowerCase();
+
+    item.total += 1;
+
+    if (UNPUBLISHED_STATUSES.includes(status)) {
+      item.unpublished += 1;
+    } else if (status === "reserved") {
+      item.reserved += 1;
+    } else if (status === "sold" || car.sold === true) {
+      item.sold += 1;
+    } else {
+      item.available += 1;
+    }
+  });
+
+  return (garages || []).map((garage) => ({
+    ...garage,
+    counts: counts.get(garage.id) || {
+      total: 0,
+      available: 0,
+      reserved: 0,
+      sold: 0,
+      unpublished: 0
+    }
+  }));
+}
+
+// A garage made by approving an application: hidden, on a free trial
+function newGarageFields(application) {
+  return {
+    name: application.garage_name || "Unnamed garage",
+    phone: application.phone || null,
+    email: application.email || null,
+    website: application.website || null,
+    description: application.message || null,
+
+    account_status: "active",
+    public_status: "hidden",
+    billing_status: "free_trial",
+    trial_start: londonDate(),
+    trial_end: londonDate(trialEndFromToday()),
+    service_type: "self_service",
+    founding_garage: false,
+    package_name: "Standard",
+    monthly_price: 50
+  };
+}
+
+// =============================
+// SUPABASE DB FUNCTIONS (IMPERSONATION)
+// =============================
+// Admins who run a managed-service garage's stock open the garage
+// dashboard as that garage. Starting a session gives the admin's browser
+// a random token (IMPERSONATION_TOKEN_PREFIX + 32 bytes) that
+// getGarageFromAuth accepts in place of a garage login for
+// IMPERSONATION_MINUTES; only its hash is stored. The session acts as
+// an owner limited to IMPERSONATION_PERMISSIONS, so billing and the team
+// (and with them the garage's logins) stay out of reach, and changes are
+// audited under the admin.
+const IMPERSONATION_MINUTES = 30;
+const IMPERSONATION_TOKEN_PREFIX = "imp_";
+const IMPERSONATION_PERMISSIONS = ["cars", "profile"];
+
+function impersonationTokenHash(token) {
+  return crypto.createHash("sha256").update(String(token || "")).digest("hex");
+}
+
+// Resolves with { session, token }; token goes to the admin's browser and is not stored
+async function dbCreateImpersonation(admin, garageId, reason) {
+  const token = IMPERSONATION_TOKEN_PREFIX + crypto.randomBytes(32).toString("base64url");
+
+  const { data, error } = await supabase
+    .from("garage_impersonations")
+    .insert({
+      garage_id: garageId,
+      admin_user_id: admin.userId,
+      admin_email: admin.email,
+      reason: reason || null,
+      token_hash: impersonationTokenHash(token),
+      expires_at: new Date(Date.now() + IMPERSONATION_MINUTES * MINUTE_MS).toISOString()
+    })
+    .select("*")
+    .single();
+
+  if (error) throw error;
+
+  return { session: data, token };
+}
+
+// The session for token if it has not ended or expired, otherwise null
+async function dbFindImpersonation(token) {
+  const { data, error } = await supabase
+    .from("garage_impersonations")
+    .select("*")
+    .eq("token_hash", impersonationTokenHash(token))
+    .is("ended_at", null)
+    .gt("expires_at", new Date().toISOString())
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+async function dbEndImpersonation(id) {
+  const { data, error } = await supabase
+    .from("garage_impersonations")
+    .update({ ended_at: new Date().toISOString() })
+    .eq("id", id)
+    .is("ended_at", null)
+    .select("*")
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// getGarageFromAuth for an impersonation token: the admin, acting for the garage
+async function getImpersonationAuth(token) {
+  try {
+    const session = await dbFindImpersonation(token);
+
+    if (!session) {
+      return null;
+    }
+
+    const { data: garage, error } = await supabase
+      .from("garages")
+      .select("account_status")
+      .eq("id", session.garage_id)
+      .maybeSingle();
+
+    if (error || !garage) {
+      return null;
+    }
+
+    return {
+      userId: session.admin_user_id,
+      email: session.admin_email,
+      garageId: session.garage_id,
+      role: "owner",
+      status: "active",
+      accountStatus: garage.account_status || "active",
+      impersonation: {
+        id: session.id,
+        adminUserId: session.admin_user_id,
+        adminEmail: session.admin_email,
+        expiresAt: session.expires_at
+      }
+    };
+  } catch (e) {
+    console.error("Impersonation auth error:", e);
+    return null;
+  }
+}
+
+// =============================
+// SUPABASE DB FUNCTIONS (TEAM)
+// =============================
+// A garage's logins are its active garage_users rows. Owners invite
+// staff by email: the invite link carries a random token and only its
+// hash is stored. Accepting creates (or signs in to) the login for the
+// invited email and adds it to the garage with the invited role.
+// A login belongs to one garage at a time.
+const GARAGE_INVITE_DAYS = 7;
+
+function inviteTokenHash(token) {
+  return crypto.createHash("sha256").update(String(token || "")).digest("hex");
+}
+
+function mapDbTeamMember(row) {
+  return {
+    userId: row.user_id,
+    email: row.email ?? null,
+    role: row.role,
+    addedAt: row.created_at ?? null
+  };
+}
+
+function mapDbInvite(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    role: row.role,
+    invitedByEmail: row.invited_by_email ?? null,
+    expiresAt: row.expires_at,
+    createdAt: row.created_at
+  };
+}
+
+// { members, invites }: the active logins, owners first, and the invites still open
+async function dbListTeam(garageId) {
+  const [{ data: members, error }, { data: invites, error: invitesError }] = await Promise.all([
+    supabase
+      .from("garage_users")
+      .select("*")
+      .eq("garage_id", garageId)
+      .eq("status", "active"),
+    supabase
+      .from("garage_invites")
+      .select("*")
+      .eq("garage_id", garageId)
+      .eq("status", "pending")
+      .gt("expires_at", new Date().toISOString())
+      .order("created_at", { ascending: false })
+  ]);
+
+  if (error) throw error;
+  if (invitesError) throw invitesError;
+
+  return {
+    members: (members || [])
+      .map(mapDbTeamMember)
+      .sort((a, b) => GARAGE_ROLES.indexOf(a.role) - GARAGE_ROLES.indexOf(b.role) ||
+        String(a.email || "").localeCompare(String(b.email || ""))),
+    invites: (invites || []).map(mapDbInvite)
+  };
+}
+
+// The user's garage_users row for garageId, whatever its status, or null
+async function dbGetTeamMember(garageId, userId) {
+  const { data, error } = await supabase
+    .from("garage_users")
+    .select("*")
+    .eq("garage_id", garageId)
+    .eq("user_id", userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/*
+  Invites email to auth's garage as role. Inviting an email that already
+  has an open invite gives it a new link and expiry. Resolves with
+  { invite, token }; token goes in the emailed link and is not stored.
+*/
+async function dbCreateInvite(auth, email, role) {
+  const token = crypto.randomBytes(32).toString("base64url");
+
+  const fields = {
+    role,
+    token_hash: inviteTokenHash(token),
+    invited_by: auth.userId,
+    invited_by_email: auth.email,
+    expires_at: new Date(Date.now() + GARAGE_INVITE_DAYS * DAY_MS).toISOString()
+  };
+
+  const { data: existing, error: readError } = await supabase
+    .from("garage_invites")
+    .select("id")
+    .eq("garage_id", auth.garageId)
+    .eq("email", email)
+    .eq("status", "pending")
+    .maybeSingle();
+
+  if (readError) throw readError;
+
+  const query = existing
+    ? supabase.from("garage_invites").update(fields).eq("id", existing.id)
+    : supabase.from("garage_invites").insert({ ...fields, garage_id: auth.garageId, email });
+
+  const { data, error } = await query
+    .select("*")
+    .single();
+
+  if (error) throw error;
+
+  return { invite: data, token };
+}
+
+// The open, unexpired invite for token, or null
+async function dbFindInvite(token) {
+  if (!token) return null;
+
+  const { data, error } = await supabase
+    .from("garage_invites")
+    .select("*")
+    .eq("token_hash", inviteTokenHash(token))
+    .eq("status", "pending")
+    .gt("expires_at", new Date().toISOString())
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/*
+  Adds userId to the invite's garage with the invited role, reusing the
+  row of a login that was revoked before. The invite is used up first,
+  so each link works once; it is opened again if adding the login fails.
+  Resolves with the garage_users row, or null if the invite was used
+  or cancelled meanwhile.
+*/
+async function dbAcceptInvite(invite, userId) {
+  const { data: claimed, error: claimError } = await supabase
+    .from("garage_invites")
+    .update({
+      status: "accepted",
+      accepted_by: userId,
+      accepted_at: new Date().toISOString()
+    })
+    .eq("id", invite.id)
+    .eq("status", "pending")
+    .select("id")
+    .maybeSingle();
+
+  if (claimError) throw claimError;
+  if (!claimed) return null;
+
+  try {
+    const { data: owner, error: ownerError } = await supabase
+      .from("garage_users")
+      .select("subscription_status")
+      .eq("garage_id", invite.garage_id)
+      .eq("status", "active")
+      .limit(1)
+      .maybeSingle();
+
+    if (ownerError) throw ownerError;
+
+    const fields = {
+      email: invite.email,
+      role: invite.role,
+      status: "active",
+      subscription_status: owner ? owner.subscription_status : null,
+      invited_by: invite.invited_by,
+      revoked_at: null
+    };
+
+    const previous = await dbGetTeamMember(invite.garage_id, userId);
+
+    const query = previous
+      ? supabase.from("garage_users").update(fields).eq("garage_id", invite.garage_id).eq("user_id", userId)
+      : supabase.from("garage_users").insert({ ...fields, garage_id: invite.garage_id, user_id: userId });
+
+    const { data, error } = await query
+      .select("*")
+      .single();
+
+    if (error) throw error;
+
+    return data;
+
+  } catch (e) {
+    const { error: reopenError } = await supabase
+      .from("garage_invites")
+      .update({ status: "pending", accepted_by: null, accepted_at: null })
+      .eq("id", invite.id);
+
+    if (reopenError) console.error("Reopen garage invite error:", reopenError);
+
+    throw e;
+  }
+}
+
+// =============================
+// SUPABASE DB FUNCTIONS (APPLICATIONS)
+// =============================
+// An application starts pending. Admins can ask the applicant for more
+// information (info_requested), put it on hold, reject it with a reason
+// or approve it; approving is the claim held while garage-approval.js
+// creates the garage. Sending the application form again answers an
+// information request, and a rejected applicant can apply again.
+// Every status change and reviewer note goes on the application's timeline.
+const APPLICATION_STATUSES = ["pending", "info_requested", "on_hold", "approving", "approved", "rejected"];
+
+// Statuses an admin can move an open application to; approval has its own route
+const APPLICATION_REVIEW_STATUSES = ["pending", "info_requested", "on_hold", "rejected"];
+
+// Not decided yet, so the applicant cannot apply again
+const APPLICATION_OPEN_STATUSES = [...APPROVABLE_STATUSES, "approving"];
+
+const APPLICATION_NOTE_MAX = 2000;
+
+function mapDbApplicationEvent(row) {
+  return {
+    id: row.id,
+    kind: row.kind,
+    fromStatus: row.from_status ?? null,
+    toStatus: row.to_status ?? null,
+    note: row.note ?? null,
+    actorType: row.actor_type,
+    actorEmail: row.actor_email ?? null,
+    createdAt: row.created_at
+  };
+}
+
+async function dbGetApplication(applicationId) {
+  const { data, error } = await supabase
+    .from("garage_applications")
+    .select("*")
+    .eq("id", applicationId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Newest first, each with its timeline (oldest event first)
+async function dbListApplications() {
+  const { data, error } = await supabase
+    .from("garage_applications")
+    .select("*")
+    .order("created_at", { ascending: false });
+
+  if (error) throw error;
+
+  const applications = data || [];
+  const timelines = new Map();
+
+  if (applications.length) {
+    const { data: events, error: eventsError } = await supabase
+      .from("garage_application_events")
+      .select("*")
+      .in("application_id", applications.map(application => application.id))
+      .order("created_at", { ascending: true });
+
+    if (eventsError) throw eventsError;
+
+    for (const event of events || []) {
+      if (!timelines.has(event.application_id)) timelines.set(event.application_id, []);
+      timelines.get(event.application_id).push(mapDbApplicationEvent(event));
+    }
+  }
+
+  return applications.map(application => ({
+    ...application,
+    timeline: timelines.get(application.id) || []
+  }));
+}
+
+// The user's newest application, or null
+async function dbLatestApplicationForUser(userId) {
+  const { data, error } = await supabase
+    .from("garage_applications")
+    .select("*")
+    .eq("user_id", userId)
+    .order("created_at", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Resolves false if the event could not be saved; the change it records has already happened
+async function dbRecordApplicationEvent(applicationId, actor, { kind = "status", fromStatus = null, toStatus = null, note = null } = {}) {
+  const { error } = await supabase
+    .from("garage_application_events")
+    .insert({
+      application_id: applicationId,
+      kind,
+      from_status: fromStatus,
+      to_status: toStatus,
+      note: note || null,
+      actor_type: actor.type,
+      actor_id: actor.userId,
+      actor_email: actor.email
+    });
+
+  if (error) {
+    console.error("Record application event error:", error);
+  }
+
+  return !error;
+}
+
+/*
+  Moves application to status, saving fields with it. Only applies if
+  the status is still what application says, so two reviewers cannot
+  overwrite each other; resolves with the updated row, or null if the
+  status had already changed.
+*/
+async function dbSetApplicationStatus(application, status, fields = {}) {
+  let query = supabase
+    .from("garage_applications")
+    .update({ ...fields, status })
+    .eq("id", application.id);
+
+  query = application.status
+    ? query.eq("status", application.status)
+    : query.is("status", null);
+
+  const { data, error } = await query
+    .select("*")
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Columns saying which admin changed an application's status and when
+function applicationReviewFields(admin) {
+  return {
+    reviewed_by: admin.userId || null,
+    reviewed_by_email: admin.email || null,
+    reviewed_at: new Date().toISOString()
+  };
+}
+
+// =============================
+// SUPABASE DB FUNCTIONS (ENQUIRIES)
+// =============================
+const ENQUIRY_STATUSES = ["new", "read", "replied", "closed"];
+
+function mapDbEnquiry(row) {
+  return {
+    id: row.id,
+    carId: row.car_id ?? null,
+    carName: row.cars?.name ?? null,
+    garageId: row.garage_id ?? null,
+    name: row.name ?? null,
+    email: row.email ?? null,
+    phone: row.phone ?? null,
+    message: row.message ?? null,
+    status: row.status ?? "new",
+    createdAt: row.created_at ?? null,
+    updatedAt: row.updated_at ?? null
+  };
+}
+
+function validateEnquiry(payload) {
+  const name = String(payload.name || "").trim();
+  const email = String(payload.email || "").trim().toLowerCase();
+  const phone = String(payload.phone || "").trim();
+  const message = String(payload.message || "").trim();
+
+  if (!name || name.length > 100) {
+    return { error: "Please enter your name." };
+  }
+
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) || email.length > 200) {
+    return { error: "Please enter a valid email address." };
+  }
+
+  const phoneDigits = phone.replace(/[\s()+-]/g, "");
+
+  if (phone && !/^\d{10,13}$/.test(phoneDigits)) {
+    return { error: "Please enter a valid phone number." };
+  }
+
+  if (message.length < 10 || message.length > 2000) {
+    return { error: "Message must be between 10 and 2000 characters." };
+  }
+
+  return {
+    enquiry: {
+      name,
+      email,
+      phone: phone || null,
+      message
+    }
+  };
+}
+
+async function dbInsertEnquiry(car, enquiry) {
+  const { data, error } = await supabase
+    .from("enquiries")
+    .insert({
+      car_id: car.id,
+      garage_id: car.garageId,
+      name: enquiry.name,
+      email: enquiry.email,
+      phone: enquiry.phone,
+      message: enquiry.message,
+      status: "new"
+    })
+    .select("id")
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+async function dbListEnquiries(garageId, status = "") {
+  let query = supabase
+    .from("enquiries")
+    .select(`
+      *,
+      cars (
+        name
+      )
+    `)
+    .eq("garage_id", garageId)
+    .order("created_at", { ascending: false });
+
+  if (status) {
+    query = query.eq("status", status);
+  }
+
+  const { data, error } = await query;
+
+  if (error) throw error;
+  return (data || []).map(mapDbEnquiry);
+}
+
+async function dbUpdateEnquiryStatus(id, garageId, status) {
+  const { data, error } = await supabase
+    .from("enquiries")
+    .update({
+      status,
+      updated_at: new Date().toISOString()
+    })
+    .eq("id", id)
+    .eq("garage_id", garageId)
+    .select("id")
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || null;
+}
+
+// =============================
+// SUPABASE DB FUNCTIONS (BILLING)
+// =============================
+const BILLING_STATUSES = ["free_permanent", "free_trial", "paying", "past_due", "cancelled"];
+const BILLING_TRIAL_MONTHS = 3;
+
+// Stripe needs a trial end at least 48 hours away
+const STRIPE_MIN_TRIAL_MS = 48 * 60 * 60 * 1000;
+
+// Stripe subscription status -> garages.billing_status / garage_users.subscription_status
+const STRIPE_STATUS_MAP = {
+  trialing: { billingStatus: "free_trial", subscriptionStatus: "trial" },
+  active: { billingStatus: "paying", subscriptionStatus: "active" },
+  past_due: { billingStatus: "past_due", subscriptionStatus: "past_due" },
+  unpaid: { billingStatus: "past_due", subscriptionStatus: "past_due" },
+  paused: { billingStatus: "past_due", subscriptionStatus: "past_due" },
+  canceled: { billingStatus: "cancelled", subscriptionStatus: "cancelled" },
+  incomplete_expired: { billingStatus: "cancelled", subscriptionStatus: "cancelled" }
+};
+
+const BILLING_GARAGE_COLUMNS = `
+  id,
+  name,
+  email,
+  billing_status,
+  trial_start,
+  trial_end,
+  package_name,
+  monthly_price,
+  stripe_customer_id,
+  stripe_subscription_id,
+  billing_synced_at,
+  account_status,
+  paused_reason
+`;
+
+function hasLiveSubscription(garage) {
+  return Boolean(
+    garage.stripe_subscription_id &&
+    ["free_trial", "paying", "past_due"].includes(garage.billing_status)
+  );
+}
+
+function mapDbBilling(garage) {
+  return {
+    billingStatus: garage.billing_status || "free_trial",
+    trialStart: garage.trial_start || null,
+    trialEnd: garage.trial_end || null,
+    packageName: garage.package_name || "Standard",
+    monthlyPrice: garage.monthly_price ?? 50,
+    hasSubscription: hasLiveSubscription(garage),
+    canManage: Boolean(garage.stripe_customer_id),
+    canSubscribe:
+      garage.billing_status !== "free_permanent" &&
+      !hasLiveSubscription(garage)
+  };
+}
+
+// Unix seconds for the Checkout trial, or null when no trial is left
+function stripeTrialEnd(garage) {
+  if (garage.billing_status !== "free_trial") return null;
+
+  if (garage.trial_end) {
+    const trialEnd = new Date(garage.trial_end).getTime();
+
+    return trialEnd > Date.now() + STRIPE_MIN_TRIAL_MS
+      ? Math.floor(trialEnd / 1000)
+      : null;
+  }
+
+  return Math.floor(trialEndFromToday().getTime() / 1000);
+}
+
+function trialEndFromToday() {
+  const trialEnd = new Date();
+  trialEnd.setMonth(trialEnd.getMonth() + BILLING_TRIAL_MONTHS);
+  return trialEnd;
+}
+
+function stripeDate(seconds) {
+  return seconds ? new Date(seconds * 1000).toISOString().slice(0, 10) : null;
+}
+
+async function dbGetGarageBilling(garageId) {
+  const { data, error } = await supabase
+    .from("garages")
+    .select(BILLING_GARAGE_COLUMNS)
+    .eq("id", garageId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || null;
+}
+
+async function dbFindGarageForStripe(garageId, customerId) {
+  if (garageId) {
+    const garage = await dbGetGarageBilling(garageId);
+    if (garage) return garage;
+  }
+
+  if (!customerId) return null;
+
+  const { data, error } = await supabase
+    .from("garages")
+    .select(BILLING_GARAGE_COLUMNS)
+    .eq("stripe_customer_id", customerId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || null;
+}
+
+async function dbSetStripeCustomer(garageId, customerId, subscriptionId) {
+  const row = { stripe_customer_id: customerId };
+
+  if (subscriptionId) {
+    row.stripe_subscription_id = subscriptionId;
+  }
+
+  const { error } = await supabase
+    .from("garages")
+    .update(row)
+    .eq("id", garageId);
+
+  if (error) throw error;
+}
+
+/*
+  Copies a Stripe subscription onto the garage and its logins.
+  Events can arrive out of order, so one older than the last
+  sync is ignored. Returns false when nothing was changed.
+*/
+async function dbSyncGarageSubscription(garage, subscription, eventCreated) {
+  const mapped = STRIPE_STATUS_MAP[subscription.status];
+  if (!mapped) return false;
+
+  // Garages kept free by an admin are never moved onto a Stripe status
+  if (garage.billing_status === "free_permanent") return false;
+
+  const syncedAt = new Date(eventCreated * 1000);
+
+  if (
+    garage.billing_synced_at &&
+    new Date(garage.billing_synced_at) > syncedAt
+  ) {
+    return false;
+  }
+
+  const row = {
+    billing_status: mapped.billingStatus,
+    stripe_customer_id: subscription.customer,
+    stripe_subscription_id: subscription.id,
+    billing_synced_at: syncedAt.toISOString()
+  };
+
+  if (subscription.trial_end) {
+    row.trial_start = stripeDate(subscription.trial_start);
+    row.trial_end = stripeDate(subscription.trial_end);
+  }
+
+  // Subscribing reopens a garage the trial job paused
+  const resumes =
+    ["free_trial", "paying"].includes(mapped.billingStatus) &&
+    garage.account_status === "paused" &&
+    garage.paused_reason === TRIAL_PAUSED_REASON;
+
+  if (resumes) {
+    row.account_status = "active";
+    row.paused_reason = null;
+  }
+
+  const { error } = await supabase
+    .from("garages")
+    .update(row)
+    .eq("id", garage.id);
+
+  if (error) throw error;
+
+  if (garage.billing_status !== mapped.billingStatus) {
+    await dbRecordBillingEvent(garage.id, "billing_status", {
+      fromStatus: garage.billing_status,
+      toStatus: mapped.billingStatus,
+      details: { source: "stripe", subscriptionStatus: subscription.status }
+    });
+  }
+
+  if (resumes) {
+    await dbRecordBillingEvent(garage.id, "trial_resumed", {
+      fromStatus: "paused",
+      toStatus: "active",
+      details: { source: "stripe" }
+    });
+  }
+
+  const { error: usersError } = await supabase
+    .from("garage_users")
+    .update({ subscription_status: mapped.subscriptionStatus })
+    .eq("garage_id", garage.id);
+
+  if (usersError) throw usersError;
+
+  return true;
+}
+
+/*
+  Records a paid or failed invoice in the garage's billing history.
+  Statuses only move on subscription events (Stripe sends one when a
+  failed payment makes the subscription past_due), so this changes
+  nothing else. Keyed on the event id, so a retried event is a no-op.
+*/
+async function dbRecordStripeInvoice(garage, event) {
+  const invoice = event.data.object;
+  const paid = event.type === "invoice.paid";
+
+  const recorded = await dbRecordBillingEvent(
+    garage.id,
+    paid ? "invoice_paid" : "invoice_payment_failed",
+    {
+      eventKey: `stripe:${event.id}`,
+      details: {
+        source: "stripe",
+        invoiceId: invoice.id,
+        amount: paid ? invoice.amount_paid : invoice.amount_due,
+        currency: invoice.currency,
+        attempt: invoice.attempt_count || null
+      }
+    }
+  );
+
+  return Boolean(recorded);
+}
+
+// =============================
+// ANALYTICS SUMMARY
+// =============================
+const ANALYTICS_RANGES = ["7d", "30d", "all"];
+
+/*
+  Views and contact clicks for one garage over range (7d, 30d or all),
+  as GET /admin-analytics returns them. null if the garage does not exist.
+*/
+async function dbGarageAnalytics(garageId, range) {
+  let sinceIso = null;
+
+  if (range === "7d") {
+    sinceIso = new Date(
+      Date.now() - (7 * 24 * 60 * 60 * 1000)
+    ).toISOString();
+  }
+
+  if (range === "30d") {
+    sinceIso = new Date(
+      Date.now() - (30 * 24 * 60 * 60 * 1000)
+    ).toISOString();
+  }
+
+  const garage = await dbGetGarageById(garageId);
+  if (!garage) return null;
+
+  /*
+    Load every analytics row in batches.
+    This avoids silently stopping at Supabase's normal row limit.
+  */
+  const events = [];
+  const pageSize = 1000;
+  let from = 0;
+
+  while (true) {
+    let eventsQuery = supabase
+      .from("analytics_events")
+      .select("event_type, car_id, created_at")
+      .eq("garage_id", garageId)
+      .order("id", { ascending: true })
+      .range(from, from + pageSize - 1);
+
+    if (sinceIso) {
+      eventsQuery = eventsQuery.gte("created_at", sinceIso);
+    }
+
+    const {
+      data: eventBatch,
+      error: eventsError
+    } = await eventsQuery;
+
+    if (eventsError) throw eventsError;
+
+    const batch = eventBatch || [];
+    events.push(...batch);
+
+    if (batch.length < pageSize) {
+      break;
+    }
+
+    from += pageSize;
+  }
+
+  const { data: cars, error: carsError } = await supabase
+    .from("cars")
+    .select("id, name, status, sold")
+    .eq("garage_id", garageId);
+
+  if (carsError) throw carsError;
+
+  const eventTotals = {
+    garage_view: 0,
+    car_view: 0,
+    call_click: 0,
+    email_click: 0,
+    directions_click: 0,
+    website_click: 0,
+    share_click: 0
+  };
+
+  const vehicleMap = new Map(
+    (cars || []).map(car => [
+      String(car.id),
+      {
+        carId: car.id,
+        name: car.name || "Unnamed vehicle",
+        status: car.status || "available",
+        views: 0,
+        callClicks: 0,
+        emailClicks: 0,
+        directionsClicks: 0,
+        websiteClicks: 0,
+        shareClicks: 0
+      }
+    ])
+  );
+
+  events.forEach(event => {
+    const eventType = String(event.event_type || "");
+
+    if (Object.prototype.hasOwnProperty.call(eventTotals, eventType)) {
+      eventTotals[eventType] += 1;
+    }
+
+    if (!event.car_id) return;
+
+    const vehicle = vehicleMap.get(String(event.car_id));
+    if (!vehicle) return;
+
+    if (eventType === "car_view") {
+      vehicle.views += 1;
+    }
+
+    if (eventType === "call_click") {
+      vehicle.callClicks += 1;
+    }
+
+    if (eventType === "email_click") {
+      vehicle.emailClicks += 1;
+    }
+
+    if (eventType === "directions_click") {
+      vehicle.directionsClicks += 1;
+    }
+
+    if (eventType === "website_click") {
+      vehicle.websiteClicks += 1;
+    }
+
+    if (eventType === "share_click") {
+      vehicle.shareClicks += 1;
+    }
+  });
+
+  const contactActions =
+    eventTotals.call_click +
+    eventTotals.email_click +
+    eventTotals.directions_click +
+    eventTotals.website_click +
+    eventTotals.share_click;
+
+  const vehicles = [...vehicleMap.values()]
+    .map(vehicle => ({
+      ...vehicle,
+      contactActions:
+        vehicle.callClicks +
+        vehicle.emailClicks +
+        vehicle.directionsClicks +
+        vehicle.websiteClicks +
+        vehicle.shareClicks
+    }))
+    .sort((a, b) =>
+      b.views - a.views ||
+      b.contactActions - a.contactActions ||
+      a.name.localeCompare(b.name)
+    );
+
+  return {
+    range,
+    garage: {
+      id: garage.id,
+      name: garage.name
+    },
+    totals: {
+      garageViews: eventTotals.garage_view,
+      carViews: eventTotals.car_view,
+      contactActions,
+      callClicks: eventTotals.call_click,
+      emailClicks: eventTotals.email_click,
+      directionsClicks: eventTotals.directions_click,
+      websiteClicks: eventTotals.website_click,
+      shareClicks: eventTotals.share_click
+    },
+    vehicles
+  };
+}
+
+// =============================
+// EMAIL
+// =============================
+// Transport and templates live in mail.js / mail-templates.js.
+// Every attempt, sent or failed, is written to email_log.
+
+const EMAIL_LOG_LIMIT = 100;
+const EMAIL_LOG_MAX_LIMIT = 500;
+
+function mapDbEmailLog(row) {
+  return {
+    id: row.id,
+    template: row.template,
+    to: row.to_email ?? null,
+    subject: row.subject ?? null,
+    status: row.status,
+    transport: row.transport ?? null,
+    messageId: row.message_id ?? null,
+    error: row.error ?? null,
+    garageId: row.garage_id ?? null,
+    garageName: row.garages?.name ?? null,
+    applicationId: row.application_id ?? null,
+    createdAt: row.created_at ?? null
+  };
+}
+
+async function dbListEmailLog({ template, status, garageId, limit }) {
+  let query = supabase
+    .from("email_log")
+    .select(`
+      id,
+      template,
+      to_email,
+      subject,
+      status,
+      transport,
+      message_id,
+      error,
+      garage_id,
+      application_id,
+      created_at,
+      garages ( name )
+    `)
+    .order("created_at", { ascending: false })
+    .limit(limit);
+
+  if (template) query = query.eq("template", template);
+  if (status) query = query.eq("status", status);
+  if (garageId) query = query.eq("garage_id", garageId);
+
+  const { data, error } = await query;
+
+  if (error) throw error;
+  return (data || []).map(mapDbEmailLog);
+}
+
+async function dbLogEmail(entry) {
+  const { error } = await supabase
+    .from("email_log")
+    .insert(entry);
+
+  if (error) {
+    console.error("Email log error:", error);
+  }
+}
+
+/*
+  Renders and sends a template email. Never throws: a failed email
+  should not undo the action that triggered it, so callers get
+  true/false and the failure is in email_log.
+  refs: { garageId, applicationId } to link the log row.
+*/
+async function sendTemplateEmail(template, to, data, refs = {}) {
+  const entry = {
+    template,
+    to_email: to || null,
+    subject: null,
+    status: "failed",
+    transport: mailer.transport,
+    message_id: null,
+    error: null,
+    garage_id: refs.garageId || null,
+    application_id: refs.applicationId || null
+  };
+
+  try {
+    const email = renderEmail(template, data);
+    entry.subject = email.subject;
+
+    const result = await mailer.send({ to, ...email });
+
+    entry.status = "sent";
+    entry.message_id = result && result.id ? String(result.id) : null;
+  } catch (e) {
+    console.error(`Email ${template} to ${to} failed:`, e);
+    entry.error = String(e && e.message ? e.message : e).slice(0, 500);
+  }
+
+  await dbLogEmail(entry);
+
+  return entry.status === "sent";
+}
+
+// =============================
+// TRIAL END JOB
+// =============================
+// Runs once a day. Emails free-trial garages before trial_end and pauses
+// them once the grace period has passed without a paid subscription.
+// Every reminder, pause and resume is recorded in billing_events.
+//   TRIAL_REMINDER_DAYS  days before trial_end to email (default "14,7,1")
+//   TRIAL_GRACE_DAYS     days after trial_end before pausing (default 7)
+const TRIAL_REMINDER_DAYS = parseDayList(process.env.TRIAL_REMINDER_DAYS, [14, 7, 1]);
+const TRIAL_GRACE_DAYS = parseDayCount(process.env.TRIAL_GRACE_DAYS, 7);
+const TRIAL_JOB_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const TRIAL_JOB_FIRST_RUN_MS = 60 * 1000;
+const TRIAL_PAUSED_REASON = "trial_ended";
+const PUBLIC_SITE_URL = SITE_URL || "https://www.iowcarfinder.co.uk";
+
+function parseDayCount(value, fallback) {
+  const n = Number(value);
+  return value !== undefined && value !== "" && Number.isInteger(n) && n >= 0
+    ? n
+    : fallback;
+}
+
+function parseDayList(value, fallback) {
+  const days = String(value || "")
+    .split(",")
+    .map(day => day.trim())
+    .filter(Boolean)
+    .map(Number)
+    .filter(day => Number.isInteger(day) && day >= 0);
+
+  return [...new Set(days.length ? days : fallback)].sort((a, b) => a - b);
+}
+
+// YYYY-MM-DD on the UK calendar
+function londonDate(date = new Date()) {
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone: "Europe/London",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit"
+  }).format(date);
+}
+
+function daysUntil(fromDate, toDate) {
+  const from = Date.parse(String(fromDate).slice(0, 10) + "T00:00:00Z");
+  const to = Date.parse(String(toDate).slice(0, 10) + "T00:00:00Z");
+  return Math.round((to - from) / (24 * 60 * 60 * 1000));
+}
+
+function formatLongDate(isoDate) {
+  return new Date(String(isoDate).slice(0, 10) + "T12:00:00Z").toLocaleDateString("en-GB", {
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+    timeZone: "Europe/London"
+  });
+}
+
+/*
+  Records a billing transition. With an eventKey the insert doubles as a
+  claim: a second run that tries the same key gets false and does nothing.
+*/
+async function dbRecordBillingEvent(garageId, eventType, fields = {}) {
+  const { data, error } = await supabase
+    .from("billing_events")
+    .insert({
+      garage_id: garageId,
+      event_type: eventType,
+      event_key: fields.eventKey || null,
+      from_status: fields.fromStatus || null,
+      to_status: fields.toStatus || null,
+      details: fields.details || null
+    })
+    .select("id")
+    .single();
+
+  if (error && error.code === "23505") return null;
+  if (error) throw error;
+
+  return data;
+}
+
+async function dbDeleteBillingEvent(id) {
+  const { error } = await supabase
+    .from("billing_events")
+    .delete()
+    .eq("id", id);
+
+  if (error) throw error;
+}
+
+async function dbListTrialGarages() {
+  const { data, error } = await supabase
+    .from("garages")
+    .select(BILLING_GARAGE_COLUMNS)
+    .in("billing_status", ["free_trial", "cancelled"])
+    .eq("account_status", "active")
+    .not("trial_end", "is", null);
+
+  if (error) throw error;
+  return data || [];
+}
+
+async function dbPauseGarageForTrial(garageId) {
+  const { data, error } = await supabase
+    .from("garages")
+    .update({
+      account_status: "paused",
+      paused_reason: TRIAL_PAUSED_REASON
+    })
+    .eq("id", garageId)
+    .eq("account_status", "active")
+    .select("id")
+    .maybeSingle();
+
+  if (error) throw error;
+  return Boolean(data);
+}
+
+function trialEmailData(garage) {
+  return {
+    garageName: garage.name || "your garage",
+    trialEndText: formatLongDate(garage.trial_end),
+    monthlyPrice: garage.monthly_price ?? 50,
+    graceDays: TRIAL_GRACE_DAYS,
+    dashboardUrl: `${PUBLIC_SITE_URL}/garage-dashboard`
+  };
+}
+
+async function remindTrialGarage(garage, daysLeft) {
+  // The most urgent reminder point reached, so a missed day sends one email, not several
+  const reminderDays = TRIAL_REMINDER_DAYS.find(day => day >= daysLeft);
+
+  if (reminderDays === undefined || !garage.email) return false;
+
+  const event = await dbRecordBillingEvent(garage.id, "trial_reminder", {
+    eventKey: `trial_reminder:${reminderDays}:${garage.trial_end}`,
+    details: { daysBefore: reminderDays, daysLeft, email: garage.email }
+  });
+
+  if (!event) return false;
+
+  const sent = await sendTemplateEmail("trial_ending", garage.email, {
+    ...trialEmailData(garage),
+    endsText:
+      daysLeft === 0 ? "ends today" :
+        daysLeft === 1 ? "ends tomorrow" :
+          `ends in ${daysLeft} days`
+  }, { garageId: garage.id });
+
+  if (!sent) {
+    // Let tomorrow's run try again
+    await dbDeleteBillingEvent(event.id);
+    throw new Error("Trial reminder email was not sent");
+  }
+
+  return true;
+}
+
+async function pauseTrialGarage(garage, daysLeft) {
+  // Keyed on the trial, so an admin who reopens the garage is not overruled
+  const event = await dbRecordBillingEvent(garage.id, "trial_paused", {
+    eventKey: `trial_paused:${garage.trial_end}`,
+    fromStatus: "active",
+    toStatus: "paused",
+    details: {
+      billingStatus: garage.billing_status,
+      daysOverdue: -daysLeft,
+      graceDays: TRIAL_GRACE_DAYS
+    }
+  });
+
+  if (!event) return false;
+
+  let paused;
+
+  try {
+    paused = await dbPauseGarageForTrial(garage.id);
+  } catch (e) {
+    await dbDeleteBillingEvent(event.id);
+    throw e;
+  }
+
+  if (!paused) {
+    await dbDeleteBillingEvent(event.id);
+    return false;
+  }
+
+  if (garage.email) {
+    await sendTemplateEmail("account_paused", garage.email, trialEmailData(garage), {
+      garageId: garage.id
+    });
+  }
+
+  return true;
+}
+
+async function runTrialJob() {
+  const today = londonDate();
+  const summary = { checked: 0, reminded: 0, paused: 0, failed: 0 };
+
+  const garages = await dbListTrialGarages();
+
+  for (const garage of garages) {
+    summary.checked++;
+
+    const daysLeft = daysUntil(today, garage.trial_end);
+
+    try {
+      if (daysLeft < 0 && -daysLeft >= TRIAL_GRACE_DAYS) {
+        if (await pauseTrialGarage(garage, daysLeft)) summary.paused++;
+      } else if (
+        daysLeft >= 0 &&
+        garage.billing_status === "free_trial" &&
+        !hasLiveSubscription(garage)
+      ) {
+        if (await remindTrialGarage(garage, daysLeft)) summary.reminded++;
+      }
+    } catch (e) {
+      summary.failed++;
+      console.error("Trial job error for garage", garage.id, e);
+    }
+  }
+
+  return summary;
+}
+
+function startTrialJob() {
+  const run = () => {
+    runTrialJob()
+      .then(summary => console.log("🕒 Trial job:", summary))
+      .catch(e => console.error("Trial job error:", e));
+  };
+
+  setTimeout(run, TRIAL_JOB_FIRST_RUN_MS);
+  setInterval(run, TRIAL_JOB_INTERVAL_MS);
+}
+
+// =============================
+// DEALER FEED SYNC
+// =============================
+// Garages with feed_enabled have their stock mirrored from feed_url
+// (see dealer-feed.js). Vehicles in the feed go through the same checks
+// and upsert as the CSV import; cars the feed created whose stock_ref has
+// left the feed are marked sold. Each run is kept in dealer_feed_runs, which the
+// garage sees on its dashboard.
+//   FEED_SYNC_INTERVAL_MINUTES  minutes between syncs (default 60)
+const FEED_SYNC_INTERVAL_MS = Math.max(parseDayCount(process.env.FEED_SYNC_INTERVAL_MINUTES, 60), 5) * 60 * 1000;
+const FEED_SYNC_FIRST_RUN_MS = 2 * 60 * 1000;
+const FEED_RUN_MAX_ERRORS = 100;
+
+let feedSyncRunning = false;
+
+// Admin-entered feed url -> { url } (null to clear) or { error }
+function cleanFeedUrl(value) {
+  const url = String(value || "").trim();
+
+  if (!url) return { url: null };
+
+  if (!/^https?:\/\/\S+$/i.test(url) && !/^file:[\w.-]+$/.test(url)) {
+    return { error: "Feed url must start with http://, https:// or file:" };
+  }
+
+  return { url };
+}
+
+// Where the feed comes from, for the garage dashboard. Feed urls often
+// carry an account key, so only the host (or file name) is shown.
+function feedSource(url) {
+  const value = String(url || "").trim();
+  if (!value) return null;
+  if (value.startsWith("file:")) return value;
+
+  try {
+    return new URL(value).host;
+  } catch {
+    return null;
+  }
+}
+
+function mapDbFeedRun(row) {
+  return {
+    id: row.id,
+    startedAt: row.started_at ?? null,
+    finishedAt: row.finished_at ?? null,
+    status: row.status ?? null,
+    trigger: row.trigger ?? null,
+    vehicles: row.vehicles ?? 0,
+    created: row.created ?? 0,
+    updated: row.updated ?? 0,
+    unchanged: row.unchanged ?? 0,
+    sold: row.sold ?? 0,
+    failed: row.failed ?? 0,
+    message: row.message ?? null,
+    errors: Array.isArray(row.errors) ? row.errors : []
+  };
+}
+
+async function dbListFeedGarages() {
+  const { data, error } = await supabase
+    .from("garages")
+    .select("id, name, feed_url, feed_format")
+    .eq("feed_enabled", true)
+    .eq("account_status", "active")
+    .not("feed_url", "is", null);
+
+  if (error) throw error;
+  return data || [];
+}
+
+async function dbGetGarageFeed(garageId) {
+  const { data, error } = await supabase
+    .from("garages")
+    .select("id, name, account_status, feed_url, feed_format, feed_enabled")
+    .eq("id", garageId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || null;
+}
+
+async function dbListFeedRuns(garageId, limit = 10) {
+  const { data, error } = await supabase
+    .from("dealer_feed_runs")
+    .select("*")
+    .eq("garage_id", garageId)
+    .order("started_at", { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+  return (data || []).map(mapDbFeedRun);
+}
+
+async function dbRecordFeedRun(garageId, run) {
+  const { error } = await supabase
+    .from("dealer_feed_runs")
+    .insert({
+      garage_id: garageId,
+      started_at: run.startedAt,
+      finished_at: run.finishedAt,
+      status: run.status,
+      trigger: run.trigger,
+      vehicles: run.vehicles,
+      created: run.created,
+      updated: run.updated,
+      unchanged: run.unchanged,
+      sold: run.sold,
+      failed: run.failed,
+      message: run.message,
+      errors: run.errors
+    });
+
+  if (error) throw error;
+}
+
+/*
+  Marks sold the garage's unsold cars whose stock_ref is not in keepRefs
+  (lower case). Only cars the feed created are touched: ones added by
+  hand or by CSV import, drafts and scheduled cars are never sold by a sync.
+*/
+async function dbMarkFeedCarsSold(garageId, keepRefs) {
+  const { data, error } = await supabase
+    .from("cars")
+    .select("id, stock_ref, status, sold, sold_at, reserved_at, status_changed_at, sold_visible_until")
+    .eq("garage_id", garageId)
+    .eq("source", "feed")
+    .not("stock_ref", "is", null)
+    .not("status", "in", `(${UNPUBLISHED_STATUSES.join(",")})`);
+
+  if (error) throw error;
+
+  const gone = (data || [])
+    .filter(row => !keepRefs.has(String(row.stock_ref).toLowerCase()))
+    .filter(row => carStatus(row) !== "sold");
+
+  if (!gone.length) return 0;
+
+  const update = await carStatusFields("sold", garageId);
+
+  const { error: updateError } = await supabase
+    .from("cars")
+    .update(update)
+    .eq("garage_id", garageId)
+    .in("id", gone.map(row => row.id));
+
+  if (updateError) throw updateError;
+
+  for (const row of gone) {
+    await dbRecordAudit(auditActor("system"), "car_status", "car", row.id, {
+      garageId,
+      before: row,
+      after: { ...row, ...update }
+    });
+  }
+
+  return gone.length;
+}
+
+/*
+  Mirrors one garage's feed into its cars and records the run.
+  A feed that cannot be read, or that has no vehicles, changes nothing,
+  so a broken export never marks a whole forecourt as sold.
+*/
+async function syncGarageFeed(garage, trigger = "schedule") {
+  const run = {
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    status: "ok",
+    trigger,
+    vehicles: 0,
+    created: 0,
+    updated: 0,
+    unchanged: 0,
+    sold: 0,
+    failed: 0,
+    message: null,
+    errors: []
+  };
+
+  try {
+    const vehicles = await feedReader.read({
+      url: garage.feed_url,
+      format: garage.feed_format || "auto"
+    });
+
+    if (!vehicles.length) {
+      throw new Error("The feed has no vehicles, so nothing was changed");
+    }
+
+    const rows = await planStockRows(
+      garage.id,
+      vehicles.map((vehicle, i) => ({ ...vehicle, row: i + 1 }))
+    );
+
+    await runStockImport(garage.id, rows, auditActor("system"), "feed");
+
+    const summary = summariseStockImport(rows);
+    const keepRefs = new Set(rows.map(row => row.stockRef).filter(Boolean).map(ref => ref.toLowerCase()));
+
+    run.vehicles = rows.length;
+    run.created = summary.created;
+    run.updated = summary.updated;
+    run.unchanged = summary.unchanged;
+    run.failed = summary.failed + summary.invalid;
+    run.sold = await dbMarkFeedCarsSold(garage.id, keepRefs);
+
+    run.errors = rows
+      .filter(row => row.errors.length)
+      .slice(0, FEED_RUN_MAX_ERRORS)
+      .map(row => ({
+        row: row.row,
+        stockRef: row.stockRef,
+        name: row.name,
+        errors: row.errors
+      }));
+
+    run.status = run.failed ? "partial" : "ok";
+
+  } catch (e) {
+    console.error(`Feed sync failed for garage ${garage.id}:`, e.message || e);
+
+    run.status = "failed";
+    run.message = e.message || "Feed sync failed";
+  }
+
+  run.finishedAt = new Date().toISOString();
+
+  try {
+    await dbRecordFeedRun(garage.id, run);
+  } catch (e) {
+    console.error("Could not record feed run:", e);
+  }
+
+  return run;
+}
+
+async function runFeedSync() {
+  const summary = { garages: 0, ok: 0, partial: 0, failed: 0 };
+
+  for (const garage of await dbListFeedGarages()) {
+    const run = await syncGarageFeed(garage);
+
+    summary.garages += 1;
+    summary[run.status] += 1;
+  }
+
+  return summary;
+}
+
+function startFeedSync() {
+  const run = () => {
+    // A slow feed can outlast the interval; never run two syncs at once
+    if (feedSyncRunning) return;
+    feedSyncRunning = true;
+
+    runFeedSync()
+      .then(summary => {
+        if (summary.garages) console.log("🚚 Feed sync:", summary);
+      })
+      .catch(e => console.error("Feed sync error:", e))
+      .finally(() => {
+        feedSyncRunning = false;
+      });
+  };
+
+  setTimeout(run, FEED_SYNC_FIRST_RUN_MS);
+  setInterval(run, FEED_SYNC_INTERVAL_MS);
+}
+
+// =============================
+// SCHEDULED PUBLISHING
+// =============================
+// Cars saved with "Publish on..." wait as status scheduled until their
+// publish_at, then go live as available. Checked every minute, so a car
+// appears within a minute of its time.
+const PUBLISH_CHECK_INTERVAL_MS = 60 * 1000;
+
+let publishRunning = false;
+
+async function dbPublishDueCars() {
+  const now = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from("cars")
+    .select("*")
+    .eq("status", "scheduled")
+    .lte("publish_at", now);
+
+  if (error) throw error;
+  if (!data || !data.length) return 0;
+
+  const update = {
+    status: "available",
+    publish_at: null,
+    status_changed_at: now,
+    updatedAt: now
+  };
+
+  // Only rows still scheduled, in case the garage changed one meanwhile
+  const { data: published, error: updateError } = await supabase
+    .from("cars")
+    .update(update)
+    .eq("status", "scheduled")
+    .in("id", data.map(row => row.id))
+    .select("*");
+
+  if (updateError) throw updateError;
+
+  const before = new Map(data.map(row => [String(row.id), row]));
+
+  for (const row of published || []) {
+    await dbRecordAudit(auditActor("system"), "car_publish", "car", row.id, {
+      garageId: row.garage_id,
+      before: before.get(String(row.id)),
+      after: row
+    });
+  }
+
+  return (published || []).length;
+}
+
+function startPublishJob() {
+  const run = () => {
+    if (publishRunning) return;
+    publishRunning = true;
+
+    dbPublishDueCars()
+      .then(count => {
+        if (count) console.log(`📣 Published ${count} scheduled car(s)`);
+      })
+      .catch(e => console.error("Scheduled publish error:", e))
+      .finally(() => {
+        publishRunning = false;
+      });
+  };
+
+  run();
+  setInterval(run, PUBLISH_CHECK_INTERVAL_MS);
+}
+
+// =============================
+// RESERVATIONS
+// =============================
+// Reserving a car records when the reservation ends, and optionally the
+// buyer's name and deposit (seen only by the garage and admins). The
+// garage is emailed a day before the end; once it passes, the car goes
+// back to available. A reservation with no end date runs for
+// RESERVATION_DEFAULT_DAYS.
+const RESERVATION_DEFAULT_DAYS = 7;
+const RESERVATION_MAX_DAYS = 60;
+const RESERVATION_WARN_MS = DAY_MS;
+const RESERVATION_CHECK_INTERVAL_MS = 15 * 60 * 1000;
+
+let reservationJobRunning = false;
+
+/*
+  Reservation details from a status change: { buyerName, deposit, until }.
+  Returns { reservation } or { error }.
+*/
+function cleanReservation(payload) {
+  const buyerName = String(payload.buyerName ?? "").trim().replace(/\s+/g, " ").slice(0, 120) || null;
+  const rawDeposit = String(payload.deposit ?? "").replace(/[£,\s]/g, "");
+  const deposit = rawDeposit ? Number(rawDeposit) : null;
+
+  if (deposit !== null && (!Number.isFinite(deposit) || deposit < 0)) {
+    return { error: "Deposit must be a positive amount" };
+  }
+
+  const until = payload.reservedUntil
+    ? new Date(payload.reservedUntil)
+    : new Date(Date.now() + RESERVATION_DEFAULT_DAYS * DAY_MS);
+
+  if (Number.isNaN(until.getTime())) return { error: "Invalid reservation end date" };
+  if (until.getTime() <= Date.now()) return { error: "The reservation must end in the future" };
+
+  if (until.getTime() > Date.now() + RESERVATION_MAX_DAYS * DAY_MS) {
+    return { error: `Reservations can last up to ${RESERVATION_MAX_DAYS} days` };
+  }
+
+  return {
+    reservation: {
+      buyerName,
+      deposit: deposit === null ? null : Math.round(deposit * 100) / 100,
+      until: until.toISOString()
+    }
+  };
+}
+
+function formatReservationEnd(iso) {
+  return new Date(iso).toLocaleString("en-GB", {
+    weekday: "long",
+    day: "numeric",
+    month: "long",
+    hour: "numeric",
+    minute: "2-digit",
+    timeZone: "Europe/London"
+  });
+}
+
+// Reserved cars whose reservation has ended go back to available
+async function dbExpireReservations() {
+  const now = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from("cars")
+    .select("*")
+    .eq("status", "reserved")
+    .lte("reserved_until", now);
+
+  if (error) throw error;
+  if (!data || !data.length) return 0;
+
+  const update = await carStatusFields("available", null);
+
+  // Only rows still reserved, in case the garage changed one meanwhile
+  const { data: released, error: updateError } = await supabase
+    .from("cars")
+    .update(update)
+    .eq("status", "reserved")
+    .in("id", data.map(row => row.id))
+    .select("*");
+
+  if (updateError) throw updateError;
+
+  const before = new Map(data.map(row => [String(row.id), row]));
+
+  for (const row of released || []) {
+    await dbRecordAudit(auditActor("system"), "reservation_expired", "car", row.id, {
+      garageId: row.garage_id,
+      before: before.get(String(row.id)),
+      after: row
+    });
+  }
+
+  return (released || []).length;
+}
+
+/*
+  Emails the garage about reservations ending within RESERVATION_WARN_MS.
+  reservation_warned_at is claimed before sending so a car is only warned
+  about once; reservations made with less than a day to run are skipped.
+*/
+async function dbWarnReservations() {
+  const now = Date.now();
+
+  const { data, error } = await supabase
+    .from("cars")
+    .select("id, name, garage_id, reserved_at, reserved_until, reservation_name, garages ( id, name, email )")
+    .eq("status", "reserved")
+    .is("reservation_warned_at", null)
+    .gt("reserved_until", new Date(now).toISOString())
+    .lte("reserved_until", new Date(now + RESERVATION_WARN_MS).toISOString());
+
+  if (error) throw error;
+
+  let warned = 0;
+
+  for (const row of data || []) {
+    const ranFor = new Date(row.reserved_until).getTime() - new Date(row.reserved_at || 0).getTime();
+    if (ranFor <= RESERVATION_WARN_MS) continue;
+
+    const { data: claimed, error: claimError } = await supabase
+      .from("cars")
+      .update({ reservation_warned_at: new Date().toISOString() })
+      .eq("id", row.id)
+      .is("reservation_warned_at", null)
+      .select("id")
+      .maybeSingle();
+
+    if (claimError) throw claimError;
+    if (!claimed || !row.garages?.email) continue;
+
+    const sent = await sendTemplateEmail("reservation_ending", row.garages.email, {
+      garageName: row.garages.name || "your garage",
+      carName: row.name || "A reserved car",
+      buyerName: row.reservation_name || null,
+      endsText: formatReservationEnd(row.reserved_until),
+      dashboardUrl: `${PUBLIC_SITE_URL}/garage-dashboard`
+    }, { garageId: row.garage_id });
+
+    if (sent) warned += 1;
+  }
+
+  return warned;
+}
+
+function startReservationJob() {
+  const run = () => {
+    if (reservationJobRunning) return;
+    reservationJobRunning = true;
+
+    Promise.all([dbWarnReservations(), dbExpireReservations()])
+      .then(([warned, expired]) => {
+        if (warned || expired) console.log("🔖 Reservations:", { warned, expired });
+      })
+      .catch(e => console.error("Reservation job error:", e))
+      .finally(() => {
+        reservationJobRunning = false;
+      });
+  };
+
+  run();
+  setInterval(run, RESERVATION_CHECK_INTERVAL_MS);
+}
+
+
+// =============================
+// PHOTO STORAGE
+// =============================
+// Uploads, releasing photos nothing uses any more and the orphan listing
+// are in photo-assets.js (photoAssets above).
+
+// Urls in before that are not in after
+function droppedPhotos(before, after) {
+  const kept = new Set((after || []).filter(Boolean));
+  return (before || []).filter(url => url && !kept.has(url));
+}
+
+// =============================
+// SERVER
+// =============================
+
+const server = http.createServer(async (req, res) => {
+  const base = `http://${req.headers.host || "localhost"}`;
+  const urlObj = new URL(req.url, base);
+  const pathname = urlObj.pathname;
+
+  if (req.method === "POST" && await rejectRateLimited(req, res, pathname)) {
+    return;
+  }
+
+  // =============================
+  // ROUTE: POST /upload (Cloudinary multiple)
+  // Field name: "photos" (up to 12)
+  // Returns: { success: true, urls: [...] }
+  // =============================
+  if (req.method === "POST" && pathname === "/upload") {
+    const auth = await getGarageFromAuth(req);
+
+    if (!auth) {
+      return sendJson(res, 401, {
+        success: false,
+        message: "Unauthorized"
+      });
+    }
+
+    if (rejectGarageRole(auth, res, "cars")) {
+      return;
+    }
+
+    if (rejectPausedGarage(auth, res)) {
+      return;
+    }
+
+    return upload.array("photos", 12)(req, res, async (err) => {
+      if (err) {
+        console.error("multer error:", err);
+
+        return sendJson(res, 400, {
+          success: false,
+          message: "Upload parse failed"
+        });
+      }
+
+      const files = Array.isArray(req.files)
+        ? req.files
+        : [];
+
+      if (!files.length) {
+        return sendJson(res, 400, {
+          success: false,
+          message:
+            "No files uploaded. Field name must be 'photos'."
+        });
+      }
+
+      try {
+        const urls = await Promise.all(
+          files.map(file => photoAssets.upload(file.path, auth.garageId))
+        );
+
+        files.forEach(file => {
+          fs.unlink(file.path, () => { });
+        });
+
+        return sendJson(res, 200, {
+          success: true,
+          urls
+        });
+
+      } catch (error) {
+        console.error(
+          "Cloudinary upload failed:",
+          error
+        );
+
+        files.forEach(file => {
+          fs.unlink(file.path, () => { });
+        });
+
+        return sendJson(res, 500, {
+          success: false,
+          message: "Cloudinary upload failed"
+        });
+      }
+    });
+  }
+
+  // =============================
+  // Admin: POST /admin-upload
+  // Field name: "photos" (up to 12)
+  // Returns: { success: true, urls: [...] }
+  // =============================
+  if (req.method === "POST" && pathname === "/admin-upload") {
+    const admin = await getAdminFromAuth(req);
+
+    if (!admin) {
+      return sendJson(res, 403, {
+        success: false,
+        message: "Forbidden"
+      });
+    }
+
+    return upload.array("photos", 12)(req, res, async (err) => {
+      if (err) {
+        console.error("admin multer error:", err);
+        return sendJson(res, 400, {
+          success: false,
+          message: "Upload parse failed"
+        });
+      }
+
+      const files = Array.isArray(req.files) ? req.files : [];
+
+      if (!files.length) {
+        return sendJson(res, 400, {
+          success: false,
+          message: "No files uploaded. Field name must be 'photos'."
+        });
+      }
+
+      try {
+        const urls = await Promise.all(
+          files.map((f) => photoAssets.upload(f.path, null))
+        );
+
+        files.forEach((f) => fs.unlink(f.path, () => { }));
+
+        return sendJson(res, 200, {
+          success: true,
+          urls
+        });
+
+      } catch (e) {
+        console.error("Admin Cloudinary upload failed:", e);
+
+        files.forEach((f) => fs.unlink(f.path, () => { }));
+
+        return sendJson(res, 500, {
+          success: false,
+          message: "Cloudinary upload failed"
+        });
+      }
+    });
+  }
+
+  // -----------------------------
+  // STATIC FILES
+  // -----------------------------
+  if (req.method === "GET" && pathname === "/favicon.ico") {
+    return serveFile(res, path.join(__dirname, "favicon.ico"));
+  }
+
+  if (req.method === "GET") {
+    if (pathname.startsWith("/images/")) {
+      const imagesRoot = path.resolve(__dirname, "images");
+
+      const imagePath = path.resolve(
+        imagesRoot,
+        "." + pathname.slice("/images".length)
+      );
+
+      const isInsideImages =
+        imagePath === imagesRoot ||
+        imagePath.startsWith(imagesRoot + path.sep);
+
+      if (!isInsideImages) {
+        return send(
+          res,
+          404,
+          { "Content-Type": "text/plain; charset=utf-8" },
+          "Not found"
+        );
+      }
+
+      return serveFile(res, imagePath);
+    }
+
+    const allowedStaticExtensions = new Set([
+      ".html",
+      ".css",
+      ".png",
+      ".jpg",
+      ".jpeg",
+      ".webp",
+      ".svg",
+      ".ico"
+    ]);
+
+    const extension = path.extname(pathname).toLowerCase();
+    const projectRoot = path.resolve(__dirname);
+    const possible = path.resolve(projectRoot, "." + pathname);
+
+    const isInsideProject =
+      possible === projectRoot ||
+      possible.startsWith(projectRoot + path.sep);
+
+    const isHiddenFile = path
+      .basename(possible)
+      .startsWith(".");
+
+    if (
+      pathname !== "/" &&
+      isInsideProject &&
+      !isHiddenFile &&
+      allowedStaticExtensions.has(extension) &&
+      fs.existsSync(possible) &&
+      fs.statSync(possible).isFile()
+    ) {
+      return serveFile(res, possible);
+    }
+  }
+
+  // -----------------------------
+  // API: GET /cars
+  // Query: q, make, model, bodyType, fuel, transmission, minPrice, maxPrice,
+  // minYear, maxYear, minMileage, maxMileage, garage, town,
+  // status, sort, page, pageSize
+  // Returns: { success, cars, total, page, pageSize, totalPages, facets }
+  // -----------------------------
+  if (req.method === "GET" && pathname === "/cars") {
+    const { filters, error: filterError } = parseCarSearch(urlObj.searchParams);
+
+    if (filterError) {
+      return sendJson(res, 400, {
+        success: false,
+        message: filterError
+      });
+    }
+
+    try {
+      const { cars, total, facets } = await dbSearchCars(filters);
+
+      return sendJson(res, 200, {
+        success: true,
+        cars,
+        total,
+        page: filters.page,
+        pageSize: filters.pageSize,
+        totalPages: Math.max(Math.ceil(total / filters.pageSize), 1),
+        facets
+      });
+    } catch (e) {
+      console.error("GET /cars error:", e);
+      return sendJson(res, 500, { success: false, message: "Database error" });
+    }
+  }
+
+  // API: GET /car-data?id=
+  // Returns: { car, garage, priceHistory } with priceHistory oldest first
+  if (req.method === "GET" && pathname === "/car-data") {
+    const id = String(urlObj.searchParams.get("id") || "").trim();
+    if (!id) return sendJson(res, 400, { success: false, message: "Missing id" });
+
+    try {
+      const car = await dbGetCarById(id);
+      if (!car || soldTooOld(car) || !isPublishedCar(car)) {
+        return sendJson(res, 404, { success: false, message: "Car not found" });
+      }
+
+      // If you have garageName already on car, you may not even need this:
+      const garage = car.garageId
+        ? await dbGetGarageById(car.garageId)
+        : null;
+
+      if (!isPublicGarage(garage)) {
+        return sendJson(res, 404, {
+          success: false,
+          message: "Car not found"
+        });
+      }
+
+      const {
+        account_status,
+        public_status,
+        ...publicGarage
+      } = garage;
+
+      const priceHistory = await dbListPriceHistory(car.id);
+
+      return sendJson(res, 200, {
+        car,
+        garage: publicGarage,
+        priceHistory
+      });
+    } catch (e) {
+      console.error("GET /car-data error:", e);
+      return sendJson(res, 500, { success: false, message: "Database error" });
+    }
+  }
+
+  // -----------------------------
+  // API: GET /car-makes
+  // The make/model reference list behind the Add/Edit vehicle forms.
+  // Returns: { success, makes: [{ make, models }], bodyTypes }
+  // -----------------------------
+  if (req.method === "GET" && pathname === "/car-makes") {
+    return sendJson(res, 200, {
+      success: true,
+      makes: CAR_MAKES,
+      bodyTypes: BODY_TYPES
+    });
+  }
+
+  // -----------------------------
+  // API: GET /saved-cars?ids=id1,id2
+  // Fresh data for a buyer's locally saved cars.
+  // Cars that are no longer public are flagged, not dropped:
+  // state is "available", "reserved", "sold" or "removed".
+  // -----------------------------
+  if (req.method === "GET" && pathname === "/saved-cars") {
+    const ids = [...new Set(
+      String(urlObj.searchParams.get("ids") || "")
+        .split(",")
+        .map(id => id.trim())
+        .filter(Boolean)
+    )];
+
+    if (ids.length > SAVED_CARS_MAX) {
+      return sendJson(res, 400, {
+        success: false,
+        message: `No more than ${SAVED_CARS_MAX} ids`
+      });
+    }
+
+    try {
+      const found = new Map(
+        (await dbGetCarsByIds(ids)).map(item => [String(item.car.id), item])
+      );
+
+      const saved = ids.map(id => {
+        const item = found.get(id);
+
+        if (!item || !isPublicGarage(item.garage) || !isPublishedCar(item.car)) {
+          return { id, state: "removed", viewable: false, car: null };
+        }
+
+        const state = carStatus(item.car);
+
+        // Same rule as /car-data: sold cars drop off after the garage's display window
+        const viewable = !soldTooOld(item.car);
+
+        return {
+          id,
+          state,
+          viewable,
+          car: viewable
+            ? item.car
+            : {
+              id: item.car.id,
+              name: item.car.name,
+              price: item.car.price,
+              year: item.car.year,
+              photo: item.car.photo,
+              photoVariants: item.car.photoVariants.filter(photo => photo.cover),
+              garageName: item.car.garageName,
+              soldAt: item.car.soldAt
+            }
+        };
+      });
+
+      return sendJson(res, 200, {
+        success: true,
+        saved
+      });
+
+    } catch (e) {
+      console.error("GET /saved-cars error:", e);
+
+      return sendJson(res, 500, {
+        success: false,
+        message: "Database error"
+      });
+    }
+  }
+
+  // -----------------------------
+  // (Optional/legacy) GET /garages-data from file
+  // -----------------------------
+  if (req.method === "GET" && pathname === "/garages-data") {
+    try {
+      const garages = await dbListGarages();
+      return sendJson(res, 200, garages);
+    } catch (e) {
+      console.error("GET /garages-data error:", e);
+      return sendJson(res, 500, {
+        success: false,
+        message: "Could not load garages."
+      });
+    }
+  }
+
+  // -----------------------------
+  // Analytics: POST /analytics-event
+  // Stage 1: car views and garage views
+  // -----------------------------
+  if (req.method === "POST" && pathname === "/analytics-event") {
+    let data;
+
+    try {
+      const raw = await readBody(req);
+      data = JSON.parse(raw || "{}");
+    } catch {
+      return sendJson(res, 400, {
+        success: false,
+        message: "Bad JSON"
+      });
+    }
+
+    const eventType = String(
+      data.eventType || data.event_type || ""
+    ).trim().toLowerCase();
+
+    const carId = String(
+      data.carId || data.car_id || ""
+    ).trim();
+
+    const garageId = String(
+      data.garageId || data.garage_id || ""
+    ).trim();
+
+    if (![
+      "car_view",
+      "garage_view",
+      "call_click",
+      "email_click",
+      "directions_click",
+      "website_click",
+      "share_click"
+    ].includes(eventType)) {
+      return sendJson(res, 400, {
+        success: false,
+        message: "Invalid analytics event"
+      });
+    }
+
+    try {
+      const analyticsRow = {
+        event_type: eventType,
+        garage_id: null,
+        car_id: null
+      };
+
+      const actionEvents = [
+        "call_click",
+        "email_click",
+        "directions_click",
+        "website_click",
+        "share_click"
+      ];
+
+      if (
+        eventType === "car_view" ||
+        (actionEvents.includes(eventType) && carId)
+      ) {
+        if (!carId) {
+          return sendJson(res, 400, {
+            success: false,
+            message: "Missing car id"
+          });
+        }
+
+        const { data: car, error: carError } = await supabase
+          .from("cars")
+          .select("id, garage_id")
+          .eq("id", carId)
+          .maybeSingle();
+
+        if (carError) throw carError;
+
+        if (!car) {
+          return sendJson(res, 404, {
+            success: false,
+            message: "Car not found"
+          });
+        }
+
+        analyticsRow.car_id = car.id;
+        analyticsRow.garage_id = car.garage_id || null;
+
+      } else if (
+        eventType === "garage_view" ||
+        (actionEvents.includes(eventType) && garageId)
+      ) {
+        if (!garageId) {
+          return sendJson(res, 400, {
+            success: false,
+            message: "Missing garage id"
+          });
+        }
+
+        const { data: garage, error: garageError } = await supabase
+          .from("garages")
+          .select("id")
+          .eq("id", garageId)
+          .maybeSingle();
+
+        if (garageError) throw garageError;
+
+        if (!garage) {
+          return sendJson(res, 404, {
+            success: false,
+            message: "Garage not found"
+          });
+        }
+
+        analyticsRow.garage_id = garage.id;
+
+      } else {
+        return sendJson(res, 400, {
+          success: false,
+          message: "Missing car or garage id"
+        });
+      }
+
+      const target = analyticsRow.car_id || analyticsRow.garage_id;
+
+      if (!(await isFirstAnalyticsEvent(req, eventType, target))) {
+        return sendJson(res, 200, {
+          success: true,
+          counted: false
+        });
+      }
+
+      const { error: insertError } = await supabase
+        .from("analytics_events")
+        .insert(analyticsRow);
+
+      if (insertError) throw insertError;
+
+      return sendJson(res, 200, {
+        success: true
+      });
+
+    } catch (e) {
+      console.error("POST /analytics-event error:", e);
+
+      return sendJson(res, 500, {
+        success: false,
+        message: "Could not record analytics event"
+      });
+    }
+  }
+
+  // -----------------------------
+  // API: POST /enquiries
+  // Body: { carId, name, email, phone, message }
+  // Sold cars are refused, reserved cars stay contactable.
+  // -----------------------------
+  if (req.method === "POST" && pathname === "/enquiries") {
+    let data;
+
+    try {
+      const raw = await readBody(req);
+      data = JSON.parse(raw || "{}");
+    } catch {
+      return sendJson(res, 400, {
+        success: false,
+        message: "Bad JSON"
+      });
+    }
+
+    const carId = String(data.carId || data.car_id || "").trim();
+
+    if (!carId) {
+      return sendJson(res, 400, {
+        success: false,
+        message: "Missing car id"
+      });
+    }
+
+    const { enquiry, error: enquiryError } = validateEnquiry(data);
+
+    if (enquiryError) {
+      return sendJson(res, 400, {
+        success: false,
+        message: enquiryError
+      });
+    }
+
+    try {
+      const car = await dbGetCarById(carId);
+
+      const garage = car && car.garageId
+        ? await dbGetGarageById(car.garageId)
+        : null;
+
+      if (!car || soldTooOld(car) || !isPublishedCar(car) || !isPublicGarage(garage)) {
+        return sendJson(res, 404, {
+          success: false,
+          message: "Car not found"
+        });
+      }
+
+      if (carStatus(car) === "sold") {
+        return sendJson(res, 400, {
+          success: false,
+          message: "This vehicle has been sold."
+        });
+      }
+
+      await dbInsertEnquiry(car, enquiry);
+
+      return sendJson(res, 200, {
+        success: true
+      });
+
+    } catch (e) {
+      console.error("POST /enquiries error:", e);
+
+      return sendJson(res, 500, {
+        success: false,
+        message: "Could not send enquiry."
+      });
+    }
+  }
+
+  // -----------------------------
+  // Auth: GET /my-enquiries?status=
+  // -----------------------------
+  if (req.method === "GET" && pathname === "/my-enquiries") {
+    const auth = await getGarageFromAuth(req);
+
+    if (!auth) {
+      return sendJson(res, 401, {
+        success: false,
+        message: "Unauthorized"
+      });
+    }
+
+    const status = String(
+      urlObj.searchParams.get("status") || ""
+    ).trim().toLowerCase();
+
+    if (status && !ENQUIRY_STATUSES.includes(status)) {
+      return sendJson(res, 400, {
+        success: false,
+        message: "Invalid status"
+      });
+    }
+
+    try {
+      const enquiries = await dbListEnquiries(auth.garageId, status);
+
+      return sendJson(res, 200, {
+        success: true,
+        enquiries
+      });
+
+    } catch (e) {
+      console.error("GET /my-enquiries error:", e);
+
+      return sendJson(res, 500, {
+        success: false,
+        message: "Database error"
+      });
+    }
+  }
+
+  // -----------------------------
+  // Auth: PUT /my-enquiries
+  // Body: { id, status: "read" | "replied" | "closed" }
+  // -----------------------------
+  if (req.method === "PUT" && pathname === "/my-enquiries") {
+    const auth = await getGarageFromAuth(req);
+
+    if (!auth) {
+      return sendJson(res, 401, {
+        success: false,
+        message: "Unauthorized"
+      });
+    }
+
+    if (rejectPausedGarage(auth, res)) {
+      return;
+    }
+
+    let data;
+
+    try {
+      const raw = await readBody(req);
+      data = JSON.parse(raw || "{}");
+    } catch {
+      return sendJson(res, 400, {
+        success: false,
+        message: "Bad JSON"
+      });
+    }
+
+    const id = String(data.id || "").trim();
+    const status = String(data.status || "").trim().toLowerCase();
+
+    if (!id) {
+      return sendJson(res, 400, {
+        success: false,
+        message: "Missing enquiry id"
+      });
+    }
+
+    if (!["read", "replied", "closed"].includes(status)) {
+      return sendJson(res, 400, {
+        success: false,
+        message: "Invalid status"
+      });
+    }
+
+    try {
+      const updated = await dbUpdateEnquiryStatus(id, auth.garageId, status);
+
+      if (!updated) {
+        return sendJson(res, 404, {
+          success: false,
+          message: "Enquiry not found"
+        });
+      }
+
+      return sendJson(res, 200, {
+        success: true,
+        status
+      });
+
+    } catch (e) {
+      console.error("PUT /my-enquiries error:", e);
+
+      return sendJson(res, 500, {
+        success: false,
+        message: "Database update failed"
+      });
+    }
+  }
+
+  // -----------------------------
+  // Auth: GET /my-billing
+  // Returns: { success, billing }
+  // -----------------------------
+  if (req.method === "GET" && pathname === "/my-billing") {
+    const auth = await getGarageFromAuth(req);
+
+    if (!auth) {
+      return sendJson(res, 401, {
+        success: false,
+        message: "Unauthorized"
+      });
+    }
+
+    if (rejectGarageRole(auth, res, "billing")) {
+      return;
+    }
+
+    try {
+      const garage = await dbGetGarageBilling(auth.garageId);
+
+      if (!garage) {
+        return sendJson(res, 404, {
+          success: false,
+          message: "Garage not found"
+        });
+      }
+
+      return sendJson(res, 200, {
+        success: true,
+        billing: mapDbBilling(garage),
+        billingEnabled: Boolean(stripe && STRIPE_PRICE_ID)
+      });
+
+    } catch (e) {
+      console.error("GET /my-billing error:", e);
+
+      return sendJson(res, 500, {
+        success: false,
+        message: "Database error"
+      });
+    }
+  }
+
+  // -----------------------------
+  // Auth: POST /my-billing-checkout
+  // Starts a Stripe Checkout subscription for the £50/month plan.
+  // Any free trial left on the garage carries over (3 months if unset).
+  // Paused garages can still subscribe.
+  // Returns: { success, url }
+  // -----------------------------
+  if (req.method === "POST" && pathname === "/my-billing-checkout") {
+    const auth = await getGarageFromAuth(req);
+
+    if (!auth) {
+      return sendJson(res, 401, {
+        success: false,
+        message: "Unauthorized"
+      });
+    }
+
+    if (rejectGarageRole(auth, res, "billing")) {
+      return;
+    }
+
+    if (!stripe || !STRIPE_PRICE_ID) {
+      return sendJson(res, 503, {
+        success: false,
+        message: "Billing is not set up yet."
+      });
+    }
+
+    try {
+      const garage = await dbGetGarageBilling(auth.garageId);
+
+      if (!garage) {
+        return sendJson(res, 404, {
+          success: false,
+          message: "Garage not found"
+        });
+      }
+
+      if (garage.billing_status === "free_permanent") {
+        return sendJson(res, 400, {
+          success: false,
+          message: "This garage does not need a subscription."
+        });
+      }
+
+      if (hasLiveSubscription(garage)) {
+        return sendJson(res, 409, {
+          success: false,
+          message: "This garage already has a subscription. Use Manage billing instead."
+        });
+      }
+
+      const trialEnd = stripeTrialEnd(garage);
+      const metadata = { garage_id: String(garage.id) };
+
+      const session = await stripe.checkout.sessions.create({
+        mode: "subscription",
+        line_items: [{ price: STRIPE_PRICE_ID, quantity: 1 }],
+        client_reference_id: String(garage.id),
+        customer: garage.stripe_customer_id || undefined,
+        customer_email: garage.stripe_customer_id
+          ? undefined
+          : garage.email || undefined,
+        metadata,
+        subscription_data: {
+          metadata,
+          trial_end: trialEnd || undefined
+        },
+        success_url: `${siteUrl(req)}/garage-dashboard?billing=success`,
+        cancel_url: `${siteUrl(req)}/garage-dashboard?billing=cancelled`
+      });
+
+      return sendJson(res, 200, {
+        success: true,
+        url: session.url
+      });
+
+    } catch (e) {
+      console.error("POST /my-billing-checkout error:", e);
+
+      return sendJson(res, 502, {
+        success: false,
+        message: "Could not start checkout."
+      });
+    }
+  }
+
+  // -----------------------------
+  // Auth: POST /my-billing-portal
+  // Returns: { success, url } for the Stripe billing portal
+  // -----------------------------
+  if (req.method === "POST" && pathname === "/my-billing-portal") {
+    const auth = await getGarageFromAuth(req);
+
+    if (!auth) {
+      return sendJson(res, 401, {
+        success: false,
+        message: "Unauthorized"
+      });
+    }
+
+    if (rejectGarageRole(auth, res, "billing")) {
+      return;
+    }
+
+    if (!stripe) {
+      return sendJson(res, 503, {
+        success: false,
+        message: "Billing is not set up yet."
+      });
+    }
+
+    try {
+      const garage = await dbGetGarageBilling(auth.garageId);
+
+      if (!garage || !garage.stripe_customer_id) {
+        return sendJson(res, 404, {
+          success: false,
+          message: "No billing account yet. Start a subscription first."
+        });
+      }
+
+      const session = await stripe.billingPortal.sessions.create({
+        customer: garage.stripe_customer_id,
+        return_url: `${siteUrl(req)}/garage-dashboard?billing=portal`
+      });
+
+      return sendJson(res, 200, {
+        success: true,
+        url: session.url
+      });
+
+    } catch (e) {
+      console.error("POST /my-billing-portal error:", e);
+
+      return sendJson(res, 502, {
+        success: false,
+        message: "Could not open billing portal."
+      });
+    }
+  }
+
+  // -----------------------------
+  // Stripe: POST /stripe-webhook
+  // Signed with STRIPE_WEBHOOK_SECRET. The events in fixtures/stripe are
+  // replayed against it by test/stripe-webhook.test.js.
+  // Keeps garages.billing_status and garage_users.subscription_status in
+  // sync, and records paid and failed invoices in billing_events.
+  // -----------------------------
+  if (req.method === "POST" && pathname === "/stripe-webhook") {
+    if (!STRIPE_WEBHOOK_SECRET) {
+      return sendJson(res, 503, {
+        success: false,
+        message: "Billing is not set up yet."
+      });
+    }
+
+    let event;
+
+    try {
+      const raw = await readRawBody(req);
+
+      event = Stripe.webhooks.constructEvent(
+        raw,
+        String(req.headers["stripe-signature"] || ""),
+        STRIPE_WEBHOOK_SECRET
+      );
+    } catch {
+      return sendJson(res, 400, {
+        success: false,
+        message: "Invalid signature"
+      });
+    }
+
+    try {
+      const object = event.data && event.data.object ? event.data.object : {};
+      let handled = false;
+
+      if (
+        event.type === "checkout.session.completed" &&
+        object.mode === "subscription"
+      ) {
+        const garageId =
+          object.client_reference_id ||
+          (object.metadata && object.metadata.garage_id);
+
+        const garage = await dbFindGarageForStripe(garageId, object.customer);
+
+        if (garage && object.customer) {
+          await dbSetStripeCustomer(garage.id, object.customer, object.subscription);
+          handled = true;
+        }
+      }
+
+      if (
+        event.type === "customer.subscription.created" ||
+        event.type === "customer.subscription.updated" ||
+        event.type === "customer.subscription.deleted"
+      ) {
+        const garage = await dbFindGarageForStripe(
+          object.metadata && object.metadata.garage_id,
+          object.customer
+        );
+
+        if (garage) {
+          handled = await dbSyncGarageSubscription(garage, object, event.created);
+        }
+      }
+
+      if (
+        event.type === "invoice.paid" ||
+        event.type === "invoice.payment_failed"
       ) {
+        const garage = await dbFindGarageForStripe(null, object.customer);
+
+        if (garage) {
+          handled = await dbRecordStripeInvoice(garage, event);
+        }
+      }
+
+      return sendJson(res, 200, {
+        received: true,
+        handled
+      });
+
+    } catch (e) {
+      console.error("POST /stripe-webhook error:", e);
+
+      // A 500 makes Stripe retry the event later
+      return sendJson(res, 500, {
+        success: false,
+        message: "Database update failed"
+      });
+    }
+  }
+
+  // -----------------------------
+  // Auth: GET /my-garage
+  // -----------------------------
+  if (req.method === "GET" && pathname === "/my-garage") {
+    const auth = await getGarageFromAuth(req);
+
+    if (!auth) {
+      return sendJson(res, 401, {
+        success: false,
+        message: "Unauthorized"
+      });
+    }
+
+    try {
+      const garage = await dbGetGarageById(auth.garageId);
+
+      if (!garage) {
+        return sendJson(res, 404, {
+          success: false,
+          message: "Garage not found"
+        });
+      }
+
+      return sendJson(res, 200, {
+        success: true,
+        garage,
+        role: auth.role,
+        permissions: garagePermissions(auth),
+        impersonation: auth.impersonation
+          ? {
+            adminEmail: auth.impersonation.adminEmail,
+            expiresAt: auth.impersonation.expiresAt
+          }
+          : null
+      });
+
+    } catch (e) {
+      console.error("GET /my-garage error:", e);
+
+      return sendJson(res, 500, {
+        success: false,
+        message: "Database error"
+      });
+    }
+  }
+
+  // -----------------------------
+  // Auth (admin session): DELETE /my-impersonation
+  // Ends the admin's session in the garage dashboard before it expires
+  // -----------------------------
+  if (req.method === "DELETE" && pathname === "/my-impersonation") {
+    const auth = await getGarageFromAuth(req);
+
+    if (!auth) {
+      return sendJson(res, 401, {
+        success: false,
+        message: "Unauthorized"
+      });
+    }
+
+    if (!auth.impersonation) {
+      return sendJson(res, 400, {
+        success: false,
+        message: "This is not an admin session."
+      });
+    }
+
+    try {
+      const ended = await dbEndImpersonation(auth.impersonation.id);
+
+      if (ended) {
+        const admin = {
+          userId: auth.impersonation.adminUserId,
+          email: auth.impersonation.adminEmail
+        };
+
+        await dbRecordAdminAction(admin, "impersonation_end", "garage", auth.garageId, {
+          session_id: ended.id
+        });
+
+        await dbRecordAudit(auditActor("admin", admin), "impersonation_end", "garage", auth.garageId, {
+          garageId: auth.garageId
+        });
+      }
+
+      return sendJson(res, 200, {
+        success: true
+      });
+    } catch (e) {
+      console.error("DELETE /my-impersonation error:", e);
+
+      return sendJson(res, 500, {
+        success: false,
+        message: "Could not end the session."
+      });
+    }
+  }
+
+  // -----------------------------
+  // Admin: GET /admin-me
+  // Used by the admin pages to check the signed-in user is an admin.
+  // -----------------------------
+  if (req.method === "GET" && pathname === "/admin-me") {
+    const admin = await getAdminFromAuth(req);
+
+    if (!admin) {
+      return sendJson(res, 403, {
+        success: false,
+        message: "Forbidden"
+      });
+    }
+
+    return sendJson(res, 200, {
+      success: true,
+      admin
+    });
+  }
+
+  // -----------------------------
+  // Admin: GET /admin-email-log
+  // Query: template, status (sent|failed), garageId, limit
+  // Returns: { success, emails, templates }
+  // -----------------------------
+  if (req.method === "GET" && pathname === "/admin-email-log") {
+    const admin = await getAdminFromAuth(req);
+
+    if (!admin) {
+      return sendJson(res, 403, {
+        success: false,
+        message: "Forbidden"
+      });
+    }
+
+    const template = String(urlObj.searchParams.get("template") || "").trim();
+    const status = String(urlObj.searchParams.get("status") || "").trim();
+    const garageId = String(urlObj.searchParams.get("garageId") || "").trim();
+
+    if (template && !EMAIL_TEMPLATES.includes(template)) {
+      return sendJson(res, 400, {
+        success: false,
+        message: "Invalid template"
+      });
+    }
+
+    if (status && !["sent", "failed"].includes(status)) {
+      return sendJson(res, 400, {
+        success: false,
+        message: "Invalid status"
+      });
+    }
+
+    const limit = Math.min(
+      Math.max(Number(urlObj.searchParams.get("limit")) || EMAIL_LOG_LIMIT, 1),
+      EMAIL_LOG_MAX_LIMIT
+    );
+
+    try {
+      const emails = await dbListEmailLog({ template, status, garageId, limit });
+
+      return sendJson(res, 200, {
+        success: true,
+        emails,
+        templates: EMAIL_TEMPLATES
+      });
+
+    } catch (e) {
+      console.error("GET /admin-email-log error:", e);
+
+      return sendJson(res, 500, {
+        success: false,
+        message: "Database error"
+      });
+    }
+  }
+
+  // -----------------------------
+  // Admin: GET /admin-photo-orphans
+  // Cloudinary photos no car or garage uses, older than a day
+  // Returns: { success, orphans: [{ publicId, url, createdAt, bytes }] }
+  // -----------------------------
+  if (req.method === "GET" && pathname === "/admin-photo-orphans") {
+    const admin = await getAdminFromAuth(req);
+
+    if (!admin) {
+      return sendJson(res, 403, {
+        success: false,
+        message: "Forbidden"
+      });
+    }
+
+    try {
+      const orphans = await photoAssets.findOrphans();
+
+      return sendJson(res, 200, {
+        success: true,
+        orphans
+      });
+
+    } catch (e) {
+      console.error("GET /admin-photo-orphans error:", e);
+
+      return sendJson(res, 500, {
+        success: false,
+        message: "Could not check photo storage"
+      });
+    }
+  }
+
+  // -----------------------------
+  // Admin: POST /admin-photo-orphans
+  // Deletes every orphaned photo from Cloudinary
+  // Returns: { success, removed, failed, bytes }
+  // -----------------------------
+  if (req.method === "POST" && pathname === "/admin-photo-orphans") {
+    const admin = await getAdminFromAuth(req);
+
+    if (!admin) {
+      return sendJson(res, 403, {
+        success: false,
+        message: "Forbidden"
+      });
+    }
+
+    try {
+      const result = await photoAssets.removeOrphans();
+
+      await dbRecordAdminAction(admin, "photo_orphans_remove", "photo_storage", null, result);
+
+      return sendJson(res, 200, {
+        success: true,
+        ...result
+      });
+
+    } catch (e) {
+      console.error("POST /admin-photo-orphans error:", e);
+
+      return sendJson(res, 500, {
+        success: false,
+        message: "Could not remove orphaned photos"
+      });
+    }
+  }
+
+  // -----------------------------
+  // Admin: GET /admin-analytics
+  // Example:
+  // /admin-analytics?garageId=GARAGE_ID&range=30d
+  // Ranges: 7d, 30d, all
+  // -----------------------------
+  if (req.method === "GET" && pathname === "/admin-analytics") {
+    const admin = await getAdminFromAuth(req);
+
+    if (!admin) {
+      return sendJson(res, 403, {
+        success: false,
+        message: "Forbidden"
+      });
+    }
+
+    const garageId = String(
+      urlObj.searchParams.get("garageId") || ""
+    ).trim();
+
+    const range = String(
+      urlObj.searchParams.get("range") || "30d"
+    ).trim().toLowerCase();
+
+    if (!garageId) {
+      return sendJson(res, 400, {
+        success: false,
+        message: "Missing garageId"
+      });
+    }
+
+    if (!ANALYTICS_RANGES.includes(range)) {
+      return sendJson(res, 400, {
+        success: false,
+        message: "Invalid range"
+      });
+    }
+
+    try {
+      const analytics = await dbGarageAnalytics(garageId, range);
+
+      if (!analytics) {
+        return sendJson(res, 404, {
+          success: false,
+          message: "Garage not found"
+        });
+      }
+
+      return sendJson(res, 200, {
+        success: true,
+        ...analytics
+      });
+
+    } catch (error) {
+      console.error("GET /admin-analytics error:", error);
+
+      return sendJson(res, 500, {
+        success: false,
+        message: "Could not load analytics"
+      });
+    }
+  }
+
+  // -----------------------------
+  // Admin: GET /admin-analytics-export?garageId=&range=30d&format=csv|json
+  // One row per vehicle. The CSV ends with a Total row; the JSON
+  // has the garage totals alongside the rows.
+  // -----------------------------
+  if (req.method === "GET" && pathname === "/admin-analytics-export") {
+    const admin = await getAdminFromAuth(req);
+
+    if (!admin) {
+      return sendJson(res, 403, {
+        success: false,
+        message: "Forbidden"
+      });
+    }
+
+    const garageId = String(urlObj.searchParams.get("garageId") || "").trim();
+    const range = String(urlObj.searchParams.get("range") || "30d").trim().toLowerCase();
+    const format = exportFormat(urlObj);
+
+    if (!garageId) {
+      return sendJson(res, 400, {
+        success: false,
+        message: "Missing garageId"
+      });
+    }
+
+    if (!ANALYTICS_RANGES.includes(range)) {
+      return sendJson(res, 400, {
+        success: false,
+        message: "Invalid range"
+      });
+    }
+
+    if (!format) {
+      return sendJson(res, 400, {
+        success: false,
+        message: "format must be csv or json"
+      });
+    }
+
+    try {
+      const analytics = await dbGarageAnalytics(garageId, range);
+
+      if (!analytics) {
+        return sendJson(res, 404, {
+          success: false,
+          message: "Garage not found"
+        });
+      }
+
+      const { totals } = analytics;
+
+      const rows = format === "csv"
+        ? [...analytics.vehicles, {
+          carId: null,
+          name: "Total",
+          status: null,
+          views: totals.carViews,
+          contactActions: totals.contactActions,
+          callClicks: totals.callClicks,
+          emailClicks: totals.emailClicks,
+          directionsClicks: totals.directionsClicks,
+          websiteClicks: totals.websiteClicks,
+          shareClicks: totals.shareClicks
+        }]
+        : analytics.vehicles;
+
+      return sendExport(
+        res,
+        format,
+        `analytics-${exportSlug(analytics.garage.name)}-${range}`,
+        rows,
+        ANALYTICS_EXPORT_COLUMNS,
+        { range, garage: analytics.garage, totals }
+      );
+
+    } catch (e) {
+      console.error("GET /admin-analytics-export error:", e);
+
+      return sendJson(res, 500, {
+        success: false,
+        message: "Export failed"
+      });
+    }
+  }
+
+  // -----------------------------
+  // Auth: PUT /my-garage
+  // -----------------------------
+  if (req.method === "PUT" && pathname === "/my-garage") {
+    const auth = await getGarageFromAuth(req);
+
+    if (!auth) {
+      return sendJson(res, 401, {
+        success: false,
+        message: "Unauthorized"
+      });
+    }
+
+    if (rejectGarageRole(auth, res, "profile")) {
+      return;
+    }
+
+    if (rejectPausedGarage(auth, res)) {
+      return;
+    }
+
+    let data;
+
+    try {
+      const raw = await readBody(req);
+      data = JSON.parse(raw || "{}");
+    } catch {
+      return sendJson(res, 400, {
+        success: false,
+        message: "Bad JSON"
+      });
+    }
+
+    if (data.sold_display_days !== undefined && data.sold_display_days !== "") {
+      const soldWindow = cleanSoldDisplayDays(data.sold_display_days);
+
+      if (soldWindow.error) {
+        return sendJson(res, 400, {
+          success: false,
+          message: soldWindow.error
+        });
+      }
+
+      data.sold_display_days = soldWindow.days;
+    } else {
+      delete data.sold_display_days;
+    }
+
+    try {
+      const before = await dbGetGarageRow(auth.garageId);
+      const after = await dbUpdateGarage(auth.garageId, data);
+
+      if (before && after && before.sold_display_days !== after.sold_display_days) {
+        await dbApplySoldDisplayDays(auth.garageId, after.sold_display_days);
+      }
+
+      if (before && after) {
+        await photoAssets.release(droppedPhotos(
+          [before.logo_url, before.banner_url],
+          [after.logo_url, after.banner_url]
+        ));
+      }
+
+      await dbRecordAudit(auditActor("garage", auth), "garage_update", "garage", auth.garageId, {
+        garageId: auth.garageId,
+        before,
+        after
+      });
+
+      return sendJson(res, 200, {
+        success: true
+      });
+
+    } catch (e) {
+      console.error("PUT /my-garage error:", e);
+
+      return sendJson(res, 500, {
+        success: false,
+        message: "Garage profile update failed"
+      });
+    }
+  }
+
+  // -----------------------------
+  // Auth (owner): GET /my-team
+  // Returns: { success, members, invites, roles }
+  // -----------------------------
+  if (req.method === "GET" && pathname === "/my-team") {
+    const auth = await getGarageFromAuth(req);
+
+    if (!auth) {
+      return sendJson(res, 401, {
+        success: false,
+        message: "Unauthorized"
+      });
+    }
+
+    if (rejectGarageRole(auth, res, "team")) {
+      return;
+    }
+
+    try {
+      const team = await dbListTeam(auth.garageId);
+
+      return sendJson(res, 200, {
+        success: true,
+        ...team,
+        roles: GARAGE_ROLES,
+        userId: auth.userId
+      });
+
+    } catch (e) {
+      console.error("GET /my-team error:", e);
+
+      return sendJson(res, 500, {
+        success: false,
+        message: "Could not load the team."
+      });
+    }
+  }
+
+  // -----------------------------
+  // Auth (owner): POST /my-team-invites
+  // Body: { email, role }
+  // Emails a link to join the garage; inviting the same email again sends a new link
+  // -----------------------------
+  if (req.method === "POST" && pathname === "/my-team-invites") {
+    const auth = await getGarageFromAuth(req);
+
+    if (!auth) {
+      return sendJson(res, 401, {
+        success: false,
+        message: "Unauthorized"
+      });
+    }
+
+    if (rejectGarageRole(auth, res, "team")) {
+      return;
+    }
+
+    if (rejectPausedGarage(auth, res)) {
+      return;
+    }
+
+    let data;
+
+    try {
+      const raw = await readBody(req);
+      data = JSON.parse(raw || "{}");
+    } catch {
+      return sendJson(res, 400, {
+        success: false,
+        message: "Bad JSON"
+      });
+    }
+
+    const email = String(data.email || "").trim().toLowerCase();
+    const role = String(data.role || "").trim().toLowerCase();
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) || email.length > 200) {
+      return sendJson(res, 400, {
+        success: false,
+        message: "Enter a valid email address."
+      });
+    }
+
+    if (!GARAGE_ROLES.includes(role)) {
+      return sendJson(res, 400, {
+        success: false,
+        message: `role must be one of: ${GARAGE_ROLES.join(", ")}`
+      });
+    }
+
+    try {
+      const { members } = await dbListTeam(auth.garageId);
+
+      if (members.some(member => String(member.email || "").toLowerCase() === email)) {
+        return sendJson(res, 409, {
+          success: false,
+          message: "That email is already on your team."
+        });
+      }
+
+      const { invite, token } = await dbCreateInvite(auth, email, role);
+      const garage = await dbGetGarageById(auth.garageId);
+
+      const sent = await sendTemplateEmail("garage_invite", email, {
+        garageName: garage ? garage.name : "your garage",
+        invitedBy: auth.email,
+        role,
+        days: GARAGE_INVITE_DAYS,
+        acceptUrl: `${siteUrl(req)}/accept-invite?token=${encodeURIComponent(token)}`
+      }, { garageId: auth.garageId });
+
+      await dbRecordAudit(auditActor("garage", auth), "team_invite", "garage", auth.garageId, {
+        garageId: auth.garageId,
+        after: { invite_email: email, invite_role: role }
+      });
+
+      return sendJson(res, 200, {
+        success: true,
+        invite: mapDbInvite(invite),
+        emailed: sent
+      });
+
+    } catch (e) {
+      console.error("POST /my-team-invites error:", e);
+
+      return sendJson(res, 500, {
+        success: false,
+        message: "Could not send the invite."
+      });
+    }
+  }
+
+  // -----------------------------
+  // Auth (owner): DELETE /my-team-invites?id=
+  // Cancels an invite that has not been accepted
+  // -----------------------------
+  if (req.method === "DELETE" && pathname === "/my-team-invites") {
+    const auth = await getGarageFromAuth(req);
+
+    if (!auth) {
+      return sendJson(res, 401, {
+        success: false,
+        message: "Unauthorized"
+      });
+    }
+
+    if (rejectGarageRole(auth, res, "team")) {
+      return;
+    }
+
+    if (rejectPausedGarage(auth, res)) {
+      return;
+    }
+
+    const id = String(urlObj.searchParams.get("id") || "").trim();
+
+    if (!id) {
+      return sendJson(res, 400, {
+        success: false,
+        message: "Missing invite id"
+      });
+    }
+
+    try {
+      const { data: invite, error } = await supabase
+        .from("garage_invites")
+        .update({ status: "revoked" })
+        .eq("id", id)
+        .eq("garage_id", auth.garageId)
+        .eq("status", "pending")
+        .select("email, role")
+        .maybeSingle();
+
+      if (error) throw error;
+
+      if (!invite) {
+        return sendJson(res, 404, {
+          success: false,
+          message: "Invite not found"
+        });
+      }
+
+      await dbRecordAudit(auditActor("garage", auth), "team_invite_cancel", "garage", auth.garageId, {
+        garageId: auth.garageId,
+        before: { invite_email: invite.email, invite_role: invite.role }
+      });
+
+      return sendJson(res, 200, {
+        success: true
+      });
+
+    } catch (e) {
+      console.error("DELETE /my-team-invites error:", e);
+
+      return sendJson(res, 500, {
+        success: false,
+        message: "Could not cancel the invite."
+      });
+    }
+  }
+
+  // -----------------------------
+  // Auth (owner): PUT /my-team
+  // Body: { userId, role }
+  // DELETE /my-team?userId= revokes the login's access to the garage.
+  // Owners cannot change or revoke their own login, so a garage always keeps an owner.
+  // -----------------------------
+  if ((req.method === "PUT" || req.method === "DELETE") && pathname === "/my-team") {
+    const auth = await getGarageFromAuth(req);
+
+    if (!auth) {
+      return sendJson(res, 401, {
+        success: false,
+        message: "Unauthorized"
+      });
+    }
+
+    if (rejectGarageRole(auth, res, "team")) {
+      return;
+    }
+
+    if (rejectPausedGarage(auth, res)) {
+      return;
+    }
+
+    let data = {};
+
+    if (req.method === "PUT") {
+      try {
+        const raw = await readBody(req);
+        data = JSON.parse(raw || "{}");
+      } catch {
+        return sendJson(res, 400, {
+          success: false,
+          message: "Bad JSON"
+        });
+      }
+    }
+
+    const userId = String(
+      req.method === "PUT" ? data.userId || "" : urlObj.searchParams.get("userId") || ""
+    ).trim();
+    const role = String(data.role || "").trim().toLowerCase();
+
+    if (!userId) {
+      return sendJson(res, 400, {
+        success: false,
+        message: "Missing user id"
+      });
+    }
+
+    if (userId === auth.userId) {
+      return sendJson(res, 400, {
+        success: false,
+        message: "You cannot change or remove your own login. Ask another owner to do it."
+      });
+    }
+
+    if (req.method === "PUT" && !GARAGE_ROLES.includes(role)) {
+      return sendJson(res, 400, {
+        success: false,
+        message: `role must be one of: ${GARAGE_ROLES.join(", ")}`
+      });
+    }
+
+    try {
+      const before = await dbGetTeamMember(auth.garageId, userId);
+
+      if (!before || before.status !== "active") {
+        return sendJson(res, 404, {
+          success: false,
+          message: "Team member not found"
+        });
+      }
+
+      const update = req.method === "PUT"
+        ? { role }
+        : { status: "revoked", revoked_at: new Date().toISOString() };
+
+      const { data: after, error } = await supabase
+        .from("garage_users")
+        .update(update)
+        .eq("garage_id", auth.garageId)
+        .eq("user_id", userId)
+        .select("*")
+        .single();
+
+      if (error) throw error;
+
+      await dbRecordAudit(
+        auditActor("garage", auth),
+        req.method === "PUT" ? "team_role" : "team_revoke",
+        "garage",
+        auth.garageId,
+        {
+          garageId: auth.garageId,
+          before: { member_email: before.email, member_role: before.role, member_status: before.status },
+          after: { member_email: after.email, member_role: after.role, member_status: after.status }
+        }
+      );
+
+      return sendJson(res, 200, {
+        success: true,
+        member: mapDbTeamMember(after)
+      });
+
+    } catch (e) {
+      console.error(`${req.method} /my-team error:`, e);
+
+      return sendJson(res, 500, {
+        success: false,
+        message: "Could not update the team."
+      });
+    }
+  }
+
+  // -----------------------------
+  // API: GET /team-invite?token=
+  // What the accept page shows: { success, email, role, garageName, expiresAt }
+  // -----------------------------
+  if (req.method === "GET" && pathname === "/team-invite") {
+    try {
+      const invite = await dbFindInvite(String(urlObj.searchParams.get("token") || "").trim());
+
+      if (!invite) {
+        return sendJson(res, 404, {
+          success: false,
+          message: "This invite link has expired or already been used. Ask the garage to send a new one."
+        });
+      }
+
+      const garage = await dbGetGarageById(invite.garage_id);
+
+      return sendJson(res, 200, {
+        success: true,
+        email: invite.email,
+        role: invite.role,
+        garageName: garage ? garage.name : null,
+        expiresAt: invite.expires_at
+      });
+
+    } catch (e) {
+      console.error("GET /team-invite error:", e);
+
+      return sendJson(res, 500, {
+        success: false,
+        message: "Could not load the invite."
+      });
+    }
+  }
+
+  // -----------------------------
+  // API: POST /team-invite-accept
+  // Body: { token, password }
+  // Creates the login for the invited email with password, or, if the
+  // email already has a login, checks password against it.
+  // -----------------------------
+  if (req.method === "POST" && pathname === "/team-invite-accept") {
+    let data;
+
+    try {
+      const raw = await readBody(req);
+      data = JSON.parse(raw || "{}");
+    } catch {
+      return sendJson(res, 400, {
+        success: false,
+        message: "Bad JSON"
+      });
+    }
+
+    const token = String(data.token || "").trim();
+    const password = String(data.password || "");
+
+    if (password.length < 8) {
+      return sendJson(res, 400, {
+        success: false,
+        message: "Password must be at least 8 characters."
+      });
+    }
+
+    try {
+      const invite = await dbFindInvite(token);
+
+      if (!invite) {
         return sendJson(res, 404, {
           success: false,
-          message: "Car not found"
+          message: "This invite link has expired or already been used. Ask the garage to send a new one."
+        });
+      }
+
+      // The link was emailed to this address, so the new login's email counts as confirmed
+      const { data: authData, error: authError } = await supabase.auth.admin.createUser({
+        email: invite.email,
+        password,
+        email_confirm: true
+      });
+
+      if (authError && !isExistingUserError(authError)) {
+        console.error("Create auth user error:", authError);
+
+        return sendJson(res, 400, {
+          success: false,
+          message: authError.message || "Could not create login account."
+        });
+      }
+
+      const userId = authError
+        ? await passwordUserId(invite.email, password)
+        : authData?.user?.id;
+
+      if (!userId) {
+        return sendJson(res, 400, {
+          success: false,
+          message: authError
+            ? "This email already has a login. Enter its password to accept, or reset the password from the login page."
+            : "Login account was not created correctly."
+        });
+      }
+
+      const { data: current, error: currentError } = await supabase
+        .from("garage_users")
+        .select("garage_id")
+        .eq("user_id", userId)
+        .eq("status", "active")
+        .limit(1)
+        .maybeSingle();
+
+      if (currentError) throw currentError;
+
+      if (current && current.garage_id !== invite.garage_id) {
+        return sendJson(res, 409, {
+          success: false,
+          message: "This login already belongs to another garage. Ask that garage to remove it first, or use a different email."
+        });
+      }
+
+      const member = await dbAcceptInvite(invite, userId);
+
+      if (!member) {
+        return sendJson(res, 409, {
+          success: false,
+          message: "This invite link has already been used."
+        });
+      }
+
+      await dbRecordAudit(auditActor("garage", { userId, email: invite.email }), "team_join", "garage", invite.garage_id, {
+        garageId: invite.garage_id,
+        after: { member_email: member.email, member_role: member.role }
+      });
+
+      return sendJson(res, 200, {
+        success: true,
+        email: invite.email
+      });
+
+    } catch (e) {
+      console.error("POST /team-invite-accept error:", e);
+
+      return sendJson(res, 500, {
+        success: false,
+        message: "Could not accept the invite."
+      });
+    }
+  }
+
+  // -----------------------------
+  // Auth: GET /my-cars
+  // -----------------------------
+  if (req.method === "GET" && pathname === "/my-cars") {
+    const auth = await getGarageFromAuth(req);
+
+    if (!auth) {
+      return sendJson(res, 401, {
+        success: false,
+        message: "Unauthorized"
+      });
+    }
+
+    try {
+      const myCars = await dbListCars(auth.garageId);
+
+      return sendJson(res, 200, myCars);
+
+    } catch (e) {
+      console.error("GET /my-cars error:", e);
+
+      return sendJson(res, 500, {
+        success: false,
+        message: "Database error"
+      });
+    }
+  }
+
+  // -----------------------------
+  // Auth: GET /my-cars-export?format=csv|json
+  // The garage's whole stock list as a download
+  // -----------------------------
+  if (req.method === "GET" && pathname === "/my-cars-export") {
+    const auth = await getGarageFromAuth(req);
+
+    if (!auth) {
+      return sendJson(res, 401, {
+        success: false,
+        message: "Unauthorized"
+      });
+    }
+
+    if (rejectGarageRole(auth, res, "cars")) {
+      return;
+    }
+
+    const format = exportFormat(urlObj);
+
+    if (!format) {
+      return sendJson(res, 400, {
+        success: false,
+        message: "format must be csv or json"
+      });
+    }
+
+    try {
+      const myCars = await dbListCars(auth.garageId);
+
+      return sendExport(res, format, "stock", myCars, STOCK_EXPORT_COLUMNS);
+
+    } catch (e) {
+      console.error("GET /my-cars-export error:", e);
+
+      return sendJson(res, 500, {
+        success: false,
+        message: "Export failed"
+      });
+    }
+  }
+
+  // -----------------------------
+  // Admin: GET /cars-admin
+  // -----------------------------
+  if (req.method === "GET" && pathname === "/cars-admin") {
+    const admin = await getAdminFromAuth(req);
+    if (!admin) return sendJson(res, 403, { success: false, message: "Forbidden" });
+
+    try {
+      const cars = await dbListCars();
+      return sendJson(res, 200, cars);
+    } catch (e) {
+      console.error("GET /cars-admin error:", e);
+      return sendJson(res, 500, { success: false, message: "Database error" });
+    }
+  }
+
+  // -----------------------------
+  // API: GET /garage-apply-token
+  // Signed load time for the application form, sent back as formToken
+  // -----------------------------
+  if (req.method === "GET" && pathname === "/garage-apply-token") {
+    return sendJson(res, 200, {
+      success: true,
+      token: formToken()
+    });
+  }
+
+  // -----------------------------
+  // API: POST /garage-apply
+  // Body: { garageName, contactName, email, phone, website, message,
+  //         password, formToken } plus the empty honeypot field
+  // -----------------------------
+  if (req.method === "POST" && pathname === "/garage-apply") {
+    let data;
+
+    try {
+      const raw = await readBody(req);
+      data = JSON.parse(raw || "{}");
+    } catch {
+      return sendJson(res, 400, {
+        success: false,
+        message: "Bad JSON"
+      });
+    }
+
+    // Bots that fill every field are told it worked, so they do not try again
+    if (String(data[APPLY_HONEYPOT_FIELD] || "").trim()) {
+      console.warn("POST /garage-apply: honeypot filled, ignored");
+
+      return sendJson(res, 200, {
+        success: true
+      });
+    }
+
+    const formAge = formTokenAge(data.formToken);
+
+    if (formAge === null || formAge > APPLY_FORM_MAX_MS) {
+      return sendJson(res, 400, {
+        success: false,
+        message: "This form has expired. Please reload the page and send it again."
+      });
+    }
+
+    if (formAge < APPLY_FORM_MIN_MS) {
+      return sendJson(res, 400, {
+        success: false,
+        message: "That was very quick. Please check your details and send the form again."
+      });
+    }
+
+    const garageName = String(data.garageName || "").trim();
+    const contactName = String(data.contactName || "").trim();
+    const email = String(data.email || "").trim().toLowerCase();
+    const phone = String(data.phone || "").trim();
+    const website = String(data.website || "").trim();
+    const message = String(data.message || "").trim();
+    const password = String(data.password || "").trim();
+
+    if (!garageName || !email || !password) {
+      return sendJson(res, 400, {
+        success: false,
+        message: "Garage name, email and password are required."
+      });
+    }
+
+    if (password.length < 8) {
+      return sendJson(res, 400, {
+        success: false,
+        message: "Password must be at least 8 characters."
+      });
+    }
+
+    try {
+      const { data: authData, error: authError } = await supabase.auth.admin.createUser({
+        email,
+        password,
+        email_confirm: true
+      });
+
+      if (authError && !isExistingUserError(authError)) {
+        console.error("Create auth user error:", authError);
+
+        return sendJson(res, 400, {
+          success: false,
+          message: authError.message || "Could not create login account."
         });
       }
 
-      const {
-        account_status,
-        public_status,
-        ...publicGarage
-      } = garage;
+      // Someone who has applied before signs in with the password they chose then
+      const userId = authError
+        ? await passwordUserId(email, password)
+        : authData?.user?.id;
+
+      if (authError && !userId) {
+        return sendJson(res, 400, {
+          success: false,
+          message: "An account with this email already exists. If you have applied before, use the same password, or reset it from the login page."
+        });
+      }
+
+      if (!userId) {
+        return sendJson(res, 500, {
+          success: false,
+          message: "Login account was not created correctly."
+        });
+      }
+
+      const applicant = { type: "applicant", userId, email };
+      const fields = {
+        garage_name: garageName,
+        contact_name: contactName || null,
+        email,
+        phone: phone || null,
+        website: website || null,
+        message: message || null
+      };
+
+      const previous = authError ? await dbLatestApplicationForUser(userId) : null;
+
+      if (authError) {
+        const { data: link, error: linkError } = await supabase
+          .from("garage_users")
+          .select("garage_id")
+          .eq("user_id", userId)
+          .limit(1)
+          .maybeSingle();
+
+        if (linkError) throw linkError;
+
+        if (link || (previous && previous.status === "approved")) {
+          return sendJson(res, 409, {
+            success: false,
+            message: "This email already has a garage account. Sign in instead."
+          });
+        }
+      }
+
+      // Sending the form again answers an information request
+      if (previous && previous.status === "info_requested") {
+        const updated = await dbSetApplicationStatus(previous, "pending", fields);
+
+        if (!updated) {
+          return sendJson(res, 409, {
+            success: false,
+            message: "Your application has just been updated by our team. Please check your email."
+          });
+        }
+
+        await dbRecordApplicationEvent(previous.id, applicant, {
+          fromStatus: "info_requested",
+          toStatus: "pending",
+          note: message
+        });
+
+        await dbRecordAudit(auditActor("system", applicant), "application_update", "application", previous.id, {
+          before: previous,
+          after: updated
+        });
+
+        return sendJson(res, 200, {
+          success: true,
+          updated: true
+        });
+      }
+
+      if (previous && APPLICATION_OPEN_STATUSES.includes(previous.status || "pending")) {
+        return sendJson(res, 409, {
+          success: false,
+          message: "Your application is still being reviewed. We will email you as soon as there is news."
+        });
+      }
+
+      const { data: application, error } = await supabase
+        .from("garage_applications")
+        .insert({
+          ...fields,
+          user_id: userId,
+          status: "pending",
+          previous_application_id: previous ? previous.id : null
+        })
+        .select("id")
+        .single();
+
+      if (error) {
+        console.error("Create garage application error:", error);
+        throw error;
+      }
+
+      await dbRecordApplicationEvent(application.id, applicant, {
+        toStatus: "pending",
+        note: previous ? "Applied again after an earlier application was rejected." : null
+      });
+
+      await sendTemplateEmail("application_received", email, {
+        garageName,
+        contactName
+      }, { applicationId: application.id });
 
       return sendJson(res, 200, {
-        car,
-        garage: publicGarage
+        success: true
+      });
+
+    } catch (err) {
+      console.error("POST /garage-apply:", err);
+
+      return sendJson(res, 500, {
+        success: false,
+        message: "Could not save application."
       });
-    } catch (e) {
-      console.error("GET /car-data error:", e);
-      return sendJson(res, 500, { success: false, message: "Database error" });
     }
   }
 
   // -----------------------------
-  // (Optional/legacy) GET /garages-data from file
+  // Auth: POST /my-cars
   // -----------------------------
-  if (req.method === "GET" && pathname === "/garages-data") {
+  if (req.method === "POST" && pathname === "/my-cars") {
+    const auth = await getGarageFromAuth(req);
+
+    if (!auth) {
+      return sendJson(res, 401, {
+        success: false,
+        message: "Unauthorized"
+      });
+    }
+
+    if (rejectGarageRole(auth, res, "cars")) {
+      return;
+    }
+
+    if (rejectPausedGarage(auth, res)) {
+      return;
+    }
+
+    let data;
+
     try {
-      const garages = await dbListGarages();
-      return sendJson(res, 200, garages);
+      const raw = await readBody(req);
+      data = JSON.parse(raw || "{}");
+    } catch {
+      return sendJson(res, 400, {
+        success: false,
+        message: "Bad JSON"
+      });
+    }
+
+    const checked = validateCarListing(data);
+
+    if (checked.error) return sendJson(res, 400, { success: false, message: checked.error });
+
+    const publishing = carPublishing(data);
+
+    if (publishing.error) return sendJson(res, 400, { success: false, message: publishing.error });
+
+    data = { ...checked.car, ...publishing };
+    data.garageId = auth.garageId;
+    data.garage_id = auth.garageId;
+
+    try {
+      const registrationProblem = await checkCarRegistration(data, auth.garageId);
+
+      if (registrationProblem) {
+        return sendJson(res, registrationProblem.status, {
+          success: false,
+          message: registrationProblem.message
+        });
+      }
+
+      const created = await dbInsertCar(data);
+
+      await dbRecordAudit(auditActor("garage", auth), "car_create", "car", created && created.id, {
+        garageId: auth.garageId,
+        after: created
+      });
+
+      return sendJson(res, 200, {
+        success: true,
+        status: publishing.listingStatus,
+        publishAt: publishing.publishAt
+      });
     } catch (e) {
-      console.error("GET /garages-data error:", e);
+      console.error("POST /my-cars error:", e);
       return sendJson(res, 500, {
         success: false,
-        message: "Could not load garages."
+        message: "Database insert failed"
+      });
+    }
+  }
+
+  // -----------------------------
+  // Auth: POST /my-cars-import
+  // Body: { csv, dryRun }
+  // Returns: { success, dryRun, summary, rows: [{ row, stockRef, name, action, errors, status }] }
+  // -----------------------------
+  if (req.method === "POST" && pathname === "/my-cars-import") {
+    const auth = await getGarageFromAuth(req);
+
+    if (!auth) {
+      return sendJson(res, 401, {
+        success: false,
+        message: "Unauthorized"
       });
     }
-  }
 
-  // -----------------------------
-  // Analytics: POST /analytics-event
-  // Stage 1: car views and garage views
-  // -----------------------------
-  if (req.method === "POST" && pathname === "/analytics-event") {
+    if (rejectGarageRole(auth, res, "cars")) {
+      return;
+    }
+
+    if (rejectPausedGarage(auth, res)) {
+      return;
+    }
+
     let data;
 
     try {
@@ -1028,136 +6669,64 @@ const server = http.createServer(async (req, res) => {
       });
     }
 
-    const eventType = String(
-      data.eventType || data.event_type || ""
-    ).trim().toLowerCase();
+    try {
+      const [status, body] = await handleStockImport(auth.garageId, data, auditActor("garage", auth));
+      return sendJson(res, status, body);
+    } catch (e) {
+      console.error("POST /my-cars-import error:", e);
 
-    const carId = String(
-      data.carId || data.car_id || ""
-    ).trim();
+      return sendJson(res, 500, {
+        success: false,
+        message: "Import failed"
+      });
+    }
+  }
 
-    const garageId = String(
-      data.garageId || data.garage_id || ""
-    ).trim();
+  // -----------------------------
+  // Auth: GET /my-feed
+  // Returns: { success, feed: { enabled, format, source }, runs }
+  // runs are the latest dealer feed syncs, newest first.
+  // -----------------------------
+  if (req.method === "GET" && pathname === "/my-feed") {
+    const auth = await getGarageFromAuth(req);
 
-    if (![
-      "car_view",
-      "garage_view",
-      "call_click",
-      "email_click",
-      "directions_click",
-      "website_click",
-      "share_click"
-    ].includes(eventType)) {
-      return sendJson(res, 400, {
+    if (!auth) {
+      return sendJson(res, 401, {
         success: false,
-        message: "Invalid analytics event"
+        message: "Unauthorized"
       });
     }
 
     try {
-      const analyticsRow = {
-        event_type: eventType,
-        garage_id: null,
-        car_id: null
-      };
-
-      const actionEvents = [
-        "call_click",
-        "email_click",
-        "directions_click",
-        "website_click",
-        "share_click"
-      ];
-
-      if (
-        eventType === "car_view" ||
-        (actionEvents.includes(eventType) && carId)
-      ) {
-        if (!carId) {
-          return sendJson(res, 400, {
-            success: false,
-            message: "Missing car id"
-          });
-        }
-
-        const { data: car, error: carError } = await supabase
-          .from("cars")
-          .select("id, garage_id")
-          .eq("id", carId)
-          .maybeSingle();
-
-        if (carError) throw carError;
-
-        if (!car) {
-          return sendJson(res, 404, {
-            success: false,
-            message: "Car not found"
-          });
-        }
-
-        analyticsRow.car_id = car.id;
-        analyticsRow.garage_id = car.garage_id || null;
-
-      } else if (
-        eventType === "garage_view" ||
-        (actionEvents.includes(eventType) && garageId)
-      ) {
-        if (!garageId) {
-          return sendJson(res, 400, {
-            success: false,
-            message: "Missing garage id"
-          });
-        }
-
-        const { data: garage, error: garageError } = await supabase
-          .from("garages")
-          .select("id")
-          .eq("id", garageId)
-          .maybeSingle();
-
-        if (garageError) throw garageError;
-
-        if (!garage) {
-          return sendJson(res, 404, {
-            success: false,
-            message: "Garage not found"
-          });
-        }
-
-        analyticsRow.garage_id = garage.id;
-
-      } else {
-        return sendJson(res, 400, {
-          success: false,
-          message: "Missing car or garage id"
-        });
-      }
-
-      const { error: insertError } = await supabase
-        .from("analytics_events")
-        .insert(analyticsRow);
-
-      if (insertError) throw insertError;
+      const garage = await dbGetGarageFeed(auth.garageId);
+      const runs = await dbListFeedRuns(auth.garageId, 10);
 
       return sendJson(res, 200, {
-        success: true
+        success: true,
+        feed: {
+          enabled: !!(garage && garage.feed_enabled && garage.feed_url),
+          format: garage ? garage.feed_format || "auto" : "auto",
+          source: garage ? feedSource(garage.feed_url) : null
+        },
+        runs
       });
-
     } catch (e) {
-      console.error("POST /analytics-event error:", e);
+      console.error("GET /my-feed error:", e);
 
       return sendJson(res, 500, {
         success: false,
-        message: "Could not record analytics event"
+        message: "Could not load the stock feed."
       });
     }
   }
 
   // -----------------------------
-  // Auth: GET /my-garage
+  // Auth: GET /vehicle-lookup?reg=AB12CDE
+  // Returns: { success, vehicle, alreadyListed }
+  // vehicle holds the fields POST /my-cars takes (name, year, fuel, ...).
+  // alreadyListed: "own" | "other" | null
   // -----------------------------
-  if (req.method === "GET" && pathname === "/my-garage") {
+  if (req.method === "GET" && pathname === "/vehicle-lookup") {
     const auth = await getGarageFromAuth(req);
 
     if (!auth) {
@@ -1167,23 +6736,56 @@ const server = http.createServer(async (req, res) => {
       });
     }
 
+    if (rejectGarageRole(auth, res, "cars")) {
+      return;
+    }
+
+    const registration = normaliseRegistration(urlObj.searchParams.get("reg"));
+
+    if (!registration) {
+      return sendJson(res, 400, {
+        success: false,
+        message: "That does not look like a UK registration."
+      });
+    }
+
+    let vehicle;
+
     try {
-      const garage = await dbGetGarageById(auth.garageId);
+      vehicle = await vehicleLookup.lookup(registration);
+    } catch (e) {
+      console.error("GET /vehicle-lookup provider error:", e);
 
-      if (!garage) {
-        return sendJson(res, 404, {
-          success: false,
-          message: "Garage not found"
-        });
-      }
+      return sendJson(res, 502, {
+        success: false,
+        message: "Vehicle lookup is unavailable right now. Please enter the details by hand."
+      });
+    }
+
+    if (!vehicle) {
+      return sendJson(res, 404, {
+        success: false,
+        message: "No vehicle found for that registration."
+      });
+    }
+
+    try {
+      const listed = await dbFindListedRegistration(registration);
+
+      const alreadyListed = !listed.length
+        ? null
+        : listed.some(car => String(car.garageId) === String(auth.garageId))
+          ? "own"
+          : "other";
 
       return sendJson(res, 200, {
         success: true,
-        garage
+        vehicle,
+        alreadyListed
       });
 
     } catch (e) {
-      console.error("GET /my-garage error:", e);
+      console.error("GET /vehicle-lookup error:", e);
 
       return sendJson(res, 500, {
         success: false,
@@ -1193,230 +6795,169 @@ const server = http.createServer(async (req, res) => {
   }
 
   // -----------------------------
-  // Admin: GET /admin-analytics
-  // Example:
-  // /admin-analytics?garageId=GARAGE_ID&range=30d
-  // Ranges: 7d, 30d, all
+  // Auth: PUT /my-cars
   // -----------------------------
-  if (req.method === "GET" && pathname === "/admin-analytics") {
-    if (!isAdmin(req)) {
-      return sendJson(res, 403, {
+  if (req.method === "PUT" && pathname === "/my-cars") {
+    const auth = await getGarageFromAuth(req);
+
+    if (!auth) {
+      return sendJson(res, 401, {
         success: false,
-        message: "Forbidden"
+        message: "Unauthorized"
       });
     }
 
-    const garageId = String(
-      urlObj.searchParams.get("garageId") || ""
-    ).trim();
+    if (rejectGarageRole(auth, res, "cars")) {
+      return;
+    }
 
-    const range = String(
-      urlObj.searchParams.get("range") || "30d"
-    ).trim().toLowerCase();
+    if (rejectPausedGarage(auth, res)) {
+      return;
+    }
 
-    if (!garageId) {
+    let data;
+
+    try {
+      const raw = await readBody(req);
+      data = JSON.parse(raw || "{}");
+    } catch {
       return sendJson(res, 400, {
         success: false,
-        message: "Missing garageId"
+        message: "Bad JSON"
       });
     }
 
-    if (!["7d", "30d", "all"].includes(range)) {
+    const carId = String(data.id || "").trim();
+
+    if (!carId) {
       return sendJson(res, 400, {
         success: false,
-        message: "Invalid range"
+        message: "Missing car id"
       });
     }
 
-    let sinceIso = null;
+    const identity = carIdentity(data);
 
-    if (range === "7d") {
-      sinceIso = new Date(
-        Date.now() - (7 * 24 * 60 * 60 * 1000)
-      ).toISOString();
+    if (identity.error) {
+      return sendJson(res, 400, {
+        success: false,
+        message: identity.error
+      });
     }
 
-    if (range === "30d") {
-      sinceIso = new Date(
-        Date.now() - (30 * 24 * 60 * 60 * 1000)
-      ).toISOString();
+    // Publishing options only apply to drafts and scheduled cars;
+    // a live car's status is changed through /cars-status
+    const publishing = data.publish !== undefined ? carPublishing(data) : null;
+
+    if (publishing && publishing.error) {
+      return sendJson(res, 400, {
+        success: false,
+        message: publishing.error
+      });
     }
 
+    delete data.listingStatus;
+    delete data.publishAt;
+    Object.assign(data, identity);
+    data.id = carId;
+
     try {
-      const garage = await dbGetGarageById(garageId);
+      const registrationProblem = await checkCarRegistration(data, auth.garageId, carId);
 
-      if (!garage) {
-        return sendJson(res, 404, {
+      if (registrationProblem) {
+        return sendJson(res, registrationProblem.status, {
           success: false,
-          message: "Garage not found"
+          message: registrationProblem.message
         });
       }
 
-      /*
-        Load every analytics row in batches.
-        This avoids silently stopping at Supabase's normal row limit.
-      */
-      const events = [];
-      const pageSize = 1000;
-      let from = 0;
-
-      while (true) {
-        let eventsQuery = supabase
-          .from("analytics_events")
-          .select("event_type, car_id, created_at")
-          .eq("garage_id", garageId)
-          .order("id", { ascending: true })
-          .range(from, from + pageSize - 1);
+      const before = await dbGetCarRow(carId);
 
-        if (sinceIso) {
-          eventsQuery = eventsQuery.gte("created_at", sinceIso);
-        }
-
-        const {
-          data: eventBatch,
-          error: eventsError
-        } = await eventsQuery;
-
-        if (eventsError) throw eventsError;
-
-        const batch = eventBatch || [];
-        events.push(...batch);
-
-        if (batch.length < pageSize) {
-          break;
-        }
-
-        from += pageSize;
+      if (publishing && before && !isPublishedCar(before)) {
+        Object.assign(data, publishing);
       }
 
-      const { data: cars, error: carsError } = await supabase
-        .from("cars")
-        .select("id, name, status, sold")
-        .eq("garage_id", garageId);
-
-      if (carsError) throw carsError;
-
-      const eventTotals = {
-        garage_view: 0,
-        car_view: 0,
-        call_click: 0,
-        email_click: 0,
-        directions_click: 0,
-        website_click: 0,
-        share_click: 0
-      };
-
-      const vehicleMap = new Map(
-        (cars || []).map(car => [
-          String(car.id),
-          {
-            carId: car.id,
-            name: car.name || "Unnamed vehicle",
-            status: car.status || "available",
-            views: 0,
-            callClicks: 0,
-            emailClicks: 0,
-            directionsClicks: 0,
-            websiteClicks: 0,
-            shareClicks: 0
-          }
-        ])
+      const updatedCar = await dbUpdateCar(
+        data,
+        auth.garageId
       );
 
-      events.forEach(event => {
-        const eventType = String(event.event_type || "");
-
-        if (Object.prototype.hasOwnProperty.call(eventTotals, eventType)) {
-          eventTotals[eventType] += 1;
-        }
+      if (!updatedCar) {
+        return sendJson(res, 404, {
+          success: false,
+          message: "Car not found"
+        });
+      }
 
-        if (!event.car_id) return;
+      await dbRecordAudit(auditActor("garage", auth), "car_update", "car", carId, {
+        garageId: auth.garageId,
+        before,
+        after: updatedCar
+      });
 
-        const vehicle = vehicleMap.get(String(event.car_id));
-        if (!vehicle) return;
+      return sendJson(res, 200, {
+        success: true
+      });
 
-        if (eventType === "car_view") {
-          vehicle.views += 1;
-        }
+    } catch (e) {
+      if (e.code === "invalid_photos") {
+        return sendJson(res, 400, {
+          success: false,
+          message: e.message
+        });
+      }
 
-        if (eventType === "call_click") {
-          vehicle.callClicks += 1;
-        }
+      console.error("PUT /my-cars error:", e);
 
-        if (eventType === "email_click") {
-          vehicle.emailClicks += 1;
-        }
+      return sendJson(res, 500, {
+        success: false,
+        message: "Database update failed"
+      });
+    }
+  }
 
-        if (eventType === "directions_click") {
-          vehicle.directionsClicks += 1;
-        }
+  // -----------------------------
+  // API: POST /cars
+  // -----------------------------
+  if (req.method === "POST" && pathname === "/cars") {
+    const admin = await getAdminFromAuth(req);
+    if (!admin) return sendJson(res, 403, { success: false, message: "Forbidden" });
 
-        if (eventType === "website_click") {
-          vehicle.websiteClicks += 1;
-        }
+    let data;
+    try {
+      const raw = await readBody(req);
+      data = JSON.parse(raw || "{}");
+    } catch {
+      return sendJson(res, 400, { success: false, message: "Bad JSON" });
+    }
 
-        if (eventType === "share_click") {
-          vehicle.shareClicks += 1;
-        }
-      });
+    const garageId = String(data.garageId || "").trim();
+    if (!garageId) return sendJson(res, 400, { success: false, message: "Missing garageId" });
 
-      const contactActions =
-        eventTotals.call_click +
-        eventTotals.email_click +
-        eventTotals.directions_click +
-        eventTotals.website_click +
-        eventTotals.share_click;
-
-      const vehicles = [...vehicleMap.values()]
-        .map(vehicle => ({
-          ...vehicle,
-          contactActions:
-            vehicle.callClicks +
-            vehicle.emailClicks +
-            vehicle.directionsClicks +
-            vehicle.websiteClicks +
-            vehicle.shareClicks
-        }))
-        .sort((a, b) =>
-          b.views - a.views ||
-          b.contactActions - a.contactActions ||
-          a.name.localeCompare(b.name)
-        );
+    const checked = validateCarListing(data);
+    if (checked.error) return sendJson(res, 400, { success: false, message: checked.error });
 
-      return sendJson(res, 200, {
-        success: true,
-        range,
-        garage: {
-          id: garage.id,
-          name: garage.name
-        },
-        totals: {
-          garageViews: eventTotals.garage_view,
-          carViews: eventTotals.car_view,
-          contactActions,
-          callClicks: eventTotals.call_click,
-          emailClicks: eventTotals.email_click,
-          directionsClicks: eventTotals.directions_click,
-          websiteClicks: eventTotals.website_click,
-          shareClicks: eventTotals.share_click
-        },
-        vehicles
-      });
+    data = checked.car;
 
-    } catch (error) {
-      console.error("GET /admin-analytics error:", error);
+    try {
+      const created = await dbInsertCar(data);
 
-      return sendJson(res, 500, {
-        success: false,
-        message: "Could not load analytics"
+      await dbRecordAdminAction(admin, "car_create", "garage", garageId, { name: data.name });
+      await dbRecordAudit(auditActor("admin", admin), "car_create", "car", created && created.id, {
+        garageId: created ? created.garage_id : garageId,
+        after: created
       });
+      return sendJson(res, 200, { success: true });
+    } catch (e) {
+      console.error("POST /cars error:", e);
+      return sendJson(res, 500, { success: false, message: "Database insert failed" });
     }
   }
 
   // -----------------------------
-  // Auth: PUT /my-garage
+  // Auth: DELETE /my-cars?id=
   // -----------------------------
-  if (req.method === "PUT" && pathname === "/my-garage") {
+  if (req.method === "DELETE" && pathname === "/my-cars") {
     const auth = await getGarageFromAuth(req);
 
     if (!auth) {
@@ -1426,90 +6967,103 @@ const server = http.createServer(async (req, res) => {
       });
     }
 
+    if (rejectGarageRole(auth, res, "cars")) {
+      return;
+    }
+
     if (rejectPausedGarage(auth, res)) {
       return;
     }
 
-    let data;
+    const id = String(
+      urlObj.searchParams.get("id") || ""
+    ).trim();
 
-    try {
-      const raw = await readBody(req);
-      data = JSON.parse(raw || "{}");
-    } catch {
+    if (!id) {
       return sendJson(res, 400, {
         success: false,
-        message: "Bad JSON"
+        message: "Missing car id"
       });
     }
 
     try {
-      await dbUpdateGarage(auth.garageId, data);
+      const before = await dbGetCarRow(id);
+
+      const { error, count } = await supabase
+        .from("cars")
+        .delete({ count: "exact" })
+        .eq("id", id)
+        .eq("garage_id", auth.garageId);
+
+      if (error) throw error;
+
+      if (!count) {
+        return sendJson(res, 404, {
+          success: false,
+          message: "Car not found"
+        });
+      }
+
+      await dbRecordAudit(auditActor("garage", auth), "car_delete", "car", id, {
+        garageId: auth.garageId,
+        before
+      });
+
+      await photoAssets.release(before ? carPhotoUrls(before.photos) : []);
 
       return sendJson(res, 200, {
         success: true
       });
 
     } catch (e) {
-      console.error("PUT /my-garage error:", e);
+      console.error("DELETE /my-cars error:", e);
 
       return sendJson(res, 500, {
         success: false,
-        message: "Garage profile update failed"
+        message: "Database delete failed"
       });
     }
   }
 
   // -----------------------------
-  // Auth: GET /my-cars
+  // API: POST /cars-sold?name=
   // -----------------------------
-  if (req.method === "GET" && pathname === "/my-cars") {
-    const auth = await getGarageFromAuth(req);
+  if (req.method === "POST" && pathname === "/cars-sold") {
+    const admin = await getAdminFromAuth(req);
+    if (!admin) return sendJson(res, 403, { success: false, message: "Forbidden" });
 
-    if (!auth) {
-      return sendJson(res, 401, {
-        success: false,
-        message: "Unauthorized"
-      });
-    }
+    const name = String(urlObj.searchParams.get("name") || "").trim();
+    if (!name) return sendJson(res, 400, { success: false, message: "Missing name" });
 
     try {
-      const cars = await dbListCars();
-
-      const myCars = cars.filter(
-        car => String(car.garageId) === String(auth.garageId)
-      );
-
-      return sendJson(res, 200, myCars);
-
+      const soldAt = await dbMarkSoldByName(name);
+      await dbRecordAdminAction(admin, "car_sold", "car", null, { name });
+      return sendJson(res, 200, { success: true, soldAt });
     } catch (e) {
-      console.error("GET /my-cars error:", e);
-
-      return sendJson(res, 500, {
-        success: false,
-        message: "Database error"
-      });
+      console.error("POST /cars-sold error:", e);
+      return sendJson(res, 500, { success: false, message: "Database update failed" });
     }
   }
 
   // -----------------------------
-  // Admin: GET /cars-admin
+  // API: POST /cars-status
+  // Body: { id, status, buyerName?, deposit?, reservedUntil? }
+  // The reservation fields are read when status is "reserved".
   // -----------------------------
-  if (req.method === "GET" && pathname === "/cars-admin") {
-    if (!isAdmin(req)) return sendJson(res, 403, { success: false, message: "Forbidden" });
+  if (req.method === "POST" && pathname === "/cars-status") {
+    const auth = await getGarageFromAuth(req);
 
-    try {
-      const cars = await dbListCars();
-      return sendJson(res, 200, cars);
-    } catch (e) {
-      console.error("GET /cars-admin error:", e);
-      return sendJson(res, 500, { success: false, message: "Database error" });
+    if (!auth) {
+      return sendJson(res, 401, {
+        success: false,
+        message: "Unauthorized"
+      });
+    }
+
+    if (rejectPausedGarage(auth, res)) {
+      return;
     }
-  }
 
-  // -----------------------------
-  // API: POST /garage-apply
-  // -----------------------------
-  if (req.method === "POST" && pathname === "/garage-apply") {
     let data;
 
     try {
@@ -1522,159 +7076,158 @@ const server = http.createServer(async (req, res) => {
       });
     }
 
-    const garageName = String(data.garageName || "").trim();
-    const contactName = String(data.contactName || "").trim();
-    const email = String(data.email || "").trim().toLowerCase();
-    const phone = String(data.phone || "").trim();
-    const website = String(data.website || "").trim();
-    const message = String(data.message || "").trim();
-    const password = String(data.password || "").trim();
+    const id = String(data.id || "").trim();
+    const status = String(data.status || "").trim().toLowerCase();
 
-    if (!garageName || !email || !password) {
+    if (!id) {
       return sendJson(res, 400, {
         success: false,
-        message: "Garage name, email and password are required."
+        message: "Missing car id"
       });
     }
 
-    if (password.length < 8) {
+    if (!["available", "reserved", "sold"].includes(status)) {
       return sendJson(res, 400, {
         success: false,
-        message: "Password must be at least 8 characters."
+        message: "Invalid status"
       });
     }
 
-    try {
-      const { data: authData, error: authError } = await supabase.auth.admin.createUser({
-        email,
-        password,
-        email_confirm: true
+    const reserving = status === "reserved" ? cleanReservation(data) : {};
+
+    if (reserving.error) {
+      return sendJson(res, 400, {
+        success: false,
+        message: reserving.error
       });
+    }
 
-      if (authError) {
-        console.error("Create auth user error:", authError);
+    try {
+      const update = await carStatusFields(status, auth.garageId, reserving.reservation);
+      const before = await dbGetCarRow(id);
 
-        return sendJson(res, 400, {
-          success: false,
-          message: authError.message || "Could not create login account."
-        });
-      }
+      const { data: updatedCar, error } = await supabase
+        .from("cars")
+        .update(update)
+        .eq("id", id)
+        .eq("garage_id", auth.garageId)
+        .select("*")
+        .maybeSingle();
 
-      const userId = authData?.user?.id;
+      if (error) throw error;
 
-      if (!userId) {
-        return sendJson(res, 500, {
+      if (!updatedCar) {
+        return sendJson(res, 404, {
           success: false,
-          message: "Login account was not created correctly."
+          message: "Car not found"
         });
       }
 
-      const { error } = await supabase
-        .from("garage_applications")
-        .insert({
-          garage_name: garageName,
-          contact_name: contactName || null,
-          email,
-          phone: phone || null,
-          website: website || null,
-          message: message || null,
-          user_id: userId,
-          status: "pending"
-        });
-
-      if (error) {
-        console.error("Create garage application error:", error);
-        throw error;
-      }
+      await dbRecordAudit(auditActor("garage", auth), "car_status", "car", id, {
+        garageId: auth.garageId,
+        before,
+        after: updatedCar
+      });
 
       return sendJson(res, 200, {
-        success: true
+        success: true,
+        status,
+        soldAt: update.sold_at,
+        reservedUntil: update.reserved_until
       });
 
-    } catch (err) {
-      console.error("POST /garage-apply:", err);
+    } catch (e) {
+      console.error("POST /cars-status error:", e);
 
       return sendJson(res, 500, {
         success: false,
-        message: "Could not save application."
+        message: "Database update failed"
       });
     }
   }
 
   // -----------------------------
-  // Auth: POST /my-cars
+  // Admin: GET /admin-garages-data
   // -----------------------------
-  if (req.method === "POST" && pathname === "/my-cars") {
-    const auth = await getGarageFromAuth(req);
+  if (req.method === "GET" && pathname === "/admin-garages-data") {
+    const admin = await getAdminFromAuth(req);
 
-    if (!auth) {
-      return sendJson(res, 401, {
+    if (!admin) {
+      return sendJson(res, 403, {
         success: false,
-        message: "Unauthorized"
+        message: "Forbidden"
       });
     }
 
-    if (rejectPausedGarage(auth, res)) {
-      return;
-    }
+    try {
+      const garages = await dbListAdminGarages();
 
-    let data;
+      return sendJson(res, 200, {
+        success: true,
+        garages
+      });
 
-    try {
-      const raw = await readBody(req);
-      data = JSON.parse(raw || "{}");
-    } catch {
-      return sendJson(res, 400, {
+    } catch (e) {
+      console.error("GET /admin-garages-data error:", e);
+
+      return sendJson(res, 500, {
         success: false,
-        message: "Bad JSON"
+        message: "Could not load garages."
       });
     }
+  }
 
-    const name = String(data.name || "").trim();
-    const year = Number(data.year);
-    const price = Number(String(data.price).replace(/[£,\s.]/g, ""));
-    data.price = price;
-    const photos = Array.isArray(data.photos) ? data.photos.filter(Boolean) : [];
+  // -----------------------------
+  // Admin: GET /admin-garages-export?format=csv|json
+  // Every garage with billing fields and car counts
+  // -----------------------------
+  if (req.method === "GET" && pathname === "/admin-garages-export") {
+    const admin = await getAdminFromAuth(req);
 
-    if (!name) return sendJson(res, 400, { success: false, message: "Missing name" });
-    if (!Number.isInteger(year)) return sendJson(res, 400, { success: false, message: "Year must be integer" });
-    if (!Number.isFinite(price) || price <= 0) return sendJson(res, 400, { success: false, message: "Price must be > 0" });
-    if (!photos.length) return sendJson(res, 400, { success: false, message: "At least 1 photo required" });
+    if (!admin) {
+      return sendJson(res, 403, {
+        success: false,
+        message: "Forbidden"
+      });
+    }
 
-    data.garageId = auth.garageId;
-    data.garage_id = auth.garageId;
+    const format = exportFormat(urlObj);
 
-    try {
-      await dbInsertCar(data);
-      return sendJson(res, 200, {
-        success: true
+    if (!format) {
+      return sendJson(res, 400, {
+        success: false,
+        message: "format must be csv or json"
       });
+    }
+
+    try {
+      const garages = await dbListAdminGarages();
+
+      return sendExport(res, format, "garages", garages, GARAGE_EXPORT_COLUMNS);
+
     } catch (e) {
-      console.error("POST /my-cars error:", e);
+      console.error("GET /admin-garages-export error:", e);
+
       return sendJson(res, 500, {
         success: false,
-        message: "Database insert failed"
+        message: "Export failed"
       });
     }
   }
 
   // -----------------------------
-  // Auth: PUT /my-cars
+  // Admin: PUT /admin-garages
   // -----------------------------
-  if (req.method === "PUT" && pathname === "/my-cars") {
-    const auth = await getGarageFromAuth(req);
+  if (req.method === "PUT" && pathname === "/admin-garages") {
+    const admin = await getAdminFromAuth(req);
 
-    if (!auth) {
-      return sendJson(res, 401, {
+    if (!admin) {
+      return sendJson(res, 403, {
         success: false,
-        message: "Unauthorized"
+        message: "Forbidden"
       });
     }
 
-    if (rejectPausedGarage(auth, res)) {
-      return;
-    }
-
     let data;
 
     try {
@@ -1687,172 +7240,130 @@ const server = http.createServer(async (req, res) => {
       });
     }
 
-    const carId = String(data.id || "").trim();
+    const id = String(data.id || "").trim();
+    const name = String(data.name || "").trim();
 
-    if (!carId) {
+    if (!id) {
       return sendJson(res, 400, {
         success: false,
-        message: "Missing car id"
+        message: "Missing garage id"
       });
     }
 
-    data.id = carId;
+    if (!name) {
+      return sendJson(res, 400, {
+        success: false,
+        message: "Garage name is required"
+      });
+    }
 
-    try {
-      const updatedCar = await dbUpdateCar(
-        data,
-        auth.garageId
-      );
+    const feedProblem = data.feed_url !== undefined ? cleanFeedUrl(data.feed_url).error : null;
 
-      if (!updatedCar) {
-        return sendJson(res, 404, {
-          success: false,
-          message: "Car not found"
-        });
-      }
+    if (feedProblem) {
+      return sendJson(res, 400, {
+        success: false,
+        message: feedProblem
+      });
+    }
+
+    try {
+      const before = await dbGetGarageRow(id);
+      const after = await dbAdminUpdateGarage(id, data);
+
+      await dbRecordAdminAction(admin, "garage_update", "garage", id);
+      await dbRecordAudit(auditActor("admin", admin), "garage_update", "garage", id, {
+        garageId: id,
+        before,
+        after
+      });
 
       return sendJson(res, 200, {
         success: true
       });
 
     } catch (e) {
-      console.error("PUT /my-cars error:", e);
+      console.error("PUT /admin-garages error:", e);
 
       return sendJson(res, 500, {
         success: false,
-        message: "Database update failed"
+        message: "Could not update garage."
       });
     }
   }
 
   // -----------------------------
-  // API: POST /cars
+  // Admin: POST /admin-cars-import
+  // Body: { garageId, csv, dryRun }, same reply as POST /my-cars-import
   // -----------------------------
-  if (req.method === "POST" && pathname === "/cars") {
-    if (!isAdmin(req)) return sendJson(res, 403, { success: false, message: "Wrong key" });
+  if (req.method === "POST" && pathname === "/admin-cars-import") {
+    const admin = await getAdminFromAuth(req);
+
+    if (!admin) {
+      return sendJson(res, 403, {
+        success: false,
+        message: "Forbidden"
+      });
+    }
 
     let data;
+
     try {
       const raw = await readBody(req);
       data = JSON.parse(raw || "{}");
     } catch {
-      return sendJson(res, 400, { success: false, message: "Bad JSON" });
-    }
-
-    const name = String(data.name || "").trim();
-    const garageId = String(data.garageId || "").trim();
-    const year = Number(data.year);
-    const price = Number(String(data.price).replace(/[£,\s.]/g, ""));
-    data.price = price;
-    const photos = Array.isArray(data.photos) ? data.photos.filter(Boolean) : [];
-
-    if (!name || !garageId) return sendJson(res, 400, { success: false, message: "Missing name/garageId" });
-    if (!Number.isInteger(year)) return sendJson(res, 400, { success: false, message: "Year must be integer" });
-    if (!Number.isFinite(price) || price <= 0) return sendJson(res, 400, { success: false, message: "Price must be > 0" });
-    if (!photos.length) return sendJson(res, 400, { success: false, message: "At least 1 photo required" });
-
-    try {
-      await dbInsertCar(data);
-      return sendJson(res, 200, { success: true });
-    } catch (e) {
-      console.error("POST /cars error:", e);
-      return sendJson(res, 500, { success: false, message: "Database insert failed" });
-    }
-  }
-
-  // -----------------------------
-  // Auth: DELETE /my-cars?id=
-  // -----------------------------
-  if (req.method === "DELETE" && pathname === "/my-cars") {
-    const auth = await getGarageFromAuth(req);
-
-    if (!auth) {
-      return sendJson(res, 401, {
+      return sendJson(res, 400, {
         success: false,
-        message: "Unauthorized"
+        message: "Bad JSON"
       });
     }
 
-    if (rejectPausedGarage(auth, res)) {
-      return;
-    }
-
-    const id = String(
-      urlObj.searchParams.get("id") || ""
-    ).trim();
+    const garageId = String(data.garageId || "").trim();
 
-    if (!id) {
+    if (!garageId) {
       return sendJson(res, 400, {
         success: false,
-        message: "Missing car id"
+        message: "Missing garageId"
       });
     }
 
     try {
-      const { error, count } = await supabase
-        .from("cars")
-        .delete({ count: "exact" })
-        .eq("id", id)
-        .eq("garage_id", auth.garageId);
-
-      if (error) throw error;
+      const [status, body] = await handleStockImport(garageId, data, auditActor("admin", admin));
 
-      if (!count) {
-        return sendJson(res, 404, {
-          success: false,
-          message: "Car not found"
+      if (body.success && !body.dryRun) {
+        await dbRecordAdminAction(admin, "car_import", "garage", garageId, {
+          created: body.summary.created,
+          updated: body.summary.updated,
+          failed: body.summary.failed
         });
       }
 
-      return sendJson(res, 200, {
-        success: true
-      });
-
+      return sendJson(res, status, body);
     } catch (e) {
-      console.error("DELETE /my-cars error:", e);
+      console.error("POST /admin-cars-import error:", e);
 
       return sendJson(res, 500, {
         success: false,
-        message: "Database delete failed"
+        message: "Import failed"
       });
     }
   }
 
   // -----------------------------
-  // API: POST /cars-sold?name=
-  // -----------------------------
-  if (req.method === "POST" && pathname === "/cars-sold") {
-    if (!isAdmin(req)) return sendJson(res, 403, { success: false, message: "Wrong key" });
-
-    const name = String(urlObj.searchParams.get("name") || "").trim();
-    if (!name) return sendJson(res, 400, { success: false, message: "Missing name" });
-
-    try {
-      const soldDate = await dbMarkSoldByName(name);
-      return sendJson(res, 200, { success: true, soldDate });
-    } catch (e) {
-      console.error("POST /cars-sold error:", e);
-      return sendJson(res, 500, { success: false, message: "Database update failed" });
-    }
-  }
-
-  // -----------------------------
-  // API: POST /cars-status
+  // Admin: POST /admin-garage-feed-sync
+  // Body: { garageId }. Syncs the garage's dealer feed now,
+  // even if the scheduled sync is turned off for it.
+  // Returns: { success, run }
   // -----------------------------
-  if (req.method === "POST" && pathname === "/cars-status") {
-    const auth = await getGarageFromAuth(req);
+  if (req.method === "POST" && pathname === "/admin-garage-feed-sync") {
+    const admin = await getAdminFromAuth(req);
 
-    if (!auth) {
-      return sendJson(res, 401, {
+    if (!admin) {
+      return sendJson(res, 403, {
         success: false,
-        message: "Unauthorized"
+        message: "Forbidden"
       });
     }
 
-    if (rejectPausedGarage(auth, res)) {
-      return;
-    }
-
     let data;
 
     try {
@@ -1865,227 +7376,249 @@ const server = http.createServer(async (req, res) => {
       });
     }
 
-    const id = String(data.id || "").trim();
-    const status = String(data.status || "").trim().toLowerCase();
-
-    if (!id) {
-      return sendJson(res, 400, {
-        success: false,
-        message: "Missing car id"
-      });
-    }
+    const garageId = String(data.garageId || "").trim();
 
-    if (!["available", "reserved", "sold"].includes(status)) {
+    if (!garageId) {
       return sendJson(res, 400, {
         success: false,
-        message: "Invalid status"
+        message: "Missing garageId"
       });
     }
 
     try {
-      const update = {
-        status,
-        sold: status === "sold",
-        soldDate: status === "sold" ? todayUK() : null,
-        updatedAt: new Date().toISOString()
-      };
-
-      const { data: updatedCar, error } = await supabase
-        .from("cars")
-        .update(update)
-        .eq("id", id)
-        .eq("garage_id", auth.garageId)
-        .select("id")
-        .maybeSingle();
-
-      if (error) throw error;
+      const garage = await dbGetGarageFeed(garageId);
 
-      if (!updatedCar) {
+      if (!garage) {
         return sendJson(res, 404, {
           success: false,
-          message: "Car not found"
+          message: "Garage not found"
+        });
+      }
+
+      if (!garage.feed_url) {
+        return sendJson(res, 400, {
+          success: false,
+          message: "This garage has no feed url. Save one first."
         });
       }
 
+      const run = await syncGarageFeed(garage, "admin");
+
+      await dbRecordAdminAction(admin, "feed_sync", "garage", garageId, {
+        status: run.status,
+        created: run.created,
+        updated: run.updated,
+        sold: run.sold,
+        failed: run.failed
+      });
+
       return sendJson(res, 200, {
         success: true,
-        status,
-        soldDate: update.soldDate
+        run
       });
-
     } catch (e) {
-      console.error("POST /cars-status error:", e);
+      console.error("POST /admin-garage-feed-sync error:", e);
 
       return sendJson(res, 500, {
         success: false,
-        message: "Database update failed"
+        message: "Feed sync failed"
       });
     }
   }
 
   // -----------------------------
-  // Admin: GET /admin-garages-data
+  // Admin: POST /admin-impersonate
+  // Body: { garageId, reason }. Starts a session in which the admin can
+  // use the garage dashboard as a managed-service garage.
+  // Returns: { success, token, expiresAt, garage }
   // -----------------------------
-  if (req.method === "GET" && pathname === "/admin-garages-data") {
-    if (!isAdmin(req)) {
+  if (req.method === "POST" && pathname === "/admin-impersonate") {
+    const admin = await getAdminFromAuth(req);
+
+    if (!admin) {
       return sendJson(res, 403, {
         success: false,
         message: "Forbidden"
       });
     }
 
-    try {
-      const { data: garages, error: garageError } = await supabase
-        .from("garages")
-        .select(`
-  id,
-  name,
-  address,
-  town,
-  postcode,
-  phone,
-  email,
-  website,
-  opening_hours,
-  description,
-  account_status,
-  public_status,
-  billing_status,
-  service_type,
-  founding_garage,
-  trial_start,
-  trial_end,
-  package_name,
-  monthly_price,
-  next_review_date,
-  internal_notes
-`)
-        .order("name", { ascending: true });
+    let data;
 
-      if (garageError) throw garageError;
+    try {
+      const raw = await readBody(req);
+      data = JSON.parse(raw || "{}");
+    } catch {
+      return sendJson(res, 400, {
+        success: false,
+        message: "Bad JSON"
+      });
+    }
 
-      const { data: cars, error: carError } = await supabase
-        .from("cars")
-        .select("id, garage_id, status, sold");
+    const garageId = String(data.garageId || "").trim();
+    const reason = String(data.reason || "").trim().slice(0, 200);
 
-      if (carError) throw carError;
+    if (!garageId) {
+      return sendJson(res, 400, {
+        success: false,
+        message: "Missing garageId"
+      });
+    }
 
-      const counts = new Map();
+    try {
+      const { data: garage, error } = await supabase
+        .from("garages")
+        .select("id, name, service_type")
+        .eq("id", garageId)
+        .maybeSingle();
 
-      (cars || []).forEach((car) => {
-        const garageId = car.garage_id;
-        if (!garageId) return;
+      if (error) throw error;
 
-        if (!counts.has(garageId)) {
-          counts.set(garageId, {
-            total: 0,
-            available: 0,
-            reserved: 0,
-            sold: 0
-          });
-        }
+      if (!garage) {
+        return sendJson(res, 404, {
+          success: false,
+          message: "Garage not found"
+        });
+      }
 
-        const item = counts.get(garageId);
-        const status = String(car.status || "available").toLowerCase();
+      if (garage.service_type !== "managed") {
+        return sendJson(res, 409, {
+          success: false,
+          message: "Only managed-service garages can be opened as the garage. Change the service type first."
+        });
+      }
 
-        item.total += 1;
+      const { session, token } = await dbCreateImpersonation(admin, garageId, reason);
 
-        if (status === "reserved") {
-          item.reserved += 1;
-        } else if (status === "sold" || car.sold === true) {
-          item.sold += 1;
-        } else {
-          item.available += 1;
-        }
+      await dbRecordAdminAction(admin, "impersonation_start", "garage", garageId, {
+        session_id: session.id,
+        expires_at: session.expires_at,
+        reason: reason || null
       });
 
-      const result = (garages || []).map((garage) => ({
-        ...garage,
-        counts: counts.get(garage.id) || {
-          total: 0,
-          available: 0,
-          reserved: 0,
-          sold: 0
-        }
-      }));
+      await dbRecordAudit(auditActor("admin", admin), "impersonation_start", "garage", garageId, {
+        garageId,
+        after: { expires_at: session.expires_at, reason: reason || null }
+      });
 
       return sendJson(res, 200, {
         success: true,
-        garages: result
+        token,
+        expiresAt: session.expires_at,
+        garage: {
+          id: garage.id,
+          name: garage.name
+        }
       });
-
     } catch (e) {
-      console.error("GET /admin-garages-data error:", e);
+      console.error("POST /admin-impersonate error:", e);
 
       return sendJson(res, 500, {
         success: false,
-        message: "Could not load garages."
+        message: "Could not open the garage dashboard."
       });
     }
   }
 
   // -----------------------------
-  // Admin: PUT /admin-garages
+  // Admin: GET /admin-cars-data?garageId=
   // -----------------------------
-  if (req.method === "PUT" && pathname === "/admin-garages") {
-    if (!isAdmin(req)) {
+  if (req.method === "GET" && pathname === "/admin-cars-data") {
+    const admin = await getAdminFromAuth(req);
+
+    if (!admin) {
       return sendJson(res, 403, {
         success: false,
         message: "Forbidden"
       });
     }
 
-    let data;
+    const garageId = String(urlObj.searchParams.get("garageId") || "").trim();
 
-    try {
-      const raw = await readBody(req);
-      data = JSON.parse(raw || "{}");
-    } catch {
+    if (!garageId) {
       return sendJson(res, 400, {
         success: false,
-        message: "Bad JSON"
+        message: "Missing garageId"
       });
     }
 
-    const id = String(data.id || "").trim();
-    const name = String(data.name || "").trim();
+    try {
+      const garage = await dbGetGarageById(garageId);
 
-    if (!id) {
-      return sendJson(res, 400, {
+      if (!garage) {
+        return sendJson(res, 404, {
+          success: false,
+          message: "Garage not found"
+        });
+      }
+
+      const garageCars = await dbListCars(garageId);
+
+      return sendJson(res, 200, {
+        success: true,
+        garage,
+        cars: garageCars
+      });
+
+    } catch (e) {
+      console.error("GET /admin-cars-data error:", e);
+
+      return sendJson(res, 500, {
         success: false,
-        message: "Missing garage id"
+        message: "Could not load garage cars."
       });
     }
+  }
 
-    if (!name) {
+  // -----------------------------
+  // Admin: GET /admin-audit?carId= or ?garageId=
+  // Returns: { success, entries } newest first. A garage's entries
+  // include changes to its cars.
+  // -----------------------------
+  if (req.method === "GET" && pathname === "/admin-audit") {
+    const admin = await getAdminFromAuth(req);
+
+    if (!admin) {
+      return sendJson(res, 403, {
+        success: false,
+        message: "Forbidden"
+      });
+    }
+
+    const carId = String(urlObj.searchParams.get("carId") || "").trim();
+    const garageId = String(urlObj.searchParams.get("garageId") || "").trim();
+
+    if (!carId && !garageId) {
       return sendJson(res, 400, {
         success: false,
-        message: "Garage name is required"
+        message: "Missing carId or garageId"
       });
     }
 
     try {
-      await dbAdminUpdateGarage(id, data);
+      const entries = await dbListAudit({ carId: carId || null, garageId: garageId || null });
 
       return sendJson(res, 200, {
-        success: true
+        success: true,
+        entries
       });
 
     } catch (e) {
-      console.error("PUT /admin-garages error:", e);
+      console.error("GET /admin-audit error:", e);
 
       return sendJson(res, 500, {
         success: false,
-        message: "Could not update garage."
+        message: "Could not load the change history."
       });
     }
   }
 
   // -----------------------------
-  // Admin: GET /admin-cars-data?garageId=
+  // Admin: GET /admin-cars-export?garageId=&format=csv|json
   // -----------------------------
-  if (req.method === "GET" && pathname === "/admin-cars-data") {
-    if (!isAdmin(req)) {
+  if (req.method === "GET" && pathname === "/admin-cars-export") {
+    const admin = await getAdminFromAuth(req);
+
+    if (!admin) {
       return sendJson(res, 403, {
         success: false,
         message: "Forbidden"
@@ -2093,6 +7626,7 @@ const server = http.createServer(async (req, res) => {
     }
 
     const garageId = String(urlObj.searchParams.get("garageId") || "").trim();
+    const format = exportFormat(urlObj);
 
     if (!garageId) {
       return sendJson(res, 400, {
@@ -2101,6 +7635,13 @@ const server = http.createServer(async (req, res) => {
       });
     }
 
+    if (!format) {
+      return sendJson(res, 400, {
+        success: false,
+        message: "format must be csv or json"
+      });
+    }
+
     try {
       const garage = await dbGetGarageById(garageId);
 
@@ -2111,24 +7652,23 @@ const server = http.createServer(async (req, res) => {
         });
       }
 
-      const cars = await dbListCars();
+      const garageCars = await dbListCars(garageId);
 
-      const garageCars = cars.filter(
-        car => String(car.garageId) === String(garageId)
+      return sendExport(
+        res,
+        format,
+        `stock-${exportSlug(garage.name)}`,
+        garageCars,
+        STOCK_EXPORT_COLUMNS,
+        { garage: { id: garage.id, name: garage.name } }
       );
 
-      return sendJson(res, 200, {
-        success: true,
-        garage,
-        cars: garageCars
-      });
-
     } catch (e) {
-      console.error("GET /admin-cars-data error:", e);
+      console.error("GET /admin-cars-export error:", e);
 
       return sendJson(res, 500, {
         success: false,
-        message: "Could not load garage cars."
+        message: "Export failed"
       });
     }
   }
@@ -2137,7 +7677,9 @@ const server = http.createServer(async (req, res) => {
   // Admin: POST /admin-cars-status
   // -----------------------------
   if (req.method === "POST" && pathname === "/admin-cars-status") {
-    if (!isAdmin(req)) {
+    const admin = await getAdminFromAuth(req);
+
+    if (!admin) {
       return sendJson(res, 403, {
         success: false,
         message: "Forbidden"
@@ -2173,25 +7715,43 @@ const server = http.createServer(async (req, res) => {
       });
     }
 
+    const reserving = status === "reserved" ? cleanReservation(data) : {};
+
+    if (reserving.error) {
+      return sendJson(res, 400, {
+        success: false,
+        message: reserving.error
+      });
+    }
+
     try {
-      const update = {
-        status,
-        sold: status === "sold",
-        soldDate: status === "sold" ? todayUK() : null,
-        updatedAt: new Date().toISOString()
-      };
+      const before = await dbGetCarRow(id);
+      const update = await carStatusFields(status, before && before.garage_id, reserving.reservation);
 
-      const { error } = await supabase
+      const { data: updatedCar, error } = await supabase
         .from("cars")
         .update(update)
-        .eq("id", id);
+        .eq("id", id)
+        .select("*")
+        .maybeSingle();
 
       if (error) throw error;
 
+      await dbRecordAdminAction(admin, "car_status", "car", id, { status });
+
+      if (updatedCar) {
+        await dbRecordAudit(auditActor("admin", admin), "car_status", "car", id, {
+          garageId: updatedCar.garage_id,
+          before,
+          after: updatedCar
+        });
+      }
+
       return sendJson(res, 200, {
         success: true,
         status,
-        soldDate: update.soldDate
+        soldAt: update.sold_at,
+        reservedUntil: update.reserved_until
       });
 
     } catch (e) {
@@ -2208,7 +7768,9 @@ const server = http.createServer(async (req, res) => {
   // Admin: PUT /admin-cars
   // -----------------------------
   if (req.method === "PUT" && pathname === "/admin-cars") {
-    if (!isAdmin(req)) {
+    const admin = await getAdminFromAuth(req);
+
+    if (!admin) {
       return sendJson(res, 403, {
         success: false,
         message: "Forbidden"
@@ -2228,7 +7790,7 @@ const server = http.createServer(async (req, res) => {
     }
 
     const id = String(data.id || "").trim();
-    const name = String(data.name || "").trim();
+    const identity = carIdentity(data);
     const year = Number(data.year);
     const price = Number(String(data.price).replace(/[£,\s.]/g, ""));
     const photos = Array.isArray(data.photos) ? data.photos.filter(Boolean) : [];
@@ -2240,10 +7802,10 @@ const server = http.createServer(async (req, res) => {
       });
     }
 
-    if (!name) {
+    if (identity.error) {
       return sendJson(res, 400, {
         success: false,
-        message: "Missing name"
+        message: identity.error
       });
     }
 
@@ -2268,20 +7830,38 @@ const server = http.createServer(async (req, res) => {
       });
     }
 
+    Object.assign(data, identity);
     data.id = id;
-    data.name = name;
     data.year = year;
     data.price = price;
     data.photos = photos;
 
     try {
-      await dbUpdateCar(data);
+      const before = await dbGetCarRow(id);
+      const updatedCar = await dbUpdateCar(data);
+
+      await dbRecordAdminAction(admin, "car_update", "car", id);
+
+      if (updatedCar) {
+        await dbRecordAudit(auditActor("admin", admin), "car_update", "car", id, {
+          garageId: updatedCar.garage_id,
+          before,
+          after: updatedCar
+        });
+      }
 
       return sendJson(res, 200, {
         success: true
       });
 
     } catch (e) {
+      if (e.code === "invalid_photos") {
+        return sendJson(res, 400, {
+          success: false,
+          message: e.message
+        });
+      }
+
       console.error("PUT /admin-cars error:", e);
 
       return sendJson(res, 500, {
@@ -2295,7 +7875,9 @@ const server = http.createServer(async (req, res) => {
   // Admin: DELETE /admin-cars?id=
   // -----------------------------
   if (req.method === "DELETE" && pathname === "/admin-cars") {
-    if (!isAdmin(req)) {
+    const admin = await getAdminFromAuth(req);
+
+    if (!admin) {
       return sendJson(res, 403, {
         success: false,
         message: "Forbidden"
@@ -2312,6 +7894,8 @@ const server = http.createServer(async (req, res) => {
     }
 
     try {
+      const before = await dbGetCarRow(id);
+
       const { error, count } = await supabase
         .from("cars")
         .delete({ count: "exact" })
@@ -2326,6 +7910,14 @@ const server = http.createServer(async (req, res) => {
         });
       }
 
+      await dbRecordAdminAction(admin, "car_delete", "car", id);
+      await dbRecordAudit(auditActor("admin", admin), "car_delete", "car", id, {
+        garageId: before ? before.garage_id : null,
+        before
+      });
+
+      await photoAssets.release(before ? carPhotoUrls(before.photos) : []);
+
       return sendJson(res, 200, {
         success: true
       });
@@ -2344,7 +7936,9 @@ const server = http.createServer(async (req, res) => {
   // Admin: GET /garage-applications-data
   // -----------------------------
   if (req.method === "GET" && pathname === "/garage-applications-data") {
-    if (!isAdmin(req)) {
+    const admin = await getAdminFromAuth(req);
+
+    if (!admin) {
       return sendJson(res, 403, {
         success: false,
         message: "Forbidden"
@@ -2352,14 +7946,9 @@ const server = http.createServer(async (req, res) => {
     }
 
     try {
-      const { data, error } = await supabase
-        .from("garage_applications")
-        .select("*")
-        .order("created_at", { ascending: false });
-
-      if (error) throw error;
+      const applications = await dbListApplications();
 
-      return sendJson(res, 200, data || []);
+      return sendJson(res, 200, applications);
     } catch (e) {
       console.error("POST /cars-status error:", e);
       return sendJson(res, 500, {
@@ -2373,7 +7962,9 @@ const server = http.createServer(async (req, res) => {
   // Admin: POST /garage-applications-approve
   // -----------------------------
   if (req.method === "POST" && pathname === "/garage-applications-approve") {
-    if (!isAdmin(req)) {
+    const admin = await getAdminFromAuth(req);
+
+    if (!admin) {
       return sendJson(res, 403, {
         success: false,
         message: "Forbidden"
@@ -2401,99 +7992,249 @@ const server = http.createServer(async (req, res) => {
       });
     }
 
-    try {
-      const { data: application, error: appError } = await supabase
-        .from("garage_applications")
-        .select("*")
-        .eq("id", applicationId)
-        .single();
+    let result;
 
-      if (appError || !application) {
+    try {
+      result = await applicationApprover.approve(applicationId, applicationReviewFields(admin));
+    } catch (e) {
+      if (e.code === "not_found") {
         return sendJson(res, 404, {
           success: false,
-          message: "Application not found."
+          message: e.message
         });
       }
 
-      if (!application.user_id) {
+      if (e.code === "no_user") {
         return sendJson(res, 400, {
           success: false,
-          message: "This application has no user_id, so it cannot be approved automatically."
+          message: e.message
         });
       }
 
-      const { data: garage, error: garageError } = await supabase
-        .from("garages")
-        .insert({
-          name: application.garage_name || "Unnamed garage",
-          phone: application.phone || null,
-          email: application.email || null,
-          website: application.website || null,
-          description: application.message || null,
-
-          account_status: "active",
-          public_status: "hidden",
-          billing_status: "free_trial",
-          service_type: "self_service",
-          founding_garage: false,
-          package_name: "Standard",
-          monthly_price: 50
-        })
-        .select("id")
-        .single();
+      if (["already_approved", "already_rejected", "in_progress"].includes(e.code)) {
+        return sendJson(res, 409, {
+          success: false,
+          message: e.message,
+          garageId: e.garageId || undefined
+        });
+      }
+
+      console.error("POST /garage-applications-approve error:", e, e.cause || "");
+
+      return sendJson(res, 500, {
+        success: false,
+        message: e.code === "approval_failed" && !e.cleanedUp
+          ? "Could not approve application, and part of it could not be undone. Approve it again in a few minutes to finish it."
+          : "Could not approve application."
+      });
+    }
+
+    const { application, approved, garage } = result;
+
+    await dbRecordAdminAction(admin, "application_approve", "application", applicationId, {
+      garageId: garage.id
+    });
+
+    const actor = auditActor("admin", admin);
+
+    await dbRecordApplicationEvent(applicationId, actor, {
+      fromStatus: application.status || "pending",
+      toStatus: "approved"
+    });
+
+    await dbRecordAudit(actor, "application_approve", "application", applicationId, {
+      garageId: garage.id,
+      before: application,
+      after: approved
+    });
+
+    await dbRecordAudit(actor, "garage_create", "garage", garage.id, {
+      garageId: garage.id,
+      after: garage
+    });
+
+    if (application.email) {
+      await sendTemplateEmail("application_approved", application.email, {
+        garageName: application.garage_name,
+        contactName: application.contact_name,
+        loginUrl: `${siteUrl(req)}/login`
+      }, { garageId: garage.id, applicationId });
+    }
+
+    return sendJson(res, 200, {
+      success: true,
+      garageId: garage.id
+    });
+  }
+
+  // -----------------------------
+  // Admin: POST /garage-applications-status
+  // Admin: POST /garage-applications-reject (status "rejected")
+  // Body: { applicationId, status, reason, message, note }
+  // rejected needs a reason and info_requested a message, both emailed
+  // to the applicant. note is for reviewers only and goes on the timeline.
+  // -----------------------------
+  if (req.method === "POST" && (pathname === "/garage-applications-status" || pathname === "/garage-applications-reject")) {
+    const admin = await getAdminFromAuth(req);
+
+    if (!admin) {
+      return sendJson(res, 403, {
+        success: false,
+        message: "Forbidden"
+      });
+    }
+
+    let data;
+
+    try {
+      const raw = await readBody(req);
+      data = JSON.parse(raw || "{}");
+    } catch {
+      return sendJson(res, 400, {
+        success: false,
+        message: "Bad JSON"
+      });
+    }
+
+    const applicationId = String(data.applicationId || "").trim();
+    const status = pathname === "/garage-applications-reject"
+      ? "rejected"
+      : String(data.status || "").trim();
+
+    if (!applicationId) {
+      return sendJson(res, 400, {
+        success: false,
+        message: "Missing application id."
+      });
+    }
+
+    if (!APPLICATION_REVIEW_STATUSES.includes(status)) {
+      return sendJson(res, 400, {
+        success: false,
+        message: `status must be one of: ${APPLICATION_REVIEW_STATUSES.join(", ")}`
+      });
+    }
+
+    const reason = String(data.reason || "").trim().slice(0, 1000);
+    const infoRequest = String(data.message || "").trim().slice(0, 1000);
+    const note = String(data.note || "").trim().slice(0, APPLICATION_NOTE_MAX);
+
+    if (status === "rejected" && !reason) {
+      return sendJson(res, 400, {
+        success: false,
+        message: "A rejection reason is required."
+      });
+    }
+
+    if (status === "info_requested" && !infoRequest) {
+      return sendJson(res, 400, {
+        success: false,
+        message: "Say what information the applicant needs to send."
+      });
+    }
 
-      if (garageError || !garage) {
-        console.error("Create garage error:", garageError);
-        throw garageError;
+    try {
+      const before = await dbGetApplication(applicationId);
+
+      if (!before) {
+        return sendJson(res, 404, {
+          success: false,
+          message: "Application not found."
+        });
       }
 
-      const { error: linkError } = await supabase
-        .from("garage_users")
-        .insert({
-          user_id: application.user_id,
-          garage_id: garage.id,
-          role: "owner",
-          status: "active",
-          subscription_status: "trial"
+      const fromStatus = before.status || "pending";
+
+      if (!APPROVABLE_STATUSES.includes(fromStatus)) {
+        return sendJson(res, 409, {
+          success: false,
+          message: fromStatus === "approving"
+            ? "This application is being approved."
+            : `This application has already been ${fromStatus}.`
         });
+      }
 
-      if (linkError) {
-        console.error("Create garage user link error:", linkError);
-        throw linkError;
+      if (fromStatus === status) {
+        return sendJson(res, 400, {
+          success: false,
+          message: "The application already has that status."
+        });
       }
 
-      const { error: updateError } = await supabase
-        .from("garage_applications")
-        .update({
-          status: "approved"
-        })
-        .eq("id", applicationId);
+      const fields = applicationReviewFields(admin);
+      if (status === "rejected") fields.rejection_reason = reason;
+      if (status === "info_requested") fields.info_request = infoRequest;
+
+      const application = await dbSetApplicationStatus(before, status, fields);
+
+      if (!application) {
+        return sendJson(res, 409, {
+          success: false,
+          message: "This application was changed by someone else. Reload and try again."
+        });
+      }
+
+      const actor = auditActor("admin", admin);
+      const action = status === "rejected" ? "application_reject" : "application_status";
+
+      await dbRecordAdminAction(admin, action, "application", applicationId, {
+        from: fromStatus,
+        to: status
+      });
+
+      await dbRecordApplicationEvent(applicationId, actor, {
+        fromStatus,
+        toStatus: status,
+        note: [reason || infoRequest, note].filter(Boolean).join("\n\n")
+      });
+
+      await dbRecordAudit(actor, action, "application", applicationId, {
+        before,
+        after: application
+      });
 
-      if (updateError) {
-        console.error("Update application error:", updateError);
-        throw updateError;
+      if (application.email && status === "rejected") {
+        await sendTemplateEmail("application_rejected", application.email, {
+          garageName: application.garage_name,
+          contactName: application.contact_name,
+          reason,
+          applyUrl: `${siteUrl(req)}/for-garages`
+        }, { applicationId });
+      }
+
+      if (application.email && status === "info_requested") {
+        await sendTemplateEmail("application_info_requested", application.email, {
+          garageName: application.garage_name,
+          contactName: application.contact_name,
+          message: infoRequest,
+          applyUrl: `${siteUrl(req)}/for-garages`
+        }, { applicationId });
       }
 
       return sendJson(res, 200, {
         success: true,
-        garageId: garage.id
+        application
       });
 
     } catch (e) {
-      console.error("POST /garage-applications-approve error:", e);
+      console.error(`POST ${pathname} error:`, e);
 
       return sendJson(res, 500, {
         success: false,
-        message: "Could not approve application."
+        message: "Could not update application."
       });
     }
   }
 
   // -----------------------------
-  // Admin: POST /garage-applications-reject
+  // Admin: POST /garage-applications-note
+  // Body: { applicationId, note }
+  // Adds a reviewer note to the application's timeline
   // -----------------------------
-  if (req.method === "POST" && pathname === "/garage-applications-reject") {
-    if (!isAdmin(req)) {
+  if (req.method === "POST" && pathname === "/garage-applications-note") {
+    const admin = await getAdminFromAuth(req);
+
+    if (!admin) {
       return sendJson(res, 403, {
         success: false,
         message: "Forbidden"
@@ -2513,37 +8254,51 @@ const server = http.createServer(async (req, res) => {
     }
 
     const applicationId = String(data.applicationId || "").trim();
+    const note = String(data.note || "").trim();
 
-    if (!applicationId) {
+    if (!applicationId || !note) {
       return sendJson(res, 400, {
         success: false,
-        message: "Missing application id."
+        message: "Missing application id or note."
+      });
+    }
+
+    if (note.length > APPLICATION_NOTE_MAX) {
+      return sendJson(res, 400, {
+        success: false,
+        message: `Notes can be up to ${APPLICATION_NOTE_MAX} characters.`
       });
     }
 
     try {
-      const { error } = await supabase
-        .from("garage_applications")
-        .update({
-          status: "rejected"
-        })
-        .eq("id", applicationId);
+      const application = await dbGetApplication(applicationId);
 
-      if (error) {
-        console.error("Reject application error:", error);
-        throw error;
+      if (!application) {
+        return sendJson(res, 404, {
+          success: false,
+          message: "Application not found."
+        });
       }
 
+      const saved = await dbRecordApplicationEvent(applicationId, auditActor("admin", admin), {
+        kind: "note",
+        note
+      });
+
+      if (!saved) throw new Error("Note was not saved");
+
+      await dbRecordAdminAction(admin, "application_note", "application", applicationId);
+
       return sendJson(res, 200, {
         success: true
       });
 
     } catch (e) {
-      console.error("POST /garage-applications-reject error:", e);
+      console.error("POST /garage-applications-note error:", e);
 
       return sendJson(res, 500, {
         success: false,
-        message: "Could not reject application."
+        message: "Could not save note."
       });
     }
   }
@@ -2557,6 +8312,12 @@ const server = http.createServer(async (req, res) => {
   if (req.method === "GET" && pathname === "/cookie-consent.js") {
     return serveFile(res, path.join(__dirname, "public", "cookie-consent.js"));
   }
+  if (req.method === "GET" && pathname === "/saved-cars.js") {
+    return serveFile(res, path.join(__dirname, "public", "saved-cars.js"));
+  }
+  if (req.method === "GET" && pathname === "/admin-auth.js") {
+    return serveFile(res, path.join(__dirname, "public", "admin-auth.js"));
+  }
 
   if (req.method === "GET" && pathname === "/") return serveFile(res, path.join(__dirname, "index.html"));
   if (req.method === "GET" && pathname === "/cars-page") return serveFile(res, path.join(__dirname, "cars.html"));
@@ -2567,11 +8328,15 @@ const server = http.createServer(async (req, res) => {
   if (req.method === "GET" && pathname === "/for-garages") return serveFile(res, path.join(__dirname, "for-garages.html"));
   if (req.method === "GET" && pathname === "/garage-dashboard") return serveFile(res, path.join(__dirname, "garage-dashboard.html"));
   if (req.method === "GET" && pathname === "/admin-dashboard") return serveFile(res, path.join(__dirname, "admin-dashboard.html"));
+  if (req.method === "GET" && pathname === "/admin-login") return serveFile(res, path.join(__dirname, "admin-login.html"));
   if (req.method === "GET" && pathname === "/admin-analytics-page") return serveFile(res, path.join(__dirname, "admin-analytics.html"));
+  if (req.method === "GET" && pathname === "/admin-emails") return serveFile(res, path.join(__dirname, "admin-emails.html"));
+  if (req.method === "GET" && pathname === "/admin-photos") return serveFile(res, path.join(__dirname, "admin-photos.html"));
   if (req.method === "GET" && pathname === "/admin-garages") return serveFile(res, path.join(__dirname, "admin-garages.html"));
   if (req.method === "GET" && pathname === "/admin-stock") return serveFile(res, path.join(__dirname, "admin-stock.html"));
   if (req.method === "GET" && pathname === "/login") return serveFile(res, path.join(__dirname, "login.html"));
   if (req.method === "GET" && pathname === "/reset-password") return serveFile(res, path.join(__dirname, "reset-password.html"));
+  if (req.method === "GET" && pathname === "/accept-invite") return serveFile(res, path.join(__dirname, "accept-invite.html"));
   if (req.method === "GET" && pathname === "/privacy") return serveFile(res, path.join(__dirname, "privacy.html"));
   if (req.method === "GET" && pathname === "/terms") return serveFile(res, path.join(__dirname, "terms.html"));
   if (req.method === "GET" && pathname === "/cookie-policy") return serveFile(res, path.join(__dirname, "cookie-policy.html"));
@@ -2595,4 +8360,8 @@ const server = http.createServer(async (req, res) => {
 
 server.listen(PORT, () => {
   console.log("✅ Server running on port", PORT);
+  startTrialJob();
+  startFeedSync();
+  startPublishJob();
+  startReservationJob();
 });
\ No newline at end of file
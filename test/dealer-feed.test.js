@@ -0,0 +1,282 @@
+// Dealer stock feeds: parsing the sample feeds in fixtures/feeds with
+// dealer-feed.js, and a full sync of those files through
+// POST /admin-garage-feed-sync.
+
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const { createFeedReader, parseFeed } = require("../dealer-feed");
+
+const { createFakeSupabase } = require("./support/fake-supabase");
+const { startApp } = require("./support/app");
+
+const FEED_DIR = path.join(__dirname, "..", "fixtures", "feeds");
+
+function feedFile(name) {
+  return fs.readFileSync(path.join(FEED_DIR, name), "utf8");
+}
+
+describe("parseFeed", () => {
+  test("reads every vehicle in the XML sample", () => {
+    const vehicles = parseFeed(feedFile("sample-stock.xml"));
+
+    assert.deepEqual(vehicles.map((vehicle) => vehicle.stockRef), ["SM1001", "SM1002", "SM1003"]);
+
+    assert.deepEqual(vehicles[0], {
+      stockRef: "SM1001",
+      registration: "AB12 CDE",
+      make: "Volkswagen",
+      model: "Golf",
+      variant: "GTI 2.0 TSI DSG",
+      bodyType: "Hatchback",
+      year: "2018",
+      price: "14995",
+      mileage: "42100",
+      fuel: "Petrol",
+      transmission: "Automatic",
+      engine: "2.0L",
+      owners: "2",
+      colour: "White",
+      description: "Full service history, two keys.",
+      extras: "Sat nav, Heated seats",
+      photos: [
+        "https://images.example.com/sm1001-1.jpg",
+        "https://images.example.com/sm1001-2.jpg"
+      ]
+    });
+  });
+
+  test("maps dealer body styles and reads image url attributes", () => {
+    const fiesta = parseFeed(feedFile("sample-stock.xml"))[1];
+
+    assert.equal(fiesta.bodyType, "Hatchback");
+    assert.equal(fiesta.engine, "1.0L");
+    assert.deepEqual(fiesta.photos, ["https://images.example.com/sm1002-1.jpg"]);
+  });
+
+  test("reads the CSV sample, splitting the image column", () => {
+    const vehicles = parseFeed(feedFile("sample-stock.csv"));
+
+    assert.deepEqual(vehicles.map((vehicle) => vehicle.stockRef), ["SM1001", "SM1004"]);
+    assert.equal(vehicles[1].variant, "320d M Sport");
+    assert.equal(vehicles[1].price, "18500");
+    assert.deepEqual(vehicles[0].photos, [
+      "https://images.example.com/sm1001-1.jpg",
+      "https://images.example.com/sm1001-2.jpg"
+    ]);
+  });
+
+  test("leaves photos out for vehicles without images", () => {
+    const vehicles = parseFeed(feedFile("sample-stock-no-images.csv"));
+
+    assert.equal(vehicles.length, 2);
+    assert.equal("photos" in vehicles[0], false);
+  });
+
+  test("an explicit format overrides the guess", () => {
+    assert.throws(() => parseFeed(feedFile("sample-stock.csv"), "xml"));
+  });
+});
+
+describe("createFeedReader", () => {
+  const reader = createFeedReader({ fileDir: FEED_DIR });
+
+  test("reads file: feeds from the feed directory", async () => {
+    const vehicles = await reader.read({ url: "file:sample-stock.csv", format: "auto" });
+    assert.equal(vehicles.length, 2);
+  });
+
+  test("refuses files outside the feed directory", async () => {
+    await assert.rejects(
+      reader.read({ url: "file:../vehicle-lookup.json" }),
+      /inside the feed directory/
+    );
+  });
+
+  test("reports a missing file by name", async () => {
+    await assert.rejects(
+      reader.read({ url: "file:missing.xml" }),
+      /Could not read feed file missing\.xml/
+    );
+  });
+
+  test("downloads http feeds and reports failed downloads", async () => {
+    const xml = feedFile("sample-stock.xml");
+
+    const online = createFeedReader({
+      fileDir: FEED_DIR,
+      fetch: async (url) => url.endsWith("/stock.xml")
+        ? new Response(xml, { status: 200 })
+        : new Response("Not found", { status: 404 })
+    });
+
+    const vehicles = await online.read({ url: "https://dms.example.com/stock.xml" });
+    assert.equal(vehicles.length, 3);
+
+    await assert.rejects(
+      online.read({ url: "https://dms.example.com/other.xml" }),
+      /status 404/
+    );
+  });
+});
+
+describe("POST /admin-garage-feed-sync", () => {
+  const GARAGE_ID = "garage-1";
+  let fake;
+  let app;
+
+  function car(fields) {
+    return {
+      garage_id: GARAGE_ID,
+      year: 2015,
+      price: 5000,
+      registration: null,
+      photos: ["https://res.cloudinary.com/memory/image/upload/v1/cars/old.jpg"],
+      status: "available",
+      sold: false,
+      ...fields
+    };
+  }
+
+  function carByRef(stockRef) {
+    return fake.tables.cars.find((row) => row.stock_ref === stockRef);
+  }
+
+  before(async () => {
+    fake = await createFakeSupabase({
+      tables: {
+        garages: [
+          {
+            id: GARAGE_ID,
+            name: "Sample Motors",
+            account_status: "active",
+            feed_url: "file:sample-stock.xml",
+            feed_format: "auto",
+            feed_enabled: false,
+            sold_display_days: 7
+          }
+        ],
+        admin_users: [
+          { user_id: "u-admin", role: "admin", status: "active" }
+        ],
+        cars: [
+          car({ id: "car-feed-gone", name: "Ford Focus", stock_ref: "SM0999", source: "feed" }),
+          car({ id: "car-feed-draft", name: "Ford Ka", stock_ref: "SM0998", source: "feed", status: "draft" }),
+          car({ id: "car-by-hand", name: "Mini Cooper", stock_ref: "SM0500", source: "dashboard" }),
+          car({ id: "car-csv", name: "Kia Picanto", stock_ref: "SM0501", source: "csv" })
+        ],
+        dealer_feed_runs: []
+      },
+      users: {
+        "admin-token": { id: "u-admin", email: "admin@test.co" }
+      }
+    });
+
+    app = await startApp({
+      supabaseUrl: fake.url,
+      env: { DEALER_FEED_DIR: FEED_DIR }
+    });
+  });
+
+  after(async () => {
+    if (app) await app.stop();
+    if (fake) await fake.close();
+  });
+
+  async function sync() {
+    const res = await fetch(`${app.url}/admin-garage-feed-sync`, {
+      method: "POST",
+      headers: {
+        Authorization: "Bearer admin-token",
+        "Content-Type": "application/json"
+      },
+      body: JSON.stringify({ garageId: GARAGE_ID })
+    });
+
+    return { status: res.status, body: await res.json() };
+  }
+
+  test("syncs the XML sample and reports what changed", async () => {
+    const res = await sync();
+    const { run } = res.body;
+
+    assert.equal(res.status, 200);
+    assert.equal(run.status, "partial");
+    assert.equal(run.trigger, "admin");
+    assert.deepEqual(
+      [run.vehicles, run.created, run.updated, run.unchanged, run.sold, run.failed],
+      [3, 2, 0, 0, 1, 1]
+    );
+
+    // The Leaf has no price, so it is reported rather than saved
+    assert.equal(run.errors.length, 1);
+    assert.equal(run.errors[0].stockRef, "SM1003");
+    assert.equal(carByRef("SM1003"), undefined);
+
+    const golf = carByRef("SM1001");
+    assert.equal(golf.source, "feed");
+    assert.equal(golf.registration, "AB12CDE");
+    assert.equal(golf.price, 14995);
+    assert.equal(golf.photos.length, 2);
+
+    assert.equal(fake.tables.dealer_feed_runs.length, 1);
+    assert.equal(fake.tables.dealer_feed_runs[0].sold, 1);
+  });
+
+  test("only cars the feed created and published are marked sold", () => {
+    assert.equal(carByRef("SM0999").status, "sold");
+    assert.equal(carByRef("SM0998").status, "draft");
+    assert.equal(carByRef("SM0500").status, "available");
+    assert.equal(carByRef("SM0501").status, "available");
+  });
+
+  test("a second sync from the CSV sample updates, adds and sells", async () => {
+    const garage = fake.tables.garages[0];
+    garage.feed_url = "file:sample-stock.csv";
+
+    const { run } = (await sync()).body;
+
+    assert.equal(run.status, "ok");
+    assert.deepEqual(
+      [run.vehicles, run.created, run.updated, run.unchanged, run.sold, run.failed],
+      [2, 1, 1, 0, 1, 0]
+    );
+
+    assert.equal(carByRef("SM1004").source, "feed");
+    assert.equal(carByRef("SM1002").status, "sold");
+    assert.equal(carByRef("SM1001").status, "available");
+    assert.equal(carByRef("SM0500").status, "available");
+    assert.equal(carByRef("SM0998").status, "draft");
+  });
+
+  test("vehicles without images keep the photos their cars have", async () => {
+    const photos = carByRef("SM1001").photos;
+    fake.tables.garages[0].feed_url = "file:sample-stock-no-images.csv";
+
+    const { run } = (await sync()).body;
+
+    assert.equal(run.status, "ok");
+    assert.deepEqual(
+      [run.vehicles, run.created, run.updated, run.unchanged, run.sold, run.failed],
+      [2, 0, 1, 1, 0, 0]
+    );
+
+    assert.equal(photos.length, 2);
+    assert.deepEqual(carByRef("SM1001").photos, photos);
+    assert.equal(carByRef("SM1004").price, 18250);
+    assert.equal(carByRef("SM1004").photos.length, 1);
+  });
+
+  test("a sync that cannot read the feed changes nothing", async () => {
+    const before = JSON.stringify(fake.tables.cars);
+    fake.tables.garages[0].feed_url = "file:missing.xml";
+
+    const { run } = (await sync()).body;
+
+    assert.equal(run.status, "failed");
+    assert.match(run.message, /Could not read feed file/);
+    assert.equal(JSON.stringify(fake.tables.cars), before);
+  });
+});
@@ -0,0 +1,307 @@
+// Approving garage applications (garage-approval.js) against a fake
+// Supabase, failing each step in turn and checking what is left behind.
+
+const { test, describe, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createClient } = require("@supabase/supabase-js");
+
+const { APPROVAL_STALE_MS, createApplicationApprover } = require("../garage-approval");
+
+const { createFakeSupabase } = require("./support/fake-supabase");
+
+const APPLICATION_ID = "app-1";
+
+let fake;
+let approver;
+
+function application() {
+  return fake.tables.garage_applications[0];
+}
+
+function seed(fields = {}) {
+  fake.tables.garage_applications = [{
+    id: APPLICATION_ID,
+    status: "pending",
+    approval_started_at: null,
+    user_id: "u-applicant",
+    email: "owner@newmotors.co",
+    garage_name: "New Motors",
+    ...fields
+  }];
+  fake.tables.garages = [{ id: "garage-existing", name: "Existing Motors", application_id: null }];
+  fake.tables.garage_users = [{ user_id: "u-other", garage_id: "garage-existing", role: "owner" }];
+}
+
+// The rows approving APPLICATION_ID made
+function madeRows() {
+  const garages = fake.tables.garages.filter(row => row.application_id === APPLICATION_ID);
+  const ids = garages.map(row => row.id);
+
+  return {
+    garages,
+    owners: fake.tables.garage_users.filter(row => ids.includes(row.garage_id))
+  };
+}
+
+function assertNothingLeft(status = "pending") {
+  const { garages, owners } = madeRows();
+
+  assert.deepEqual(garages, []);
+  assert.deepEqual(owners, []);
+  assert.equal(fake.tables.garages.length, 1);
+  assert.equal(fake.tables.garage_users.length, 1);
+  assert.equal(application().status, status);
+  assert.equal(application().approval_started_at, null);
+}
+
+async function rejectsWith(code, check = () => {}) {
+  await assert.rejects(approver.approve(APPLICATION_ID), (error) => {
+    assert.equal(error.code, code);
+    check(error);
+    return true;
+  });
+}
+
+before(async () => {
+  fake = await createFakeSupabase({
+    unique: {
+      garages: [["application_id"]],
+      garage_users: [["user_id", "garage_id"]]
+    }
+  });
+
+  approver = createApplicationApprover({
+    client: createClient(fake.url, "test-service-key", { auth: { persistSession: false } }),
+    garageFields: (row) => ({ name: row.garage_name })
+  });
+});
+
+after(async () => {
+  await fake.close();
+});
+
+beforeEach(() => {
+  fake.clearFailures();
+  seed();
+});
+
+describe("approve", () => {
+  test("creates the garage, links the owner and approves", async () => {
+    const result = await approver.approve(APPLICATION_ID, { reviewed_by: "admin@test.co" });
+    const { garages, owners } = madeRows();
+
+    assert.equal(result.application.status, "pending");
+    assert.equal(result.approved.status, "approved");
+    assert.equal(result.garage.id, garages[0].id);
+
+    assert.equal(garages.length, 1);
+    assert.equal(garages[0].name, "New Motors");
+    assert.deepEqual(
+      owners.map(row => [row.user_id, row.role, row.status, row.subscription_status]),
+      [["u-applicant", "owner", "active", "trial"]]
+    );
+
+    assert.equal(application().status, "approved");
+    assert.equal(application().reviewed_by, "admin@test.co");
+    assert.equal(application().approval_started_at, null);
+  });
+
+  test("an unknown application is not_found", async () => {
+    fake.tables.garage_applications = [];
+    await rejectsWith("not_found");
+  });
+
+  test("an approved application is refused with the garage it made", async () => {
+    const { garage } = await approver.approve(APPLICATION_ID);
+
+    await rejectsWith("already_approved", (error) => {
+      assert.equal(error.garageId, garage.id);
+    });
+
+    assert.equal(madeRows().garages.length, 1);
+    assert.equal(madeRows().owners.length, 1);
+  });
+
+  test("a rejected application is refused and left alone", async () => {
+    seed({ status: "rejected" });
+
+    await rejectsWith("already_rejected");
+    assertNothingLeft("rejected");
+  });
+
+  test("an application without a login is refused", async () => {
+    seed({ user_id: null });
+
+    await rejectsWith("no_user");
+    assertNothingLeft();
+  });
+});
+
+describe("claim", () => {
+  test("is refused while another approval holds it", async () => {
+    const startedAt = new Date().toISOString();
+    seed({ status: "approving", approval_started_at: startedAt });
+
+    await rejectsWith("in_progress");
+
+    assert.equal(application().status, "approving");
+    assert.equal(application().approval_started_at, startedAt);
+    assert.deepEqual(madeRows().garages, []);
+  });
+
+  test("is taken over once it is stale, reusing the garage the dead attempt made", async () => {
+    seed({
+      status: "approving",
+      approval_started_at: new Date(Date.now() - APPROVAL_STALE_MS - 60 * 1000).toISOString()
+    });
+
+    fake.tables.garages.push({ id: "garage-half-made", name: "New Motors", application_id: APPLICATION_ID });
+
+    const result = await approver.approve(APPLICATION_ID);
+    const { garages, owners } = madeRows();
+
+    assert.equal(result.approved.status, "approved");
+    assert.deepEqual(garages.map(row => row.id), ["garage-half-made"]);
+    assert.equal(owners.length, 1);
+  });
+
+  test("a failed claim changes nothing", async () => {
+    fake.fail("PATCH", "garage_applications", { message: "connection reset" });
+
+    await assert.rejects(approver.approve(APPLICATION_ID), (error) => {
+      assert.equal(error.message, "connection reset");
+      return true;
+    });
+    assertNothingLeft();
+  });
+});
+
+describe("a failing step is undone", () => {
+  test("garage insert failing puts the application back", async () => {
+    seed({ status: "info_requested" });
+    fake.fail("POST", "garages", { code: "23502", message: "null value in column" });
+
+    await rejectsWith("approval_failed", (error) => {
+      assert.equal(error.step, "garage");
+      assert.equal(error.cleanedUp, true);
+      assert.equal(error.cause.code, "23502");
+    });
+
+    assertNothingLeft("info_requested");
+  });
+
+  test("a unique clash on the garage uses the garage another approval just made", async () => {
+    // Another approval inserts the garage between the lookup and the insert
+    fake.fail("POST", "garages", { code: "23505", message: "duplicate key value" }, {
+      status: 409,
+      match: () => {
+        fake.tables.garages.push({ id: "garage-raced", name: "New Motors", application_id: APPLICATION_ID });
+        return true;
+      }
+    });
+
+    const result = await approver.approve(APPLICATION_ID);
+
+    assert.equal(result.garage.id, "garage-raced");
+    assert.deepEqual(madeRows().garages.map(row => row.id), ["garage-raced"]);
+    assert.equal(madeRows().owners.length, 1);
+    assert.equal(application().status, "approved");
+  });
+
+  test("a unique clash with no garage to reuse is undone", async () => {
+    fake.fail("POST", "garages", { code: "23505", message: "duplicate key value" }, { status: 409 });
+
+    await rejectsWith("approval_failed", (error) => {
+      assert.equal(error.step, "garage");
+      assert.equal(error.cleanedUp, true);
+    });
+
+    assertNothingLeft();
+  });
+
+  test("owner link failing deletes the new garage", async () => {
+    fake.fail("POST", "garage_users", { message: "insert failed" });
+
+    await rejectsWith("approval_failed", (error) => {
+      assert.equal(error.step, "link");
+      assert.equal(error.cleanedUp, true);
+    });
+
+    assertNothingLeft();
+  });
+
+  test("finish failing unlinks the owner and deletes the garage", async () => {
+    fake.fail("PATCH", "garage_applications", { message: "update failed" }, {
+      match: (request) => request.body.status === "approved"
+    });
+
+    await rejectsWith("approval_failed", (error) => {
+      assert.equal(error.step, "finish");
+      assert.equal(error.cleanedUp, true);
+    });
+
+    assertNothingLeft();
+  });
+
+  test("an application changed during approval is undone", async () => {
+    // Someone rejects it while the garage is being made
+    fake.fail("POST", "garage_users", {}, {
+      status: 201,
+      match: () => {
+        application().status = "rejected";
+        return false;
+      }
+    });
+
+    await rejectsWith("approval_failed", (error) => {
+      assert.equal(error.step, "finish");
+      assert.match(error.message, /changed while it was being approved/);
+    });
+
+    const { garages, owners } = madeRows();
+    assert.deepEqual(garages, []);
+    assert.deepEqual(owners, []);
+    assert.equal(application().status, "rejected");
+  });
+
+  test("undo failing reports cleanedUp false and a retry reuses what was left", async () => {
+    fake.fail("POST", "garage_users", { message: "insert failed" });
+    fake.fail("DELETE", "garages", { message: "delete failed" });
+
+    await rejectsWith("approval_failed", (error) => {
+      assert.equal(error.step, "link");
+      assert.equal(error.cleanedUp, false);
+    });
+
+    // The garage could not be deleted, but the claim was still released
+    const left = madeRows().garages;
+    assert.equal(left.length, 1);
+    assert.deepEqual(madeRows().owners, []);
+    assert.equal(application().status, "pending");
+    assert.equal(application().approval_started_at, null);
+
+    const result = await approver.approve(APPLICATION_ID);
+
+    assert.equal(result.garage.id, left[0].id);
+    assert.equal(madeRows().garages.length, 1);
+    assert.equal(madeRows().owners.length, 1);
+    assert.equal(application().status, "approved");
+  });
+
+  test("releasing the claim failing leaves it to go stale", async () => {
+    fake.fail("POST", "garages", { message: "insert failed" });
+    fake.fail("PATCH", "garage_applications", { message: "release failed" }, {
+      match: (request) => request.body.status === "pending"
+    });
+
+    await rejectsWith("approval_failed", (error) => {
+      assert.equal(error.step, "garage");
+      assert.equal(error.cleanedUp, false);
+    });
+
+    assert.deepEqual(madeRows().garages, []);
+    assert.equal(application().status, "approving");
+
+    await rejectsWith("in_progress");
+  });
+});
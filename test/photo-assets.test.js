@@ -0,0 +1,248 @@
+// Photo records and clean-up (photo-assets.js) against the in-memory
+// Cloudinary client and a fake Supabase, and car edits that leave
+// photos out through PUT /my-cars.
+
+const { test, describe, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createClient } = require("@supabase/supabase-js");
+
+const { createPhotoStore, createMemoryClient } = require("../photo-store");
+const { createPhotoAssets, PHOTO_ORPHAN_GRACE_MS } = require("../photo-assets");
+
+const { createFakeSupabase } = require("./support/fake-supabase");
+const { startApp } = require("./support/app");
+
+const NOW = new Date("2026-06-01T12:00:00Z");
+const OLD = new Date(NOW.getTime() - PHOTO_ORPHAN_GRACE_MS - 60 * 1000).toISOString();
+const RECENT = new Date(NOW.getTime() - 60 * 1000).toISOString();
+
+function photoUrl(publicId) {
+  return `https://res.cloudinary.com/memory/image/upload/v1/${publicId}.webp`;
+}
+
+describe("photo assets", () => {
+  let fake;
+  let cloudinary;
+  let assets;
+
+  function seedAsset(publicId, createdAt = OLD, bytes = 1000) {
+    cloudinary.assets.set(publicId, {
+      public_id: publicId,
+      secure_url: photoUrl(publicId),
+      created_at: createdAt,
+      bytes
+    });
+  }
+
+  before(async () => {
+    fake = await createFakeSupabase();
+  });
+
+  after(async () => {
+    await fake.close();
+  });
+
+  beforeEach(() => {
+    fake.tables.cars = [];
+    fake.tables.garages = [];
+    fake.tables.photo_assets = [];
+    fake.requests.length = 0;
+
+    cloudinary = createMemoryClient({ cloudName: "memory" });
+
+    assets = createPhotoAssets({
+      client: createClient(fake.url, "test-service-key", { auth: { persistSession: false } }),
+      photoStore: createPhotoStore({ client: cloudinary, folder: "cars", cloudName: "memory" }),
+      now: () => NOW
+    });
+  });
+
+  test("upload stores the photo and records its public id", async () => {
+    const url = await assets.upload("/tmp/upload-1.jpg", "garage-1", { public_id: "first" });
+
+    assert.equal(url, photoUrl("cars/first"));
+    assert.ok(cloudinary.assets.has("cars/first"));
+    assert.deepEqual(
+      fake.tables.photo_assets.map(row => [row.public_id, row.url, row.garage_id]),
+      [["cars/first", url, "garage-1"]]
+    );
+  });
+
+  test("release deletes photos nothing else uses", async () => {
+    for (const id of ["cars/gone", "cars/shared", "cars/plain", "cars/logo", "cars/banner"]) {
+      seedAsset(id);
+    }
+
+    fake.tables.photo_assets.push({ public_id: "cars/gone", url: photoUrl("cars/gone") });
+
+    // Still used: by another car ({ url } and plain url forms) and by a garage
+    fake.tables.cars.push(
+      { id: "car-2", photos: [{ url: photoUrl("cars/shared"), caption: null, cover: true }] },
+      { id: "car-3", photos: [photoUrl("cars/plain")] }
+    );
+    fake.tables.garages.push(
+      { id: "garage-1", logo_url: photoUrl("cars/logo"), banner_url: null },
+      { id: "garage-2", logo_url: null, banner_url: photoUrl("cars/banner") }
+    );
+
+    const removed = await assets.release([
+      photoUrl("cars/gone"),
+      photoUrl("cars/shared"),
+      photoUrl("cars/plain"),
+      photoUrl("cars/logo"),
+      photoUrl("cars/banner"),
+      "https://images.example.com/not-ours.jpg"
+    ]);
+
+    assert.equal(removed, 1);
+    assert.deepEqual(
+      [...cloudinary.assets.keys()].sort(),
+      ["cars/banner", "cars/logo", "cars/plain", "cars/shared"]
+    );
+    assert.deepEqual(fake.tables.photo_assets, []);
+  });
+
+  test("release only reads the rows that hold the released urls", async () => {
+    seedAsset("cars/gone");
+
+    for (let i = 0; i < 30; i++) {
+      fake.tables.cars.push({ id: `car-${i}`, photos: [photoUrl(`cars/other-${i}`)] });
+    }
+
+    await assets.release([photoUrl("cars/gone")]);
+
+    const reads = fake.requests.filter(request =>
+      request.method === "GET" && ["cars", "garages"].includes(request.table));
+
+    assert.equal(reads.length, 2);
+
+    for (const request of reads) {
+      assert.ok(request.params.get("or").includes("cars/gone"));
+      assert.equal(request.params.has("offset"), false);
+    }
+
+    assert.equal(cloudinary.assets.has("cars/gone"), false);
+  });
+
+  test("release keeps going when one delete fails", async () => {
+    seedAsset("cars/a");
+    seedAsset("cars/b");
+
+    const destroy = cloudinary.uploader.destroy;
+    cloudinary.uploader.destroy = async (publicId) =>
+      publicId === "cars/a" ? { result: "error" } : destroy(publicId);
+
+    const removed = await assets.release([photoUrl("cars/a"), photoUrl("cars/b")]);
+
+    assert.equal(removed, 1);
+    assert.deepEqual([...cloudinary.assets.keys()], ["cars/a"]);
+  });
+
+  test("findOrphans lists old assets nothing uses, oldest first", async () => {
+    seedAsset("cars/used");
+    seedAsset("cars/logo");
+    seedAsset("cars/orphan-newer", new Date(NOW.getTime() - PHOTO_ORPHAN_GRACE_MS - 1000).toISOString(), 200);
+    seedAsset("cars/orphan-older", OLD, 300);
+    seedAsset("cars/just-uploaded", RECENT);
+
+    fake.tables.cars.push({ id: "car-1", photos: [{ url: photoUrl("cars/used") }] });
+    fake.tables.garages.push({ id: "garage-1", logo_url: photoUrl("cars/logo"), banner_url: null });
+
+    const orphans = await assets.findOrphans();
+
+    assert.deepEqual(
+      orphans.map(orphan => [orphan.publicId, orphan.bytes]),
+      [["cars/orphan-older", 300], ["cars/orphan-newer", 200]]
+    );
+  });
+
+  test("removeOrphans deletes the orphans and counts failures", async () => {
+    seedAsset("cars/used");
+    seedAsset("cars/orphan-1", OLD, 300);
+    seedAsset("cars/orphan-2", OLD, 200);
+    seedAsset("cars/stuck", OLD, 100);
+
+    fake.tables.cars.push({ id: "car-1", photos: [photoUrl("cars/used")] });
+    fake.tables.photo_assets.push({ public_id: "cars/orphan-1", url: photoUrl("cars/orphan-1") });
+
+    const destroy = cloudinary.uploader.destroy;
+    cloudinary.uploader.destroy = async (publicId) =>
+      publicId === "cars/stuck" ? { result: "error" } : destroy(publicId);
+
+    const result = await assets.removeOrphans();
+
+    assert.deepEqual(result, { removed: 2, failed: 1, bytes: 500 });
+    assert.deepEqual([...cloudinary.assets.keys()].sort(), ["cars/stuck", "cars/used"]);
+    assert.deepEqual(fake.tables.photo_assets, []);
+  });
+});
+
+describe("PUT /my-cars without photos", () => {
+  const GARAGE_ID = "garage-1";
+  const PHOTOS = [
+    { url: photoUrl("cars/front"), caption: "Front", cover: true },
+    { url: photoUrl("cars/back"), caption: null, cover: false }
+  ];
+
+  let fake;
+  let app;
+
+  before(async () => {
+    fake = await createFakeSupabase({
+      tables: {
+        garages: [{ id: GARAGE_ID, name: "Test Motors", account_status: "active" }],
+        garage_users: [{ user_id: "u-owner", garage_id: GARAGE_ID, role: "owner", status: "active" }],
+        cars: [{
+          id: "car-1",
+          garage_id: GARAGE_ID,
+          name: "Ford Fiesta Zetec",
+          make: "Ford",
+          model: "Fiesta",
+          variant: "Zetec",
+          year: 2018,
+          price: 7250,
+          status: "available",
+          sold: false,
+          photos: PHOTOS
+        }],
+        photo_assets: [
+          { public_id: "cars/front", url: photoUrl("cars/front") },
+          { public_id: "cars/back", url: photoUrl("cars/back") }
+        ]
+      },
+      users: { "owner-token": { id: "u-owner", email: "owner@testmotors.co" } }
+    });
+
+    app = await startApp({ supabaseUrl: fake.url });
+  });
+
+  after(async () => {
+    if (app) await app.stop();
+    if (fake) await fake.close();
+  });
+
+  test("keeps the car's photos and their assets", async () => {
+    const res = await fetch(`${app.url}/my-cars`, {
+      method: "PUT",
+      headers: {
+        Authorization: "Bearer owner-token",
+        "Content-Type": "application/json"
+      },
+      body: JSON.stringify({
+        id: "car-1",
+        make: "Ford",
+        model: "Fiesta",
+        variant: "Zetec",
+        year: 2018,
+        price: 6995
+      })
+    });
+
+    assert.equal(res.status, 200);
+
+    const car = fake.tables.cars[0];
+    assert.equal(car.price, 6995);
+    assert.deepEqual(car.photos, PHOTOS);
+    assert.equal(fake.tables.photo_assets.length, 2);
+  });
+});
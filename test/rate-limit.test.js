@@ -0,0 +1,70 @@
+// Fixed-window counting in rate-limit.js with the memory store and a
+// fake clock.
+
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createMemoryStore, createRateLimiter } = require("../rate-limit");
+
+function clock(start = 1000000) {
+  const time = { now: start };
+  return { time, now: () => time.now };
+}
+
+describe("createMemoryStore", () => {
+  test("counts hits in a window and starts again when it ends", async () => {
+    const { time, now } = clock();
+    const store = createMemoryStore({ now });
+
+    assert.deepEqual(await store.hit("a", 1000), { count: 1, resetAt: time.now + 1000 });
+    assert.equal((await store.hit("a", 1000)).count, 2);
+
+    time.now += 1000;
+    assert.deepEqual(await store.hit("a", 1000), { count: 1, resetAt: time.now + 1000 });
+  });
+
+  test("sweeps ended windows when full", async () => {
+    const { time, now } = clock();
+    const store = createMemoryStore({ now, maxKeys: 3 });
+
+    await store.hit("a", 1000);
+    await store.hit("b", 1000);
+    await store.hit("c", 60000);
+
+    time.now += 1000;
+    await store.hit("d", 1000);
+
+    assert.deepEqual([...store.windows.keys()], ["c", "d"]);
+  });
+
+  test("drops the oldest live window rather than growing past maxKeys", async () => {
+    const { time, now } = clock();
+    const store = createMemoryStore({ now, maxKeys: 3 });
+
+    for (const key of ["a", "b", "c", "d", "e"]) {
+      await store.hit(key, 60000);
+      time.now += 1;
+    }
+
+    assert.equal(store.windows.size, 3);
+    assert.deepEqual([...store.windows.keys()], ["c", "d", "e"]);
+
+    // "a" was dropped, so it counts from one again
+    assert.equal((await store.hit("a", 60000)).count, 1);
+    assert.deepEqual([...store.windows.keys()], ["d", "e", "a"]);
+  });
+});
+
+describe("createRateLimiter", () => {
+  test("allows up to the limit and says when to retry", async () => {
+    const { time, now } = clock();
+    const limiter = createRateLimiter({ store: createMemoryStore({ now }), now });
+    const limits = { limit: 2, windowMs: 60000 };
+
+    assert.equal((await limiter.check("ip", limits)).allowed, true);
+    assert.equal((await limiter.check("ip", limits)).allowed, true);
+
+    time.now += 15000;
+    assert.deepEqual(await limiter.check("ip", limits), { allowed: false, count: 3, retryAfter: 45 });
+  });
+});
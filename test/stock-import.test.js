@@ -0,0 +1,88 @@
+// CSV stock import through POST /my-cars-import: re-importing cars the
+// garage already has, matched on stock_ref, and what that does to their
+// stored photos.
+
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createFakeSupabase } = require("./support/fake-supabase");
+const { startApp } = require("./support/app");
+
+const GARAGE_ID = "garage-1";
+
+function photoUrl(publicId) {
+  return `https://res.cloudinary.com/memory/image/upload/v1/${publicId}.webp`;
+}
+
+const PHOTOS = [
+  { url: photoUrl("cars/front"), caption: "Front", cover: true },
+  { url: photoUrl("cars/back"), caption: null, cover: false }
+];
+
+describe("re-importing a car without photos", () => {
+  let fake;
+  let app;
+
+  before(async () => {
+    fake = await createFakeSupabase({
+      tables: {
+        garages: [{ id: GARAGE_ID, name: "Test Motors", account_status: "active" }],
+        garage_users: [{ user_id: "u-owner", garage_id: GARAGE_ID, role: "owner", status: "active" }],
+        cars: [{
+          id: "car-1",
+          garage_id: GARAGE_ID,
+          stock_ref: "TM100",
+          name: "Ford Fiesta Zetec",
+          make: "Ford",
+          model: "Fiesta",
+          variant: "Zetec",
+          year: 2018,
+          price: 7250,
+          status: "available",
+          sold: false,
+          source: "csv",
+          photos: PHOTOS
+        }],
+        photo_assets: [
+          { public_id: "cars/front", url: photoUrl("cars/front") },
+          { public_id: "cars/back", url: photoUrl("cars/back") }
+        ]
+      },
+      users: { "owner-token": { id: "u-owner", email: "owner@testmotors.co" } }
+    });
+
+    app = await startApp({ supabaseUrl: fake.url });
+  });
+
+  after(async () => {
+    if (app) await app.stop();
+    if (fake) await fake.close();
+  });
+
+  test("keeps the matched car's photos and their assets", async () => {
+    const res = await fetch(`${app.url}/my-cars-import`, {
+      method: "POST",
+      headers: {
+        Authorization: "Bearer owner-token",
+        "Content-Type": "application/json"
+      },
+      body: JSON.stringify({
+        csv: "stock_ref,make,model,variant,year,price\nTM100,Ford,Fiesta,Zetec,2018,6995\n",
+        dryRun: false
+      })
+    });
+
+    const body = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(body.rows.map(row => [row.stockRef, row.action, row.status]), [["TM100", "update", "updated"]]);
+
+    const car = fake.tables.cars[0];
+    assert.equal(car.price, 6995);
+    assert.deepEqual(car.photos, PHOTOS);
+
+    // Nothing was released, so no stored photo was deleted
+    assert.equal(fake.tables.photo_assets.length, 2);
+    assert.equal(fake.requests.some(request => request.table === "photo_assets"), false);
+  });
+});
@@ -0,0 +1,212 @@
+// POST /stripe-webhook, replaying the events in fixtures/stripe signed
+// with a local secret. No request leaves the machine.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const Stripe = require("stripe");
+
+const { createFakeSupabase } = require("./support/fake-supabase");
+const { startApp } = require("./support/app");
+
+const WEBHOOK_SECRET = "whsec_test_secret";
+const GARAGE_ID = "3f1c2b7e-8a4d-4c51-9e2a-6b0d9f1a7c35";
+const OTHER_GARAGE_ID = "9d2e4f60-1b3a-4c8d-a7e5-2f6b8c0d1e93";
+
+function fixture(name) {
+  return require(path.join(__dirname, "..", "fixtures", "stripe", `${name}.json`));
+}
+
+let fake;
+let app;
+
+before(async () => {
+  fake = await createFakeSupabase({
+    tables: {
+      garages: [
+        {
+          id: GARAGE_ID,
+          name: "Test Motors",
+          email: "owner@testmotors.co",
+          billing_status: "free_trial",
+          trial_start: "2025-09-01",
+          trial_end: "2025-12-01",
+          account_status: "paused",
+          paused_reason: "trial_ended",
+          stripe_customer_id: null,
+          stripe_subscription_id: null,
+          billing_synced_at: null
+        },
+        {
+          id: OTHER_GARAGE_ID,
+          name: "Other Motors",
+          billing_status: "free_trial",
+          account_status: "active",
+          stripe_customer_id: "cus_Other01"
+        }
+      ],
+      garage_users: [
+        { user_id: "u-owner", garage_id: GARAGE_ID, role: "owner", subscription_status: "trial" },
+        { user_id: "u-sales", garage_id: GARAGE_ID, role: "sales", subscription_status: "trial" },
+        { user_id: "u-other", garage_id: OTHER_GARAGE_ID, role: "owner", subscription_status: "trial" }
+      ],
+      billing_events: []
+    },
+    unique: { billing_events: [["event_key"]] }
+  });
+
+  app = await startApp({
+    supabaseUrl: fake.url,
+    env: { STRIPE_WEBHOOK_SECRET: WEBHOOK_SECRET }
+  });
+});
+
+after(async () => {
+  if (app) await app.stop();
+  if (fake) await fake.close();
+});
+
+async function postEvent(event, { secret = WEBHOOK_SECRET } = {}) {
+  const payload = JSON.stringify(event);
+  const signature = Stripe.webhooks.generateTestHeaderString({ payload, secret });
+
+  const res = await fetch(`${app.url}/stripe-webhook`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "Stripe-Signature": signature
+    },
+    body: payload
+  });
+
+  return { status: res.status, body: await res.json() };
+}
+
+function garage(id = GARAGE_ID) {
+  return fake.tables.garages.find((row) => row.id === id);
+}
+
+function loginStatuses(garageId = GARAGE_ID) {
+  return fake.tables.garage_users
+    .filter((row) => row.garage_id === garageId)
+    .map((row) => row.subscription_status);
+}
+
+function assertInSync(billingStatus, subscriptionStatus) {
+  assert.equal(garage().billing_status, billingStatus);
+  assert.deepEqual(loginStatuses(), [subscriptionStatus, subscriptionStatus]);
+
+  // Nothing leaks onto another garage
+  assert.equal(garage(OTHER_GARAGE_ID).billing_status, "free_trial");
+  assert.deepEqual(loginStatuses(OTHER_GARAGE_ID), ["trial"]);
+}
+
+test("rejects an event with a bad signature", async () => {
+  const res = await postEvent(fixture("customer.subscription.created"), {
+    secret: "whsec_wrong"
+  });
+
+  assert.equal(res.status, 400);
+  assert.equal(garage().stripe_subscription_id, null);
+  assert.deepEqual(loginStatuses(), ["trial", "trial"]);
+});
+
+test("checkout.session.completed links the Stripe customer", async () => {
+  const res = await postEvent(fixture("checkout.session.completed"));
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body, { received: true, handled: true });
+  assert.equal(garage().stripe_customer_id, "cus_TestMotors01");
+  assert.equal(garage().stripe_subscription_id, "sub_1TestMotors01");
+  assertInSync("free_trial", "trial");
+});
+
+test("a trialing subscription reopens a garage paused at trial end", async () => {
+  const res = await postEvent(fixture("customer.subscription.created"));
+
+  assert.deepEqual(res.body, { received: true, handled: true });
+  assertInSync("free_trial", "trial");
+  assert.equal(garage().account_status, "active");
+  assert.equal(garage().paused_reason, null);
+  assert.equal(garage().trial_end, "2026-04-01");
+
+  const resumed = fake.tables.billing_events.filter((row) =>
+    row.garage_id === GARAGE_ID && row.event_type === "trial_resumed");
+  assert.equal(resumed.length, 1);
+});
+
+test("an active subscription marks the garage and its logins as paying", async () => {
+  const res = await postEvent(fixture("customer.subscription.updated-active"));
+
+  assert.deepEqual(res.body, { received: true, handled: true });
+  assertInSync("paying", "active");
+
+  const change = fake.tables.billing_events.find((row) =>
+    row.event_type === "billing_status" && row.to_status === "paying");
+  assert.equal(change.from_status, "free_trial");
+});
+
+test("an event older than the last sync is ignored", async () => {
+  const res = await postEvent(fixture("customer.subscription.created"));
+
+  assert.deepEqual(res.body, { received: true, handled: false });
+  assertInSync("paying", "active");
+});
+
+test("invoice events are recorded without changing statuses", async () => {
+  const paid = await postEvent(fixture("invoice.paid"));
+  const failed = await postEvent(fixture("invoice.payment_failed"));
+
+  assert.deepEqual(paid.body, { received: true, handled: true });
+  assert.deepEqual(failed.body, { received: true, handled: true });
+  assertInSync("paying", "active");
+
+  const invoices = fake.tables.billing_events.filter((row) =>
+    row.event_type.startsWith("invoice_"));
+
+  assert.deepEqual(
+    invoices.map((row) => [row.event_type, row.details.invoiceId, row.details.amount]),
+    [
+      ["invoice_paid", "in_1FirstMonth", 5000],
+      ["invoice_payment_failed", "in_1SecondMonth", 5000]
+    ]
+  );
+
+  // Stripe retries deliveries; the same event is only recorded once
+  const retry = await postEvent(fixture("invoice.paid"));
+  assert.deepEqual(retry.body, { received: true, handled: false });
+  assert.equal(
+    fake.tables.billing_events.filter((row) => row.event_type === "invoice_paid").length,
+    1
+  );
+});
+
+test("a past_due subscription moves the garage and its logins to past_due", async () => {
+  const res = await postEvent(fixture("customer.subscription.updated-past_due"));
+
+  assert.deepEqual(res.body, { received: true, handled: true });
+  assertInSync("past_due", "past_due");
+});
+
+test("a deleted subscription cancels the garage and its logins", async () => {
+  const res = await postEvent(fixture("customer.subscription.deleted"));
+
+  assert.deepEqual(res.body, { received: true, handled: true });
+  assertInSync("cancelled", "cancelled");
+});
+
+test("garages kept free by an admin are not moved onto a Stripe status", async () => {
+  garage().billing_status = "free_permanent";
+
+  const event = {
+    ...fixture("customer.subscription.updated-active"),
+    id: "evt_1SubscriptionActiveAgain",
+    created: fixture("customer.subscription.deleted").created + 60
+  };
+
+  const res = await postEvent(event);
+
+  assert.deepEqual(res.body, { received: true, handled: false });
+  assert.equal(garage().billing_status, "free_permanent");
+  assert.deepEqual(loginStatuses(), ["cancelled", "cancelled"]);
+});
@@ -0,0 +1,97 @@
+/*
+  Starts server.js in a child process for a test, on a free port and
+  against a fake Supabase (see fake-supabase.js). Nothing reaches the
+  network: photos use the in-memory store and mail goes to a temporary
+  outbox directory. The child runs in a temporary directory so a
+  developer's .env is never loaded.
+
+    const app = await startApp({ supabaseUrl: fake.url, env: { ... } });
+    const res = await fetch(`${app.url}/cars`);
+    await app.stop();
+*/
+
+const { spawn } = require("child_process");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+
+const SERVER_PATH = path.join(__dirname, "..", "..", "server.js");
+const START_TIMEOUT_MS = 15000;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.unref();
+    probe.on("error", reject);
+    probe.listen(0, "127.0.0.1", () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function startApp({ supabaseUrl, env = {} }) {
+  const port = await freePort();
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "iow-car-finder-"));
+  const outboxDir = path.join(workDir, "outbox");
+
+  const child = spawn(process.execPath, [SERVER_PATH], {
+    cwd: workDir,
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      SUPABASE_URL: supabaseUrl,
+      SUPABASE_SECRET: "test-service-key",
+      PHOTO_STORE: "memory",
+      MAIL_TRANSPORT: "outbox",
+      MAIL_OUTBOX_DIR: outboxDir,
+      ...env
+    },
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+
+  let output = "";
+  child.stdout.on("data", (chunk) => { output += chunk; });
+  child.stderr.on("data", (chunk) => { output += chunk; });
+
+  const exited = new Promise((resolve) => child.once("exit", resolve));
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      reject(new Error(`server.js did not start:\n${output}`));
+    }, START_TIMEOUT_MS);
+
+    child.stdout.on("data", () => {
+      if (output.includes("Server running")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+
+    exited.then((code) => {
+      clearTimeout(timer);
+      reject(new Error(`server.js exited with ${code}:\n${output}`));
+    });
+  });
+
+  async function stop() {
+    if (child.exitCode === null) {
+      child.kill();
+      await exited;
+    }
+
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    outboxDir,
+    output: () => output,
+    stop
+  };
+}
+
+module.exports = {
+  startApp
+};
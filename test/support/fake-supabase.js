@@ -0,0 +1,535 @@
+/*
+  An in-memory stand-in for the parts of Supabase the server talks to:
+  PostgREST tables (/rest/v1/<table>), database functions
+  (/rest/v1/rpc/<fn>) and the Auth user lookup (/auth/v1/user).
+
+  Point supabase-js at fake.url, either directly with createClient or by
+  starting server.js with SUPABASE_URL set to it. Rows live in
+  fake.tables (table name -> array of plain objects), so a test seeds
+  them before the call and reads them afterwards.
+
+    const fake = await createFakeSupabase({
+      tables: { garages: [{ id: "g1", name: "Test Motors" }] },
+      unique: { garages: [["email"]] },
+      rpc: { car_search_facets: () => ({}) },
+      users: { "owner-token": { id: "u1", email: "owner@test.co" } }
+    });
+
+  Filters, or/and trees, order, limit/offset, count=exact, single and
+  maybeSingle, return=representation and upserts behave as PostgREST
+  does for the plain columns the server uses. Embedded resources
+  (select=*,garages(...)) join <singular>_id to the other table's id.
+  fake.fail(...) makes the next matching request return an error.
+*/
+
+const http = require("http");
+const crypto = require("crypto");
+
+function createFakeSupabase(options = {}) {
+  const tables = {};
+  const unique = options.unique || {};
+  const rpc = options.rpc || {};
+  const users = options.users || {};
+  const requests = [];
+  const failures = [];
+
+  for (const [name, rows] of Object.entries(options.tables || {})) {
+    tables[name] = rows.map((row) => ({ ...row }));
+  }
+
+  function table(name) {
+    if (!tables[name]) tables[name] = [];
+    return tables[name];
+  }
+
+  /*
+    The next request for method + table (GET, POST, PATCH, DELETE or
+    RPC) answers with error instead, `times` times over. match(request)
+    narrows it further, e.g. to one filter value. clearFailures() drops
+    any that have not been used.
+  */
+  function fail(method, name, error = {}, { times = 1, status = 400, match } = {}) {
+    failures.push({ method, name, error, times, status, match });
+  }
+
+  function takeFailure(request) {
+    const index = failures.findIndex((failure) =>
+      failure.method === request.method &&
+      failure.name === request.table &&
+      (!failure.match || failure.match(request))
+    );
+
+    if (index === -1) return null;
+
+    const failure = failures[index];
+    failure.times -= 1;
+    if (failure.times <= 0) failures.splice(index, 1);
+
+    return failure;
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+
+    const url = new URL(req.url, "http://localhost");
+    const raw = Buffer.concat(chunks).toString("utf8");
+    const body = raw ? JSON.parse(raw) : null;
+
+    try {
+      handle(req, res, url, body);
+    } catch (error) {
+      send(res, 500, { code: "FAKE", message: error.message });
+    }
+  });
+
+  function handle(req, res, url, body) {
+    if (url.pathname === "/auth/v1/user") {
+      const token = String(req.headers.authorization || "").replace(/^Bearer /, "");
+      const user = users[token];
+
+      if (!user) return send(res, 401, { code: 401, msg: "Invalid token" });
+      return send(res, 200, { aud: "authenticated", ...user });
+    }
+
+    const rpcMatch = url.pathname.match(/^\/rest\/v1\/rpc\/([^/]+)$/);
+
+    if (rpcMatch) {
+      const request = { method: "RPC", table: rpcMatch[1], params: url.searchParams, body };
+      requests.push(request);
+
+      const failure = takeFailure(request);
+      if (failure) return send(res, failure.status, failure.error);
+
+      const fn = rpc[rpcMatch[1]];
+
+      if (!fn) {
+        return send(res, 404, {
+          code: "PGRST202",
+          message: `Could not find the function public.${rpcMatch[1]}`
+        });
+      }
+
+      return send(res, 200, fn(body || {}, api));
+    }
+
+    const tableMatch = url.pathname.match(/^\/rest\/v1\/([^/]+)$/);
+    if (!tableMatch) return send(res, 404, { message: "Not found" });
+
+    const name = tableMatch[1];
+    const method = req.method === "HEAD" ? "GET" : req.method;
+    const request = { method, table: name, params: url.searchParams, body };
+    requests.push(request);
+
+    const failure = takeFailure(request);
+    if (failure) return send(res, failure.status, failure.error);
+
+    const prefer = String(req.headers.prefer || "");
+    const wantsObject = String(req.headers.accept || "").includes("vnd.pgrst.object");
+    const returnRows = method === "GET" || prefer.includes("return=representation");
+    const embeds = parseEmbeds(url.searchParams.get("select") || "*");
+    const filters = parseFilters(url.searchParams);
+
+    let rows;
+    let status = 200;
+
+    if (method === "GET") {
+      rows = table(name).filter((row) => matchesAll(row, filters, name));
+    }
+
+    if (method === "POST") {
+      const input = Array.isArray(body) ? body : [body];
+      const upsert = prefer.includes("resolution=merge-duplicates");
+      const conflictColumns = (url.searchParams.get("on_conflict") || "id").split(",");
+      const written = [];
+
+      for (const values of input) {
+        const existing = upsert
+          ? table(name).find((row) =>
+            conflictColumns.every((column) => row[column] === values[column]))
+          : null;
+
+        if (existing) {
+          const conflict = uniqueConflict(name, { ...existing, ...values }, existing);
+          if (conflict) return send(res, 409, conflict);
+
+          Object.assign(existing, values);
+          written.push(existing);
+          continue;
+        }
+
+        const row = {
+          id: crypto.randomUUID(),
+          created_at: new Date().toISOString(),
+          ...values
+        };
+
+        const conflict = uniqueConflict(name, row, null);
+        if (conflict) return send(res, 409, conflict);
+
+        table(name).push(row);
+        written.push(row);
+      }
+
+      rows = written;
+      status = 201;
+    }
+
+    if (method === "PATCH") {
+      rows = table(name).filter((row) => matchesAll(row, filters, name));
+
+      for (const row of rows) {
+        const conflict = uniqueConflict(name, { ...row, ...body }, row);
+        if (conflict) return send(res, 409, conflict);
+      }
+
+      for (const row of rows) Object.assign(row, body);
+    }
+
+    if (method === "DELETE") {
+      rows = table(name).filter((row) => matchesAll(row, filters, name));
+      tables[name] = table(name).filter((row) => !rows.includes(row));
+    }
+
+    if (!rows) return send(res, 405, { message: `Unsupported method ${req.method}` });
+
+    rows = sortRows(rows, url.searchParams.get("order"));
+
+    const total = rows.length;
+    const offset = Number(url.searchParams.get("offset") || 0);
+    const limit = url.searchParams.has("limit")
+      ? Number(url.searchParams.get("limit"))
+      : Infinity;
+
+    rows = rows.slice(offset, offset + limit);
+
+    if (offset > 0 && offset >= total && total > 0) {
+      return send(res, 416, {
+        code: "PGRST103",
+        message: "Requested range not satisfiable",
+        details: `An offset of ${offset} was requested, but there are only ${total} rows.`
+      });
+    }
+
+    const output = rows.map((row) => withEmbeds(row, embeds, name));
+    const headers = {};
+
+    if (prefer.includes("count=exact")) {
+      headers["Content-Range"] = output.length
+        ? `${offset}-${offset + output.length - 1}/${total}`
+        : `*/${total}`;
+    }
+
+    if (!returnRows) return send(res, method === "POST" ? 201 : 204, null, headers);
+
+    if (wantsObject) {
+      if (output.length !== 1) {
+        return send(res, 406, {
+          code: "PGRST116",
+          message: "JSON object requested, multiple (or no) rows returned",
+          details: `The result contains ${output.length} rows`
+        });
+      }
+
+      return send(res, status, output[0], headers, req.method === "HEAD");
+    }
+
+    return send(res, status, output, headers, req.method === "HEAD");
+  }
+
+  function uniqueConflict(name, row, existing) {
+    for (const columns of unique[name] || []) {
+      const clash = table(name).find((other) =>
+        other !== existing &&
+        columns.every((column) => row[column] != null && other[column] === row[column])
+      );
+
+      if (clash) {
+        return {
+          code: "23505",
+          message: `duplicate key value violates unique constraint "${name}_${columns.join("_")}_key"`
+        };
+      }
+    }
+
+    return null;
+  }
+
+  function withEmbeds(row, embeds, name) {
+    if (!embeds.length) return { ...row };
+
+    const out = { ...row };
+
+    for (const embed of embeds) {
+      out[embed.alias] = findEmbedded(row, embed.table, name);
+    }
+
+    return out;
+  }
+
+  function findEmbedded(row, other, name) {
+    const foreignKey = `${singular(other)}_id`;
+
+    if (foreignKey in row) {
+      const match = table(other).find((candidate) => candidate.id === row[foreignKey]);
+      return match ? { ...match } : null;
+    }
+
+    const backKey = `${singular(name)}_id`;
+    return table(other)
+      .filter((candidate) => candidate[backKey] === row.id)
+      .map((candidate) => ({ ...candidate }));
+  }
+
+  function matchesAll(row, filters, name) {
+    return filters.every((filter) => matches(row, filter, name));
+  }
+
+  function matches(row, filter, name) {
+    if (filter.logic) {
+      const results = filter.items.map((item) => matches(row, item, name));
+      const result = filter.logic === "or" ? results.some(Boolean) : results.every(Boolean);
+      return filter.negate ? !result : result;
+    }
+
+    const path = filter.column.split(".");
+    let value = row;
+
+    if (path.length > 1) {
+      const embedded = findEmbedded(row, path[0], name);
+      value = Array.isArray(embedded) ? embedded[0] : embedded;
+      path.shift();
+    }
+
+    value = value == null ? null : value[path[0]];
+
+    const result = compare(value, filter.operator, filter.value);
+    return filter.negate ? !result : result;
+  }
+
+  const api = {
+    get url() {
+      return `http://127.0.0.1:${server.address().port}`;
+    },
+    tables,
+    requests,
+    table,
+    fail,
+    clearFailures: () => failures.splice(0),
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => resolve(api));
+  });
+}
+
+function send(res, status, body, headers = {}, headOnly = false) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    ...headers
+  });
+
+  res.end(body == null || headOnly ? undefined : JSON.stringify(body));
+}
+
+function singular(name) {
+  return name.endsWith("s") ? name.slice(0, -1) : name;
+}
+
+const RESERVED_PARAMS = new Set(["select", "order", "limit", "offset", "on_conflict", "columns"]);
+
+function parseEmbeds(select) {
+  return splitTopLevel(select)
+    .map((part) => part.trim().match(/^(?:(\w+):)?(\w+)(?:!\w+)?\(/))
+    .filter(Boolean)
+    .map((match) => ({ alias: match[1] || match[2], table: match[2] }));
+}
+
+function parseFilters(params) {
+  const filters = [];
+
+  for (const [key, raw] of params) {
+    if (RESERVED_PARAMS.has(key)) continue;
+
+    const logic = key.match(/^(not\.)?(or|and)$/);
+
+    if (logic) {
+      filters.push(parseLogic(logic[2], raw.slice(1, -1), Boolean(logic[1])));
+      continue;
+    }
+
+    filters.push(parseCondition(key, raw));
+  }
+
+  return filters;
+}
+
+function parseLogic(logic, inner, negate) {
+  const items = splitTopLevel(inner).map((part) => {
+    const nested = part.match(/^(not\.)?(or|and)\((.*)\)$/s);
+    if (nested) return parseLogic(nested[2], nested[3], Boolean(nested[1]));
+
+    const dot = part.search(/\.(not\.)?(eq|neq|gt|gte|lt|lte|is|in|like|ilike|cs|cd)\./);
+    return parseCondition(part.slice(0, dot), part.slice(dot + 1));
+  });
+
+  return { logic, items, negate };
+}
+
+function parseCondition(column, raw) {
+  let rest = raw;
+  let negate = false;
+
+  if (rest.startsWith("not.")) {
+    negate = true;
+    rest = rest.slice(4);
+  }
+
+  const dot = rest.indexOf(".");
+  const operator = rest.slice(0, dot);
+  let value = unquote(rest.slice(dot + 1));
+
+  if (operator === "in") {
+    value = splitTopLevel(value.slice(1, -1)).map(unquote);
+  }
+
+  return { column, operator, value, negate };
+}
+
+function unquote(value) {
+  if (!value.startsWith("\"") || !value.endsWith("\"")) return value;
+  return value.slice(1, -1).replace(/\\(.)/g, "$1");
+}
+
+// Splits on commas outside parentheses and double quotes
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let current = "";
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted && char === "\\") {
+      current += char + text[i + 1];
+      i++;
+      continue;
+    }
+
+    if (char === "\"") quoted = !quoted;
+    if (!quoted && char === "(") depth++;
+    if (!quoted && char === ")") depth--;
+
+    if (!quoted && depth === 0 && char === ",") {
+      parts.push(current);
+      current = "";
+      continue;
+    }
+
+    current += char;
+  }
+
+  if (current) parts.push(current);
+  return parts;
+}
+
+function coerce(value, sample) {
+  if (value === "null") return null;
+  if (typeof sample === "number") return Number(value);
+  if (typeof sample === "boolean") return value === "true";
+  return value;
+}
+
+function likePattern(pattern, flags) {
+  const source = pattern
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\%]/g, "\\$&"))
+    .join(".*");
+
+  return new RegExp(`^${source}$`, flags);
+}
+
+function contains(haystack, needle) {
+  if (Array.isArray(needle)) {
+    return Array.isArray(haystack) &&
+      needle.every((item) => haystack.some((entry) => contains(entry, item)));
+  }
+
+  if (needle && typeof needle === "object") {
+    return haystack != null && typeof haystack === "object" &&
+      Object.entries(needle).every(([key, item]) => contains(haystack[key], item));
+  }
+
+  return haystack === needle;
+}
+
+function compare(actual, operator, expected) {
+  if (operator === "is") {
+    if (expected === "null") return actual == null;
+    if (expected === "true") return actual === true;
+    if (expected === "false") return actual === false;
+  }
+
+  if (operator === "in") {
+    return expected.some((item) => actual === coerce(item, actual));
+  }
+
+  if (operator === "cs") return contains(actual, JSON.parse(expected));
+  if (operator === "cd") return contains(JSON.parse(expected), actual);
+
+  if (operator === "like" || operator === "ilike") {
+    return actual != null &&
+      likePattern(expected, operator === "ilike" ? "i" : "").test(String(actual));
+  }
+
+  const value = coerce(expected, actual);
+
+  if (operator === "eq") return actual === value;
+  if (operator === "neq") return actual !== value;
+  if (actual == null || value == null) return false;
+
+  const left = typeof actual === "number" ? actual : Date.parse(actual) || actual;
+  const right = typeof actual === "number" ? value : Date.parse(value) || value;
+
+  if (operator === "gt") return left > right;
+  if (operator === "gte") return left >= right;
+  if (operator === "lt") return left < right;
+  if (operator === "lte") return left <= right;
+
+  throw new Error(`Unsupported filter operator ${operator}`);
+}
+
+function sortRows(rows, order) {
+  if (!order) return rows;
+
+  const keys = order.split(",").map((part) => {
+    const [column, ...modifiers] = part.split(".");
+    return {
+      column,
+      descending: modifiers.includes("desc"),
+      nullsFirst: modifiers.includes("nullsfirst") ||
+        (modifiers.includes("desc") && !modifiers.includes("nullslast"))
+    };
+  });
+
+  return [...rows].sort((a, b) => {
+    for (const { column, descending, nullsFirst } of keys) {
+      const left = a[column];
+      const right = b[column];
+
+      if (left == null && right == null) continue;
+      if (left == null) return nullsFirst ? -1 : 1;
+      if (right == null) return nullsFirst ? 1 : -1;
+      if (left < right) return descending ? 1 : -1;
+      if (left > right) return descending ? -1 : 1;
+    }
+
+    return 0;
+  });
+}
+
+module.exports = {
+  createFakeSupabase
+};
@@ -0,0 +1,185 @@
+// Vehicle lookup by registration: the provider interface in
+// vehicle-lookup.js and GET /vehicle-lookup, both answered from
+// fixtures/vehicle-lookup.json.
+
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const {
+  createVehicleLookup,
+  createFixtureProvider,
+  normaliseRegistration
+} = require("../vehicle-lookup");
+
+const { createFakeSupabase } = require("./support/fake-supabase");
+const { startApp } = require("./support/app");
+
+const FIXTURES = path.join(__dirname, "..", "fixtures", "vehicle-lookup.json");
+
+describe("normaliseRegistration", () => {
+  test("uppercases and strips spaces and punctuation", () => {
+    assert.equal(normaliseRegistration("ab12 cde"), "AB12CDE");
+    assert.equal(normaliseRegistration(" AB12-CDE "), "AB12CDE");
+    assert.equal(normaliseRegistration("a1"), "A1");
+  });
+
+  test("rejects values that cannot be a UK registration", () => {
+    assert.equal(normaliseRegistration(""), null);
+    assert.equal(normaliseRegistration(null), null);
+    assert.equal(normaliseRegistration("ABCDEFG"), null);
+    assert.equal(normaliseRegistration("1234567"), null);
+    assert.equal(normaliseRegistration("AB12CDEFG"), null);
+  });
+});
+
+describe("createVehicleLookup with the fixture provider", () => {
+  const lookup = createVehicleLookup({
+    env: { VEHICLE_LOOKUP_PROVIDER: "fixture", VEHICLE_LOOKUP_FIXTURES: FIXTURES }
+  });
+
+  test("names the provider", () => {
+    assert.equal(lookup.provider, "fixture");
+  });
+
+  test("a known registration comes back as car fields", async () => {
+    assert.deepEqual(await lookup.lookup("AB12CDE"), {
+      registration: "AB12CDE",
+      make: "Volkswagen",
+      model: "Golf",
+      variant: "GTI",
+      name: "Volkswagen Golf GTI",
+      year: 2018,
+      fuel: "Petrol",
+      transmission: "Automatic",
+      engine: "2.0L",
+      colour: "White",
+      motUntil: "Mar 2027"
+    });
+  });
+
+  test("makes, badges and fuels keep their usual spelling", async () => {
+    const bmw = await lookup.lookup("EF68JKL");
+    assert.equal(bmw.make, "BMW");
+    assert.equal(bmw.name, "BMW 320D M Sport");
+
+    const leaf = await lookup.lookup("GH21MNO");
+    assert.equal(leaf.fuel, "Electric");
+    assert.equal(leaf.engine, null);
+    assert.equal(leaf.motUntil, null);
+  });
+
+  test("an unknown registration is null", async () => {
+    assert.equal(await lookup.lookup("ZZ99ZZZ"), null);
+  });
+});
+
+describe("createVehicleLookup with a custom provider", () => {
+  test("passes the registration through and normalises the record", async () => {
+    const asked = [];
+
+    const lookup = createVehicleLookup({
+      provider: {
+        name: "stub",
+        async lookup(registration) {
+          asked.push(registration);
+          return registration === "KL19XYZ"
+            ? { make: "land rover", model: "range rover evoque hse", yearOfManufacture: "2019" }
+            : null;
+        }
+      }
+    });
+
+    const vehicle = await lookup.lookup("KL19XYZ");
+
+    assert.equal(lookup.provider, "stub");
+    assert.equal(vehicle.make, "Land Rover");
+    assert.equal(vehicle.year, 2019);
+    assert.equal(await lookup.lookup("KL19XYA"), null);
+    assert.deepEqual(asked, ["KL19XYZ", "KL19XYA"]);
+  });
+
+  test("the fixture provider returns raw DVLA-shaped records", async () => {
+    const provider = createFixtureProvider(FIXTURES);
+    const record = await provider.lookup("CD18FGH");
+
+    assert.equal(record.make, "FORD");
+    assert.equal(record.engineCapacity, 998);
+    assert.equal(await provider.lookup("cd18fgh"), null);
+  });
+});
+
+describe("GET /vehicle-lookup", () => {
+  const GARAGE_ID = "garage-1";
+  let fake;
+  let app;
+
+  before(async () => {
+    fake = await createFakeSupabase({
+      tables: {
+        garages: [
+          { id: GARAGE_ID, name: "Test Motors", account_status: "active" },
+          { id: "garage-2", name: "Other Motors", account_status: "active" }
+        ],
+        garage_users: [
+          { user_id: "u-owner", garage_id: GARAGE_ID, role: "owner", status: "active" }
+        ],
+        cars: [
+          { id: "car-1", garage_id: "garage-2", registration: "CD18FGH", status: "available", sold: false }
+        ]
+      },
+      users: {
+        "owner-token": { id: "u-owner", email: "owner@testmotors.co" }
+      }
+    });
+
+    app = await startApp({
+      supabaseUrl: fake.url,
+      env: { VEHICLE_LOOKUP_PROVIDER: "fixture", VEHICLE_LOOKUP_FIXTURES: FIXTURES }
+    });
+  });
+
+  after(async () => {
+    if (app) await app.stop();
+    if (fake) await fake.close();
+  });
+
+  async function get(reg, token = "owner-token") {
+    const res = await fetch(`${app.url}/vehicle-lookup?reg=${encodeURIComponent(reg)}`, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+
+    return { status: res.status, body: await res.json() };
+  }
+
+  test("needs a garage login", async () => {
+    const res = await get("AB12CDE", "nobody");
+    assert.equal(res.status, 401);
+  });
+
+  test("normalises the registration before looking it up", async () => {
+    const res = await get("ab12 cde");
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.vehicle.registration, "AB12CDE");
+    assert.equal(res.body.vehicle.name, "Volkswagen Golf GTI");
+    assert.equal(res.body.alreadyListed, null);
+  });
+
+  test("says when another garage already lists the car", async () => {
+    const res = await get("CD18 FGH");
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.alreadyListed, "other");
+  });
+
+  test("an unknown registration is a 404", async () => {
+    const res = await get("ZZ99 ZZZ");
+    assert.equal(res.status, 404);
+  });
+
+  test("a value that cannot be a registration is a 400", async () => {
+    const res = await get("not a reg!");
+    assert.equal(res.status, 400);
+  });
+});
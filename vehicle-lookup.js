@@ -0,0 +1,212 @@
+// =============================
+// Vehicle lookup by UK registration
+// =============================
+// A provider has async lookup(registration) that resolves with a
+// DVLA-shaped record ({ make, model, yearOfManufacture, engineCapacity,
+// fuelType, transmission, colour, motExpiryDate }) or null if unknown.
+//   fixture  answers from fixtures/vehicle-lookup.json, for development and tests
+//   dvla     DVLA Vehicle Enquiry Service (needs DVLA_API_KEY)
+// VEHICLE_LOOKUP_PROVIDER picks one. Without it, dvla is used when DVLA_API_KEY is set.
+// Any object with an async lookup(registration) can be passed in as the provider.
+
+const fs = require("fs");
+const path = require("path");
+
+const { findMake, splitCarName } = require("./car-reference");
+
+const DVLA_API_URL = "https://driver-vehicle-licensing.api.gov.uk/vehicle-enquiry/v1/vehicles";
+const DVLA_TIMEOUT_MS = 8000;
+
+// Makes written in capitals rather than title case
+const UPPERCASE_MAKES = ["BMW", "DS", "MG", "SEAT", "BYD"];
+
+// Trim badges kept in capitals inside model names ("GOLF GTI" -> "Golf GTI")
+const MODEL_BADGES = [
+  "AMG", "CDI", "DCI", "GT", "GTD", "GTE", "GTI", "HSE", "RS", "SE",
+  "SEL", "SRI", "ST", "SX", "TDI", "TFSI", "TSI", "VRS"
+];
+
+const MOT_MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+// "ab12 cde" -> "AB12CDE"; null if it cannot be a UK registration
+function normaliseRegistration(value) {
+  const reg = String(value || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+
+  if (reg.length < 2 || reg.length > 8) return null;
+  if (!/[A-Z]/.test(reg) || !/[0-9]/.test(reg)) return null;
+
+  return reg;
+}
+
+function titleCase(value) {
+  return String(value || "")
+    .trim()
+    .toLowerCase()
+    .replace(/(^|[\s-])([a-z])/g, (match, gap, letter) => gap + letter.toUpperCase());
+}
+
+function normaliseMake(value) {
+  const make = String(value || "").trim();
+  if (!make) return null;
+
+  return UPPERCASE_MAKES.includes(make.toUpperCase())
+    ? make.toUpperCase()
+    : titleCase(make);
+}
+
+function normaliseModel(value) {
+  const model = String(value || "").trim();
+  if (!model) return null;
+
+  return model
+    .split(/\s+/)
+    .map(word => {
+      const upper = word.toUpperCase();
+
+      // Badges and engine codes such as "320D" or "A45" stay in capitals
+      return MODEL_BADGES.includes(upper) || /\d/.test(word)
+        ? upper
+        : titleCase(word);
+    })
+    .join(" ");
+}
+
+function normaliseFuel(value) {
+  const fuel = String(value || "").trim().toUpperCase();
+  if (!fuel) return null;
+
+  if (fuel.includes("HYBRID")) return "Hybrid";
+  if (fuel === "ELECTRICITY" || fuel === "ELECTRIC") return "Electric";
+
+  return titleCase(fuel);
+}
+
+function normaliseEngine(cc) {
+  const capacity = Number(cc);
+  if (!Number.isFinite(capacity) || capacity <= 0) return null;
+
+  return `${(capacity / 1000).toFixed(1)}L`;
+}
+
+// "2027-03-14" -> "Mar 2027", the format the dashboard MOT fields use
+function normaliseMot(value) {
+  const match = /^(\d{4})-(\d{2})/.exec(String(value || ""));
+  if (!match) return null;
+
+  const month = MOT_MONTHS[Number(match[2]) - 1];
+  return month ? `${month} ${match[1]}` : null;
+}
+
+// DVLA-shaped record -> the car fields dbInsertCar understands.
+// The model is split against the reference list, so "GOLF GTI" is model "Golf", variant "GTI".
+function normaliseVehicle(registration, record) {
+  const rawMake = normaliseMake(record.make);
+  const make = findMake(rawMake) || rawMake;
+  const split = splitCarName([make, normaliseModel(record.model)].filter(Boolean).join(" "));
+  const model = split.model || null;
+  const variant = split.variant || null;
+  const year = Number(record.yearOfManufacture);
+
+  return {
+    registration,
+    make,
+    model,
+    variant,
+    name: [make, model, variant].filter(Boolean).join(" ") || null,
+    year: Number.isInteger(year) ? year : null,
+    fuel: normaliseFuel(record.fuelType),
+    transmission: record.transmission ? titleCase(record.transmission) : null,
+    engine: normaliseEngine(record.engineCapacity),
+    colour: record.colour ? titleCase(record.colour) : null,
+    motUntil: normaliseMot(record.motExpiryDate)
+  };
+}
+
+function createFixtureProvider(file) {
+  let records = null;
+
+  return {
+    name: "fixture",
+
+    async lookup(registration) {
+      if (!records) {
+        records = JSON.parse(await fs.promises.readFile(file, "utf8"));
+      }
+
+      return records[registration] || null;
+    }
+  };
+}
+
+function createDvlaProvider({ apiKey, url }) {
+  return {
+    name: "dvla",
+
+    async lookup(registration) {
+      const res = await fetch(url, {
+        method: "POST",
+        headers: {
+          "x-api-key": apiKey,
+          "Content-Type": "application/json",
+          Accept: "application/json"
+        },
+        body: JSON.stringify({ registrationNumber: registration }),
+        signal: AbortSignal.timeout(DVLA_TIMEOUT_MS)
+      });
+
+      if (res.status === 404) return null;
+
+      if (!res.ok) {
+        throw new Error(`DVLA lookup failed with status ${res.status}`);
+      }
+
+      return res.json();
+    }
+  };
+}
+
+function providerFromEnv(env) {
+  const choice = String(env.VEHICLE_LOOKUP_PROVIDER || (env.DVLA_API_KEY ? "dvla" : "fixture"))
+    .trim()
+    .toLowerCase();
+
+  if (choice === "dvla") {
+    if (!env.DVLA_API_KEY) {
+      throw new Error("VEHICLE_LOOKUP_PROVIDER is dvla but DVLA_API_KEY is not set");
+    }
+
+    return createDvlaProvider({
+      apiKey: env.DVLA_API_KEY,
+      url: env.DVLA_API_URL || DVLA_API_URL
+    });
+  }
+
+  if (choice === "fixture") {
+    return createFixtureProvider(
+      env.VEHICLE_LOOKUP_FIXTURES || path.join(__dirname, "fixtures", "vehicle-lookup.json")
+    );
+  }
+
+  throw new Error(`Unknown VEHICLE_LOOKUP_PROVIDER: ${choice}`);
+}
+
+function createVehicleLookup(options = {}) {
+  const provider = options.provider || providerFromEnv(options.env || process.env);
+
+  return {
+    provider: provider.name || "custom",
+
+    // Resolves with normalised details, or null when the registration is unknown
+    async lookup(registration) {
+      const record = await provider.lookup(registration);
+      return record ? normaliseVehicle(registration, record) : null;
+    }
+  };
+}
+
+module.exports = {
+  createVehicleLookup,
+  createFixtureProvider,
+  createDvlaProvider,
+  normaliseRegistration
+};